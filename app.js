@@ -1,8 +1,59 @@
 // 3D Molecule Visualizer using Three.js + PubChem API
 
+// Geometry detail by molecule size. Atoms and bonds are instanced, so these only
+// set how finely the shared sphere and cylinder are tessellated.
+const DETAIL_LEVELS = [
+    { maxAtoms: 150, sphereSegments: 32, bondSegments: 16, shadows: true },
+    { maxAtoms: 600, sphereSegments: 20, bondSegments: 10, shadows: false },
+    { maxAtoms: 3000, sphereSegments: 12, bondSegments: 8, shadows: false },
+    { maxAtoms: Infinity, sphereSegments: 8, bondSegments: 6, shadows: false }
+];
+
+// Compounds per page in the search matches list
+const MATCH_PAGE_SIZE = 20;
+
+// Dipole arrow: smallest moment (debye) worth drawing, and its size in Å
+const DIPOLE_MIN_MAGNITUDE = 0.05;
+const DIPOLE_ARROW_LENGTH = { base: 1.5, perDebye: 0.75 };
+const DIPOLE_ARROW_COLOR = 0xffb703;
+
+// Aromatic bonds: a full cylinder plus a dashed, thinner one on the ring side,
+// offset by `offset` Å and trimmed by `inset` of the bond length at each end
+const AROMATIC_BOND = { dashes: 3, offset: 0.2, inset: 0.2, radiusScale: 0.6 };
+
+// Stereocenters and stereogenic double bonds: highlight color (darker for the
+// Lewis structure on white), and the halo around a stereocenter in 3D, in Å
+// beyond its atom
+const STEREO_COLOR = 0xff5fa2;
+const STEREO_LEWIS_COLOR_ON_WHITE = '#c2185b';
+const STEREO_HALO = { margin: 0.25, opacity: 0.35 };
+
+// Curved electron-pushing arrows in the Lewis structure
+const RESONANCE_ARROW_COLORS = { onDark: '#ffb703', onWhite: '#d35400' };
+
+// Element colors in the Lewis structure on white are darkened to at most this HSL lightness
+const LEWIS_MAX_LIGHTNESS_ON_WHITE = 0.35;
+
+// Atoms without bonds that are written with their hydrogens first (H2O, HCl)
+const LEWIS_HYDROGENS_FIRST = ['O', 'S', 'Se', 'F', 'Cl', 'Br', 'I'];
+
+// Escape text from PubChem or files before it goes into innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 class MoleculeVisualizer {
-    constructor() {
-        this.container = document.getElementById('molecule-viewer');
+    // The page's main viewer binds every control on the page. Extra viewers (such as
+    // the comparison pane) pass their own container and Lewis canvas and set
+    // bindPageControls to false, leaving search, measurement and export to the main one.
+    constructor({
+        container = document.getElementById('molecule-viewer'),
+        lewisCanvas = document.getElementById('lewis-canvas'),
+        bindPageControls = true
+    } = {}) {
+        this.container = container;
+        this.lewisCanvas = lewisCanvas;
+        this.bindPageControls = bindPageControls;
         this.viewStyle = 'ball-stick';
         this.autoRotate = true;
         this.rotationSpeed = 3;
@@ -14,21 +65,82 @@ class MoleculeVisualizer {
         this.renderer = null;
         this.controls = null;
         this.moleculeGroup = null;
+        this.moleculeCenter = null;
+        this.renderedMolecule = null;
+        this.renderScheduled = false;
+
+        // Shared unit geometries for instanced atoms and bonds
+        this.detailLevel = null;
+        this.sphereGeometry = null;
+        this.bondGeometry = null;
+
+        // Atom picking and distance/angle/dihedral measurements
+        this.measurementTool = null;
+
+        // Zoom, pan and highlighting linked to the 3D model for the Lewis structure
+        this.lewisView = null;
+
+        // Side-by-side comparison with a second viewer
+        this.comparisonView = null;
+
+        // Second molecule overlaid on this one
+        this.superposition = null;
 
-        // Materials cache
+        // Materials cache, and a color blended into every material (null for none)
         this.materials = {};
         this.bondMaterial = null;
+        this.tint = null;
+
+        // Atoms colored by 'element' or by Gasteiger partial 'charge', and the dipole arrow
+        this.atomColoring = 'element';
+        this.showDipole = false;
+        this.dipoleArrow = null;
+
+        // R/S and E/Z labels with highlighted stereocenters, in 3D and the Lewis structure
+        this.showStereo = true;
+        this.stereoMarkers = null;
+
+        // Resonance contributor shown in the Lewis structure (0 is the structure as given)
+        this.resonanceIndex = 0;
+
+        // Lewis structure as 'full' (every atom), 'condensed' (hydrogens in
+        // their atom's label) or 'skeletal' (line-angle formula)
+        this.lewisMode = 'full';
 
         // Search debounce
         this.searchTimeout = null;
 
+        // In-flight requests, aborted when a newer load or keystroke supersedes them
+        this.loadController = null;
+        this.autocompleteController = null;
+
+        // Search matches / related compounds list and its pending page requests
+        this.matchList = null;
+        this.matchController = null;
+
+        // Tanimoto threshold (%) for Find similar
+        this.similarityThreshold = 90;
+
+        // Last choices in the image export controls
+        this.imageExportOptions = { size: '4k', background: 'scene', content: '3d', svgBackground: 'white' };
+
         this.init();
     }
 
     init() {
         this.setupThreeJS();
         this.createMaterials();
+        if (!this.bindPageControls) return;
+
+        this.measurementTool = new MeasurementTool(this);
+        this.lewisView = new LewisView(this);
+        this.comparisonView = new ComparisonView(this);
+        this.superposition = new SuperpositionTool(this);
+        this.surfaceTool = new SurfaceTool(this);
         this.setupEventListeners();
+        this.setOfflineMode(typeof navigator !== 'undefined' && navigator.onLine === false);
+        this.renderColorLegend(null);
+        this.updateCacheStatus();
         this.hideLoading();
     }
 
@@ -78,13 +190,15 @@ class MoleculeVisualizer {
         // Molecule group
         this.moleculeGroup = new THREE.Group();
         this.scene.add(this.moleculeGroup);
+        this.moleculeCenter = new THREE.Vector3();
 
         // Event handlers
         window.addEventListener('resize', () => this.onWindowResize());
         this.renderer.domElement.addEventListener('dblclick', () => this.controls.reset());
+        this.controls.addEventListener('change', () => this.requestRender());
 
-        // Start animation loop
-        this.animate();
+        // Draw the first frame; later frames are requested on demand
+        this.requestRender();
     }
 
     createMaterials() {
@@ -95,11 +209,15 @@ class MoleculeVisualizer {
         });
     }
 
+    // Coloring by charge keeps the materials white and colors each instance
+    getAtomBaseColor(element) {
+        return this.atomColoring === 'charge' ? 0xffffff : getAtomProperties(element).color;
+    }
+
     getMaterial(element) {
         if (!this.materials[element]) {
-            const props = getAtomProperties(element);
             this.materials[element] = new THREE.MeshPhongMaterial({
-                color: props.color,
+                color: tintColor(this.getAtomBaseColor(element), this.tint),
                 specular: 0x444444,
                 shininess: 30
             });
@@ -107,6 +225,51 @@ class MoleculeVisualizer {
         return this.materials[element];
     }
 
+    // Blend every atom and bond color toward a tint, e.g. to tell this molecule
+    // apart from a superposed one; null restores the element colors
+    setTint(tint) {
+        if (tint === this.tint) return;
+
+        this.tint = tint;
+        this.updateMaterialColors();
+    }
+
+    // Recolor the existing materials for the current tint and color scheme
+    updateMaterialColors() {
+        Object.entries(this.materials).forEach(([element, material]) => {
+            material.color.copy(tintColor(this.getAtomBaseColor(element), this.tint));
+        });
+        this.bondMaterial.color.copy(tintColor(0x888888, this.tint));
+        this.requestRender();
+    }
+
+    // Switch the element color scheme everywhere atoms are drawn
+    setColorScheme(name) {
+        setElementColorScheme(name);
+        this.updateMaterialColors();
+        this.superposition.updateColors();
+        this.comparisonView.updateColors();
+        this.surfaceTool.applyColors();
+        if (this.currentMolecule) this.drawLewisStructure(this.currentMolecule);
+        this.renderColorLegend(this.currentMolecule);
+    }
+
+    // Legend of the active scheme: the common organic elements, then any others
+    // in the molecule by atomic number
+    renderColorLegend(molecule) {
+        const present = new Set(molecule ? molecule.atoms.map(atom => atom.element) : []);
+        const extra = [...present]
+            .filter(element => ELEMENTS[element] && !LEGEND_ELEMENTS.includes(element))
+            .sort((a, b) => ELEMENTS[a].number - ELEMENTS[b].number);
+
+        document.getElementById('legend-scheme').textContent = ELEMENT_COLOR_SCHEMES[getElementColorScheme()].label;
+        document.getElementById('color-legend').innerHTML = [...LEGEND_ELEMENTS, ...extra].map(element => {
+            const { name, color } = getAtomProperties(element);
+            const hex = `#${color.toString(16).padStart(6, '0')}`;
+            return `<div class="legend-item${present.has(element) ? ' present' : ''}"><span class="atom-color" style="background: ${hex}"></span> ${name} (${element})</div>`;
+        }).join('');
+    }
+
     setupEventListeners() {
         // Search input
         const searchInput = document.getElementById('molecule-search');
@@ -114,33 +277,42 @@ class MoleculeVisualizer {
         const searchResults = document.getElementById('search-results');
 
         searchInput.addEventListener('input', (e) => {
-            clearTimeout(this.searchTimeout);
+            this.cancelAutocomplete();
             const query = e.target.value.trim();
 
-            if (query.length < 2) {
+            // Only names have autocomplete suggestions
+            if (query.length < 2 || this.getSearchType(query) !== 'name') {
                 searchResults.innerHTML = '';
                 searchResults.classList.remove('visible');
                 return;
             }
 
             this.searchTimeout = setTimeout(async () => {
-                const suggestions = await pubchem.autocomplete(query);
-                this.showSearchSuggestions(suggestions);
+                const controller = new AbortController();
+                this.autocompleteController = controller;
+                try {
+                    const suggestions = await pubchem.autocomplete(query, 8, controller.signal);
+                    this.showSearchSuggestions(suggestions);
+                } catch (error) {
+                    if (!isAbortError(error)) console.error('Autocomplete failed:', error);
+                }
             }, 300);
         });
 
         searchInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
+                this.cancelAutocomplete();
                 searchResults.innerHTML = '';
                 searchResults.classList.remove('visible');
-                this.loadMolecule(searchInput.value.trim());
+                this.search(searchInput.value.trim());
             }
         });
 
         searchBtn.addEventListener('click', () => {
+            this.cancelAutocomplete();
             searchResults.innerHTML = '';
             searchResults.classList.remove('visible');
-            this.loadMolecule(searchInput.value.trim());
+            this.search(searchInput.value.trim());
         });
 
         // Click outside to close suggestions
@@ -151,6 +323,34 @@ class MoleculeVisualizer {
             }
         });
 
+        // Local file import: file picker and drag-and-drop onto the viewer
+        const fileInput = document.getElementById('file-input');
+        document.getElementById('open-file-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        const dropOverlay = document.getElementById('drop-overlay');
+        this.container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropOverlay.classList.remove('hidden');
+        });
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) {
+                dropOverlay.classList.add('hidden');
+            }
+        });
+        this.container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropOverlay.classList.add('hidden');
+            if (e.dataTransfer.files.length > 0) {
+                this.loadFile(e.dataTransfer.files[0]);
+            }
+        });
+
         // Quick select dropdown
         document.getElementById('molecule-select').addEventListener('change', (e) => {
             if (e.target.value) {
@@ -158,15 +358,60 @@ class MoleculeVisualizer {
             }
         });
 
+        // Offline mode follows the browser's connection state but can be toggled by hand
+        document.getElementById('offline-mode').addEventListener('change', (e) => {
+            this.setOfflineMode(e.target.checked);
+        });
+        window.addEventListener('offline', () => this.setOfflineMode(true));
+        window.addEventListener('online', () => this.setOfflineMode(false));
+
+        document.getElementById('preload-btn').addEventListener('click', () => this.preloadQuickSelect());
+        document.getElementById('clear-cache-btn').addEventListener('click', () => this.clearCache());
+
         // View style buttons
         document.querySelectorAll('.view-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 document.querySelectorAll('.view-btn').forEach(b => b.classList.remove('active'));
                 e.target.classList.add('active');
                 this.viewStyle = e.target.dataset.view;
-                if (this.currentMolecule) {
-                    this.renderMolecule(this.currentMolecule);
-                }
+                this.applyViewStyle();
+                this.comparisonView.setViewStyle(this.viewStyle);
+            });
+        });
+
+        // Atom coloring, element color scheme and dipole arrow
+        document.getElementById('color-scheme').addEventListener('change', (e) => {
+            this.setColorScheme(e.target.value);
+        });
+        document.getElementById('atom-coloring').addEventListener('change', (e) => {
+            this.setAtomColoring(e.target.value);
+        });
+        document.getElementById('show-dipole').addEventListener('change', (e) => {
+            this.showDipole = e.target.checked;
+            this.updateDipoleArrow();
+        });
+        document.getElementById('resonance-prev').addEventListener('click', () => this.setResonanceIndex(this.resonanceIndex - 1));
+        document.getElementById('resonance-next').addEventListener('click', () => this.setResonanceIndex(this.resonanceIndex + 1));
+        document.getElementById('show-stereo').addEventListener('change', (e) => {
+            this.setShowStereo(e.target.checked);
+            this.comparisonView.setShowStereo(e.target.checked);
+        });
+
+        // Full, condensed or skeletal Lewis structure
+        document.querySelectorAll('.lewis-mode-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                document.querySelectorAll('.lewis-mode-btn').forEach(b => b.classList.remove('active'));
+                e.target.classList.add('active');
+                this.setLewisMode(e.target.dataset.lewisMode);
+                this.comparisonView.setLewisMode(e.target.dataset.lewisMode);
+            });
+        });
+
+        // Measurement mode buttons; measuring and picking overlay pairs both use clicks
+        document.querySelectorAll('.measure-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.setMeasureMode(e.target.dataset.measure);
+                if (e.target.dataset.measure) this.superposition.setPicking(false);
             });
         });
 
@@ -174,6 +419,7 @@ class MoleculeVisualizer {
         document.getElementById('auto-rotate').addEventListener('change', (e) => {
             this.autoRotate = e.target.checked;
             this.controls.autoRotate = this.autoRotate;
+            this.requestRender();
         });
 
         // Rotation speed
@@ -203,87 +449,807 @@ class MoleculeVisualizer {
                 document.getElementById('molecule-search').value = item.dataset.name;
                 searchResults.innerHTML = '';
                 searchResults.classList.remove('visible');
-                this.loadMolecule(item.dataset.name);
+                this.search(item.dataset.name, 'name');
+            });
+        });
+    }
+
+    // Switch the measurement mode and its buttons; '' turns measuring off
+    setMeasureMode(mode) {
+        document.querySelectorAll('.measure-btn').forEach(b => b.classList.toggle('active', b.dataset.measure === mode));
+        this.measurementTool.setMode(mode);
+    }
+
+    // Stop a pending autocomplete so stale suggestions never appear
+    cancelAutocomplete() {
+        clearTimeout(this.searchTimeout);
+        if (this.autocompleteController) {
+            this.autocompleteController.abort();
+            this.autocompleteController = null;
+        }
+    }
+
+    // Abort any load still in flight and return a controller for the new one
+    startLoad() {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        this.loadController = new AbortController();
+        return this.loadController;
+    }
+
+    // Identifier type for a query: the picker's choice, or detected when it is Auto
+    getSearchType(query) {
+        const type = document.getElementById('search-type').value;
+        return type === 'auto' ? detectIdentifierType(query) : type;
+    }
+
+    // Search box entry point. Identifiers are resolved to CIDs first, offering a
+    // list when several match. Names picked from such a list before, or already
+    // cached, load directly; showAll lists every match regardless.
+    async search(query, type = this.getSearchType(query), { showAll = false } = {}) {
+        if (!query) return;
+
+        if (type === 'name' && !showAll) {
+            const chosen = await pubchem.cache.getChoice(query);
+            if (chosen) {
+                this.showChoiceNote(query);
+                this.loadMolecule(chosen, { keepMatches: true, names: [query] });
+                return;
+            }
+            if (pubchem.offline || await pubchem.cache.getByName(query)) {
+                this.loadMolecule(query);
+                return;
+            }
+        }
+
+        // SMILES never needs PubChem to be shown
+        if (type === 'smiles' && pubchem.offline) {
+            this.loadSmiles(query);
+            return;
+        }
+
+        this.hideMatches();
+        const controller = this.startLoad();
+        this.showLoading();
+
+        try {
+            const { cids, matches } = await pubchem.searchCompounds(query, type, {
+                signal: controller.signal,
+                maxResults: MATCH_PAGE_SIZE
+            });
+            if (controller.signal.aborted) return;
+
+            if (cids.length === 1) {
+                this.loadMolecule(cids[0], { names: type === 'name' ? [query] : [] });
+            } else {
+                // A pick for a name is remembered and loaded directly next time
+                const isName = type === 'name';
+                this.showMatches({
+                    heading: `${cids.length} compounds match ${SEARCH_TYPES[type].label} "${escapeHtml(query)}"`,
+                    cids,
+                    firstPage: matches,
+                    chosenCid: isName ? await pubchem.cache.getChoice(query) : null,
+                    onPick: cid => {
+                        if (isName) pubchem.cache.putChoice(query, cid);
+                        this.loadMolecule(cid, { keepMatches: true, names: isName ? [query] : [] });
+                    }
+                });
+            }
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) return;
+
+            // A name may still have an expired cached copy to fall back on
+            const unreachable = error instanceof PubChemNetworkError || error instanceof PubChemThrottledError;
+            if (type === 'name' && unreachable) {
+                this.loadMolecule(query);
+                return;
+            }
+
+            // A SMILES PubChem does not have, rejects or cannot be asked about is
+            // built in the browser instead, which reports its own syntax errors
+            if (type === 'smiles' && error instanceof PubChemError) {
+                this.loadSmiles(query);
+                return;
+            }
+
+            console.error('Search failed:', error);
+            this.showError(this.describeLoadError(error, query, type));
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoading();
+            }
+        }
+    }
+
+    // Show a paginated list of compounds to pick from. heading describes the list,
+    // firstPage optionally holds already fetched properties for the first page,
+    // chosenCid is highlighted and onPick(cid) runs when a row is clicked.
+    showMatches({ heading, cids, firstPage = null, chosenCid = null, onPick }) {
+        this.matchList = { heading, cids, chosenCid, onPick };
+        this.showMatchPage(0, firstPage);
+    }
+
+    async showMatchPage(page, properties = null) {
+        const list = this.matchList;
+        const panel = document.getElementById('match-results');
+        const pageCids = list.cids.slice(page * MATCH_PAGE_SIZE, (page + 1) * MATCH_PAGE_SIZE);
+        const pageCount = Math.ceil(list.cids.length / MATCH_PAGE_SIZE);
+
+        if (this.matchController) {
+            this.matchController.abort();
+        }
+        const controller = new AbortController();
+        this.matchController = controller;
+
+        const render = (body) => {
+            panel.innerHTML = `
+                <div class="match-header">
+                    <span>${list.heading}</span>
+                    <button class="match-close" title="Close">&times;</button>
+                </div>
+                <div class="match-list">${body}</div>
+                ${pageCount > 1 ? `
+                    <div class="match-pager">
+                        <button class="match-prev" ${page === 0 ? 'disabled' : ''}>&lsaquo; Prev</button>
+                        <span>Page ${page + 1} of ${pageCount}</span>
+                        <button class="match-next" ${page === pageCount - 1 ? 'disabled' : ''}>Next &rsaquo;</button>
+                    </div>
+                ` : ''}
+            `;
+            panel.classList.remove('hidden');
+
+            panel.querySelector('.match-close').addEventListener('click', () => this.hideMatches());
+            panel.querySelector('.match-prev')?.addEventListener('click', () => this.showMatchPage(page - 1));
+            panel.querySelector('.match-next')?.addEventListener('click', () => this.showMatchPage(page + 1));
+        };
+
+        if (pageCids.length > 0 && !properties) {
+            render('<div class="match-status">Loading...</div>');
+            try {
+                properties = await pubchem.getCompoundProperties(pageCids, controller.signal);
+            } catch (error) {
+                if (isAbortError(error)) return;
+                console.error('Match properties error:', error);
+                render(`<div class="match-status">Could not load this page: ${escapeHtml(error.message)}</div>`);
+                return;
+            }
+        }
+
+        render((properties || []).map(match => `
+            <button class="match-item${match.CID === list.chosenCid ? ' active' : ''}" data-cid="${match.CID}">
+                <canvas class="match-thumb" data-cid="${match.CID}" width="72" height="56"></canvas>
+                <span class="match-title">${escapeHtml(match.Title || match.IUPACName || `CID ${match.CID}`)}</span>
+                <span class="match-cid">CID ${match.CID}</span>
+                <span class="match-formula">${escapeHtml(match.MolecularFormula || '')}</span>
+                <span class="match-weight">${match.MolecularWeight ? `${parseFloat(match.MolecularWeight).toFixed(2)} g/mol` : ''}</span>
+            </button>
+        `).join(''));
+
+        panel.querySelectorAll('.match-item').forEach(item => {
+            item.addEventListener('click', () => {
+                panel.querySelectorAll('.match-item').forEach(i => i.classList.remove('active'));
+                item.classList.add('active');
+                list.chosenCid = parseInt(item.dataset.cid, 10);
+                list.onPick(list.chosenCid);
+            });
+        });
+
+        this.loadThumbnails(pageCids, controller.signal);
+    }
+
+    // Draw 2D depictions into the match list once they arrive
+    async loadThumbnails(cids, signal) {
+        if (cids.length === 0) return;
+
+        try {
+            const structures = await pubchem.get2DStructures(cids, signal);
+            document.querySelectorAll('#match-results .match-thumb').forEach(canvas => {
+                const structure = structures.get(parseInt(canvas.dataset.cid, 10));
+                if (structure) drawStructureThumbnail(canvas, structure);
             });
+        } catch (error) {
+            if (!isAbortError(error)) console.warn('Thumbnails unavailable:', error);
+        }
+    }
+
+    // Similarity ('similar') or substructure ('substructure') search seeded by the
+    // current molecule, listed in the matches panel
+    async findRelated(mode) {
+        const molecule = this.currentMolecule;
+        if (!molecule) return;
+
+        const name = escapeHtml(molecule.name || 'this molecule');
+        if (pubchem.offline) {
+            this.showMatches({ heading: 'Similarity and substructure searches need PubChem. Turn off Offline mode to use them.', cids: [] });
+            return;
+        }
+
+        const threshold = this.similarityThreshold;
+        const controller = this.startLoad();
+        this.showLoading();
+
+        try {
+            const query = { cid: molecule.cid, smiles: molecule.smiles };
+            const found = mode === 'similar'
+                ? await pubchem.findSimilar(query, threshold, controller.signal)
+                : await pubchem.findSubstructureMatches(query, controller.signal);
+            if (controller.signal.aborted) return;
+
+            const cids = found.filter(cid => cid !== Number(molecule.cid));
+            const count = found.length >= RELATED_MAX_RECORDS ? `${cids.length}+` : cids.length;
+            const heading = mode === 'similar'
+                ? `${count} compounds at least ${threshold}% similar to ${name}`
+                : `${count} compounds containing ${name}`;
+            this.showMatches({
+                heading,
+                cids,
+                onPick: cid => this.loadMolecule(cid, { keepMatches: true })
+            });
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) return;
+
+            console.error('Related search failed:', error);
+            this.showMatches({ heading: escapeHtml(this.describeLoadError(error, molecule.name)), cids: [] });
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoading();
+            }
+        }
+    }
+
+    // Note above the info panel that an earlier pick was loaded, with a way back to the list
+    showChoiceNote(query) {
+        const panel = document.getElementById('match-results');
+        panel.innerHTML = `
+            <div class="match-header">
+                <span>Your earlier pick for "${escapeHtml(query)}"</span>
+                <button class="match-show-all">Show all matches</button>
+                <button class="match-forget" title="Ask again next time this name is searched">Forget pick</button>
+                <button class="match-close" title="Close">&times;</button>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+
+        panel.querySelector('.match-close').addEventListener('click', () => this.hideMatches());
+        panel.querySelector('.match-show-all').addEventListener('click', () => {
+            this.search(query, 'name', { showAll: true });
         });
+        panel.querySelector('.match-forget').addEventListener('click', async () => {
+            await pubchem.cache.deleteChoice(query);
+            this.hideMatches();
+        });
+    }
+
+    hideMatches() {
+        if (this.matchController) {
+            this.matchController.abort();
+            this.matchController = null;
+        }
+        this.matchList = null;
+        const panel = document.getElementById('match-results');
+        panel.innerHTML = '';
+        panel.classList.add('hidden');
     }
 
-    async loadMolecule(nameOrCid) {
+    // keepMatches leaves the search matches list open while trying its entries;
+    // names are extra queries to file the compound under in the offline cache.
+    async loadMolecule(nameOrCid, { keepMatches = false, names = [] } = {}) {
         if (!nameOrCid) return;
 
+        if (!keepMatches) {
+            this.hideMatches();
+        }
+        const controller = this.startLoad();
         this.showLoading();
 
         try {
-            const molecule = await pubchem.getCompoundInfo(nameOrCid);
+            const molecule = await pubchem.getCompoundInfo(nameOrCid, { signal: controller.signal, names });
+            if (controller.signal.aborted) return;
+
             this.currentMolecule = molecule;
+            this.measurementTool.reset();
+            this.lewisView.reset();
             this.renderMolecule(molecule);
+            this.superposition.referenceChanged();
             this.updateInfoPanel(molecule);
+            this.updateCacheStatus();
         } catch (error) {
+            // A newer load replaced this one; it owns the spinner and any error
+            if (isAbortError(error) || controller.signal.aborted) return;
+
             console.error('Failed to load molecule:', error);
-            this.showError(`Could not find "${nameOrCid}". Try a different name or check spelling.`);
+            this.showError(this.describeLoadError(error, nameOrCid));
         } finally {
-            this.hideLoading();
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoading();
+            }
+        }
+    }
+
+    // Show a molecule built from SMILES in the browser: its 2D layout and 3D
+    // shape are generated locally rather than taken from a PubChem record
+    loadSmiles(smiles) {
+        // Supersedes any PubChem load still in flight
+        this.hideMatches();
+        if (this.loadController) {
+            this.loadController.abort();
+            this.loadController = null;
+        }
+        this.hideLoading();
+
+        // Called without await from search(), so every failure is reported here
+        try {
+            const molecule = buildMoleculeFromSmiles(smiles);
+            this.currentMolecule = molecule;
+            this.measurementTool.reset();
+            this.lewisView.reset();
+            this.renderMolecule(molecule);
+            this.superposition.referenceChanged();
+            this.updateInfoPanel(molecule);
+        } catch (error) {
+            if (error instanceof SmilesParseError) {
+                this.showError(`"${smiles}" is not valid SMILES: ${error.message}`);
+                return;
+            }
+            console.error('Failed to build SMILES structure:', error);
+            this.showError(`Could not build a structure from "${smiles}": ${error.message}`);
+        }
+    }
+
+    // User-facing message for each kind of load failure
+    describeLoadError(error, nameOrCid, type = 'name') {
+        if (error instanceof MolfileParseError || error instanceof PubChemDataError) {
+            return `PubChem's record for "${nameOrCid}" could not be read: ${error.message}`;
+        }
+        if (error instanceof PubChemThrottledError) {
+            return 'PubChem is busy right now. Wait a few seconds and try again.';
+        }
+        if (error instanceof PubChemNetworkError) {
+            return 'Could not reach PubChem. Check your connection, or turn on Offline mode to use saved molecules.';
+        }
+        if (pubchem.offline) {
+            return type === 'name' || type === 'cid'
+                ? `"${nameOrCid}" has not been saved for offline use. Turn off Offline mode to search PubChem.`
+                : `Searching by ${SEARCH_TYPES[type].label} needs a connection. Turn off Offline mode to search PubChem.`;
+        }
+        if (type !== 'name') {
+            return `No PubChem compound matches ${SEARCH_TYPES[type].label} "${nameOrCid}". Check it, or choose a different search type.`;
+        }
+        return `Could not find "${nameOrCid}". Try a different name or check spelling.`;
+    }
+
+    setOfflineMode(offline) {
+        pubchem.offline = offline;
+        document.getElementById('offline-mode').checked = offline;
+        document.getElementById('preload-btn').disabled = offline;
+    }
+
+    // Download every Quick Select molecule into the offline cache
+    async preloadQuickSelect() {
+        const button = document.getElementById('preload-btn');
+        const status = document.getElementById('cache-status');
+        const names = Array.from(document.querySelectorAll('#molecule-select option'))
+            .map(option => option.value)
+            .filter(Boolean);
+
+        button.disabled = true;
+        try {
+            const { failed } = await pubchem.preloadCompounds(names, (done, total) => {
+                status.textContent = `Saving ${done}/${total}...`;
+            });
+            await this.updateCacheStatus();
+            if (failed.length > 0) {
+                status.textContent += ` (failed: ${failed.join(', ')})`;
+            }
+        } finally {
+            button.disabled = pubchem.offline;
+        }
+    }
+
+    // Empty the offline cache, remembered picks included
+    async clearCache() {
+        if (!window.confirm('Delete every saved molecule, search and remembered pick from this device?')) return;
+
+        const button = document.getElementById('clear-cache-btn');
+        button.disabled = true;
+        try {
+            await pubchem.cache.clear();
+            await this.updateCacheStatus();
+        } catch (error) {
+            console.error('Failed to clear cache:', error);
+            document.getElementById('cache-status').textContent = 'Could not clear saved molecules';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async updateCacheStatus() {
+        const { compounds, bytes } = await pubchem.cache.stats();
+        document.getElementById('cache-status').textContent = compounds > 0
+            ? `${compounds} saved (${(bytes / 1024 / 1024).toFixed(1)} MB)`
+            : '';
+    }
+
+    async loadFile(file) {
+        // Opening a file supersedes any PubChem load still in flight
+        this.hideMatches();
+        const controller = this.startLoad();
+        this.showLoading();
+
+        try {
+            const text = await file.text();
+            if (controller.signal.aborted) return;
+
+            const molecule = parseMoleculeFile(text, file.name);
+            this.currentMolecule = molecule;
+            this.measurementTool.reset();
+            this.lewisView.reset();
+            this.renderMolecule(molecule);
+            this.superposition.referenceChanged();
+            this.updateInfoPanel(molecule);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+
+            console.error('Failed to import file:', error);
+            this.showError(`Could not read "${file.name}": ${error.message}`);
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.hideLoading();
+            }
         }
     }
 
     renderMolecule(molecule) {
-        // Clear existing
+        this.clearMolecule();
+        this.renderedMolecule = molecule;
+
+        if (!molecule.atoms || molecule.atoms.length === 0) {
+            if (this.surfaceTool) this.surfaceTool.moleculeChanged(null);
+            this.updateDipoleArrow();
+            this.updateStereoMarkers();
+            this.requestRender();
+            return;
+        }
+
+        this.setDetailLevel(molecule.atoms.length);
+        this.buildAtomMeshes(molecule);
+        this.applyAtomColors(molecule);
+        this.buildBondMesh(molecule);
+        this.centerMolecule(molecule);
+        this.applyViewStyle();
+        this.updateDipoleArrow();
+
+        if (this.surfaceTool) {
+            this.surfaceTool.moleculeChanged(molecule);
+        }
+    }
+
+    // Switch between element and partial charge colors. The meshes are rebuilt,
+    // since per-instance colors must exist before a mesh is first drawn.
+    setAtomColoring(mode) {
+        this.atomColoring = mode;
+        const molecule = this.renderedMolecule;
+        if (!molecule || !molecule.atoms || molecule.atoms.length === 0) return;
+
+        this.clearMolecule();
+        this.buildAtomMeshes(molecule);
+        this.applyAtomColors(molecule);
+        this.buildBondMesh(molecule);
+        this.applyViewStyle();
+    }
+
+    // Per-atom colors from the partial charges: red negative, blue positive
+    applyAtomColors(molecule) {
+        if (this.atomColoring !== 'charge') return;
+
+        const charges = getPartialCharges(molecule);
+        const color = new THREE.Color();
+        this.moleculeGroup.children.forEach(mesh => {
+            if (!mesh.userData.atomIndices) return;
+            mesh.userData.atomIndices.forEach((atomIndex, instance) => {
+                mesh.setColorAt(instance, partialChargeColor(charges[atomIndex], color));
+            });
+            mesh.instanceColor.needsUpdate = true;
+        });
+    }
+
+    // Arrow along the dipole moment, through the center of the atoms and pointing
+    // to the negative end. Molecules with (almost) no dipole get none.
+    updateDipoleArrow() {
+        if (this.dipoleArrow) {
+            this.scene.remove(this.dipoleArrow);
+            this.dipoleArrow.children.forEach(part => part.geometry.dispose());
+            this.dipoleArrow.children[0].material.dispose();
+            this.dipoleArrow = null;
+        }
+
+        const molecule = this.renderedMolecule;
+        if (this.showDipole && molecule && !molecule.is2D && molecule.atoms && molecule.atoms.length > 1) {
+            const dipole = computeDipoleMoment(molecule.atoms, getPartialCharges(molecule));
+            if (dipole.magnitude >= DIPOLE_MIN_MAGNITUDE) {
+                this.dipoleArrow = this.createDipoleArrow(dipole);
+                this.scene.add(this.dipoleArrow);
+            }
+        }
+        this.requestRender();
+    }
+
+    // The chemist's dipole arrow: a shaft with a cross at the positive tail and a
+    // cone at the negative head, longer for a larger moment
+    createDipoleArrow({ origin, vector, magnitude }) {
+        const length = DIPOLE_ARROW_LENGTH.base + DIPOLE_ARROW_LENGTH.perDebye * Math.min(magnitude, 10);
+        const headLength = 0.5;
+        const material = new THREE.MeshPhongMaterial({ color: DIPOLE_ARROW_COLOR, specular: 0x444444, shininess: 30 });
+
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, length - headLength, 12), material);
+        shaft.position.y = -headLength / 2;
+        const head = new THREE.Mesh(new THREE.ConeGeometry(0.18, headLength, 16), material);
+        head.position.y = (length - headLength) / 2;
+        const cross = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.5, 12), material);
+        cross.rotation.z = Math.PI / 2;
+        cross.position.y = -length / 2 + 0.35;
+
+        // Built along +y, then turned to point from + to -, opposite the physics vector
+        const arrow = new THREE.Group();
+        arrow.add(shaft, head, cross);
+        const direction = new THREE.Vector3(vector.x, vector.y, vector.z).normalize().negate();
+        arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        arrow.position.set(origin.x, origin.y, origin.z).sub(this.moleculeCenter);
+        return arrow;
+    }
+
+    // Step through the resonance contributors in the Lewis structure
+    setResonanceIndex(index) {
+        const molecule = this.currentMolecule;
+        if (!molecule) return;
+
+        const count = getResonanceContributors(molecule).length;
+        this.resonanceIndex = (index + count) % count;
+        this.updateResonanceControls(molecule);
+        this.drawLewisStructure(molecule);
+    }
+
+    updateResonanceControls(molecule) {
+        const count = getResonanceContributors(molecule).length;
+        document.getElementById('resonance-controls').classList.toggle('hidden', count < 2);
+        document.getElementById('resonance-label').textContent =
+            `Resonance structure ${this.resonanceIndex + 1} of ${count}${this.resonanceIndex === 0 ? ' (as given)' : ''}`;
+    }
+
+    setShowStereo(show) {
+        this.showStereo = show;
+        this.updateStereoMarkers();
+        if (this.currentMolecule) this.drawLewisStructure(this.currentMolecule);
+    }
+
+    setLewisMode(mode) {
+        this.lewisMode = mode;
+        if (this.currentMolecule) this.drawLewisStructure(this.currentMolecule);
+    }
+
+    // Translucent halos around stereocenters with their R/S labels, and E/Z
+    // labels on stereogenic double bonds. Labels with the same text share one
+    // texture.
+    updateStereoMarkers() {
+        if (this.stereoMarkers) {
+            this.scene.remove(this.stereoMarkers);
+            // The unit sphere and the sprite geometry are shared, so only materials go
+            const materials = new Set();
+            this.stereoMarkers.traverse(object => { if (object.material) materials.add(object.material); });
+            materials.forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+            this.stereoMarkers = null;
+        }
+
+        const molecule = this.renderedMolecule;
+        if (this.showStereo && molecule && molecule.atoms && molecule.atoms.length > 0) {
+            const { centers, doubleBonds } = getStereoInfo(molecule);
+            const group = new THREE.Group();
+            const labels = {};
+            const addLabel = (text, x, y, z) => {
+                if (!labels[text]) labels[text] = createLabelSprite(text, STEREO_COLOR);
+                const sprite = labels[text].clone();
+                sprite.position.set(x, y, z);
+                group.add(sprite);
+            };
+
+            if (centers.length > 0) {
+                const material = new THREE.MeshBasicMaterial({
+                    color: STEREO_COLOR,
+                    transparent: true,
+                    opacity: STEREO_HALO.opacity,
+                    depthWrite: false
+                });
+                const halos = new THREE.InstancedMesh(this.sphereGeometry, material, centers.length);
+                halos.frustumCulled = false;
+                halos.renderOrder = 1;
+                const matrix = new THREE.Matrix4();
+                centers.forEach(({ atom, descriptor }, instance) => {
+                    const { x, y, z, element } = molecule.atoms[atom];
+                    const radius = this.getAtomRadius(element) + STEREO_HALO.margin;
+                    halos.setMatrixAt(instance, matrix.makeScale(radius, radius, radius).setPosition(x, y, z));
+                    addLabel(descriptor, x, y + radius + 0.2, z);
+                });
+                group.add(halos);
+            }
+            doubleBonds.forEach(({ bond, descriptor }) => {
+                const a = molecule.atoms[molecule.bonds[bond].from];
+                const b = molecule.atoms[molecule.bonds[bond].to];
+                addLabel(descriptor, (a.x + b.x) / 2, (a.y + b.y) / 2 + 0.35, (a.z + b.z) / 2);
+            });
+
+            if (group.children.length > 0) {
+                group.position.copy(this.moleculeCenter).negate();
+                this.stereoMarkers = group;
+                this.scene.add(group);
+            }
+        }
+        this.requestRender();
+    }
+
+    // Remove the current model, releasing its materials. The shared geometries stay
+    // cached until the detail level changes.
+    clearMolecule() {
         while (this.moleculeGroup.children.length > 0) {
             const child = this.moleculeGroup.children[0];
-            if (child.geometry) child.geometry.dispose();
+            if (child.dispose) child.dispose();
             this.moleculeGroup.remove(child);
         }
 
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.materials = {};
+    }
 
-        if (!molecule.atoms || molecule.atoms.length === 0) {
-            return;
+    // Pick sphere/cylinder tessellation and shadows for the molecule size
+    setDetailLevel(atomCount) {
+        const level = DETAIL_LEVELS.find(l => atomCount <= l.maxAtoms);
+        if (level !== this.detailLevel) {
+            if (this.sphereGeometry) this.sphereGeometry.dispose();
+            if (this.bondGeometry) this.bondGeometry.dispose();
+
+            // Unit shapes; each instance matrix scales them to the atom or bond size
+            this.sphereGeometry = new THREE.SphereGeometry(1, level.sphereSegments, Math.max(6, level.sphereSegments * 3 / 4));
+            this.bondGeometry = new THREE.CylinderGeometry(1, 1, 1, level.bondSegments);
+            this.detailLevel = level;
+        }
+
+        if (this.renderer.shadowMap.enabled !== level.shadows) {
+            this.renderer.shadowMap.enabled = level.shadows;
+            // The long-lived bond material must recompile for the new shadow setting
+            this.bondMaterial.needsUpdate = true;
         }
+    }
 
-        // Create atoms
+    // One InstancedMesh per element, sharing the unit sphere. The superposed
+    // molecule is built the same way into its own group with its own materials.
+    buildAtomMeshes(molecule, group = this.moleculeGroup, getMaterial = element => this.getMaterial(element)) {
+        const atomsByElement = {};
         molecule.atoms.forEach((atom, index) => {
-            this.createAtom(atom, index);
+            (atomsByElement[atom.element] = atomsByElement[atom.element] || []).push(index);
         });
 
-        // Create bonds (except for space-fill mode)
-        if (this.viewStyle !== 'space-fill' && molecule.bonds) {
-            molecule.bonds.forEach((bond) => {
-                const atom1 = molecule.atoms[bond.from];
-                const atom2 = molecule.atoms[bond.to];
-                if (atom1 && atom2) {
-                    this.createBond(atom1, atom2, bond.order);
-                }
-            });
-        }
+        Object.entries(atomsByElement).forEach(([element, atomIndices]) => {
+            const mesh = new THREE.InstancedMesh(this.sphereGeometry, getMaterial(element), atomIndices.length);
+            // Culling would test the unit sphere at the origin, not the instances
+            mesh.frustumCulled = false;
+            mesh.castShadow = this.detailLevel.shadows;
+            mesh.receiveShadow = this.detailLevel.shadows;
+            // instanceId -> atom index, for picking
+            mesh.userData = { element, atomIndices };
+            group.add(mesh);
+        });
+    }
 
-        this.centerMolecule();
+    // A single InstancedMesh holds every bond cylinder (one per bond order, or a
+    // solid and a dashed one for aromatic bonds)
+    buildBondMesh(molecule, group = this.moleculeGroup, material = this.bondMaterial) {
+        const { aromaticBondRing } = getRingInfo(molecule);
+        const bondIndices = [];
+        (molecule.bonds || []).forEach((bond, index) => {
+            if (!molecule.atoms[bond.from] || !molecule.atoms[bond.to]) return;
+            const cylinders = aromaticBondRing.has(index) ? 1 + AROMATIC_BOND.dashes : Math.min(bond.order, 3);
+            for (let i = 0; i < cylinders; i++) {
+                bondIndices.push(index);
+            }
+        });
+        if (bondIndices.length === 0) return;
+
+        const mesh = new THREE.InstancedMesh(this.bondGeometry, material, bondIndices.length);
+        mesh.frustumCulled = false;
+        mesh.castShadow = this.detailLevel.shadows;
+        mesh.receiveShadow = this.detailLevel.shadows;
+        // instanceId -> bond index
+        mesh.userData = { isBonds: true, bondIndices };
+        group.add(mesh);
     }
 
-    createAtom(atom, index) {
-        const props = getAtomProperties(atom.element);
+    // Size and place every instance for the current view style. Switching style
+    // only rewrites the instance matrices; nothing is rebuilt.
+    applyViewStyle() {
+        const molecule = this.renderedMolecule;
+        if (!molecule || !molecule.atoms) return;
 
-        let radius;
-        if (this.viewStyle === 'space-fill') {
-            radius = props.vdwRadius;
-        } else if (this.viewStyle === 'stick') {
-            radius = 0.15;
-        } else {
-            // Ball-and-stick: bigger spheres
-            radius = props.radius * 1.2;
+        this.layoutInstances(this.moleculeGroup, molecule);
+        // Halo sizes follow the atom radii of the view style
+        this.updateStereoMarkers();
+
+        if (this.measurementTool) {
+            this.measurementTool.refresh();
+        }
+        if (this.lewisView) {
+            this.lewisView.updateModelHighlight();
+        }
+        if (this.superposition) {
+            this.superposition.refresh();
         }
+        this.requestRender();
+    }
 
-        const geometry = new THREE.SphereGeometry(radius, 32, 32);
-        const material = this.getMaterial(atom.element);
-        const sphere = new THREE.Mesh(geometry, material);
+    // Write the instance matrices of a group's atom and bond meshes
+    layoutInstances(group, molecule) {
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+
+        group.children.forEach(mesh => {
+            if (mesh.userData.atomIndices) {
+                const radius = this.getAtomRadius(mesh.userData.element);
+                scale.set(radius, radius, radius);
+                quaternion.identity();
+                mesh.userData.atomIndices.forEach((atomIndex, instance) => {
+                    const atom = molecule.atoms[atomIndex];
+                    position.set(atom.x, atom.y, atom.z);
+                    mesh.setMatrixAt(instance, matrix.compose(position, quaternion, scale));
+                });
+                mesh.instanceMatrix.needsUpdate = true;
+            } else if (mesh.userData.isBonds) {
+                mesh.visible = this.viewStyle !== 'space-fill';
+                const { aromaticBondRing } = getRingInfo(molecule);
+                let instance = 0;
+                let previousBond = -1;
+                mesh.userData.bondIndices.forEach(bondIndex => {
+                    if (bondIndex === previousBond) return;
+                    previousBond = bondIndex;
+                    const bond = molecule.bonds[bondIndex];
+                    const ring = aromaticBondRing.get(bondIndex);
+                    const ringCenter = ring ? getRingCenter(molecule.atoms, ring) : null;
+                    const cylinders = this.getBondCylinders(molecule.atoms[bond.from], molecule.atoms[bond.to], bond.order, ringCenter);
+                    cylinders.forEach(cylinder => {
+                        scale.set(cylinder.radius, cylinder.length, cylinder.radius);
+                        mesh.setMatrixAt(instance++, matrix.compose(cylinder.position, cylinder.quaternion, scale));
+                    });
+                });
+                mesh.instanceMatrix.needsUpdate = true;
+            }
+        });
+    }
 
-        sphere.position.set(atom.x, atom.y, atom.z);
-        sphere.castShadow = true;
-        sphere.receiveShadow = true;
-        sphere.userData = { element: atom.element, index: index };
+    // Sphere radius for an element in the current view style
+    getAtomRadius(element) {
+        const props = getAtomProperties(element);
 
-        this.moleculeGroup.add(sphere);
+        if (this.viewStyle === 'space-fill') {
+            return props.vdwRadius;
+        } else if (this.viewStyle === 'stick') {
+            return 0.15;
+        }
+        // Ball-and-stick: bigger spheres
+        return props.radius * 1.2;
     }
 
-    createBond(atom1, atom2, order) {
+    // Placement of the cylinders drawn for one bond (one per bond order, side by side).
+    // Each runs center to center, so its ends sit inside both atom spheres. An
+    // aromatic bond, given the center of its ring, gets a solid cylinder and a
+    // row of dashes toward the ring center instead.
+    getBondCylinders(atom1, atom2, order, ringCenter = null) {
         const start = new THREE.Vector3(atom1.x, atom1.y, atom1.z);
         const end = new THREE.Vector3(atom2.x, atom2.y, atom2.z);
 
@@ -301,6 +1267,33 @@ class MoleculeVisualizer {
         }
         perpendicular.crossVectors(direction, perpendicular).normalize();
 
+        const axis = new THREE.Vector3(0, 1, 0);
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(axis, direction.clone().normalize());
+
+        if (ringCenter) {
+            // Toward the ring center, square to the bond
+            const unit = direction.clone().normalize();
+            const inward = new THREE.Vector3(ringCenter.x, ringCenter.y, ringCenter.z).sub(center);
+            inward.addScaledVector(unit, -inward.dot(unit));
+            if (inward.lengthSq() < 1e-6) inward.copy(perpendicular);
+            inward.setLength(AROMATIC_BOND.offset);
+
+            const cylinders = [{ position: center.clone(), quaternion: quaternion.clone(), length, radius: bondRadius }];
+            const span = length * (1 - 2 * AROMATIC_BOND.inset);
+            const dashLength = span / (2 * AROMATIC_BOND.dashes - 1);
+            for (let i = 0; i < AROMATIC_BOND.dashes; i++) {
+                const along = -span / 2 + dashLength * (2 * i + 0.5);
+                cylinders.push({
+                    position: center.clone().add(inward).addScaledVector(unit, along),
+                    quaternion: quaternion.clone(),
+                    length: dashLength,
+                    radius: bondRadius * AROMATIC_BOND.radiusScale
+                });
+            }
+            return cylinders;
+        }
+
+        const cylinders = [];
         for (let i = 0; i < numBonds; i++) {
             let offset = new THREE.Vector3();
             if (numBonds > 1) {
@@ -308,33 +1301,29 @@ class MoleculeVisualizer {
                 offset = perpendicular.clone().multiplyScalar(offsetAmount);
             }
 
-            const geometry = new THREE.CylinderGeometry(bondRadius, bondRadius, length, 16);
-            const cylinder = new THREE.Mesh(geometry, this.bondMaterial);
-
-            cylinder.position.copy(center).add(offset);
-
-            const axis = new THREE.Vector3(0, 1, 0);
-            const quaternion = new THREE.Quaternion().setFromUnitVectors(axis, direction.clone().normalize());
-            cylinder.quaternion.copy(quaternion);
-
-            cylinder.castShadow = true;
-            cylinder.receiveShadow = true;
-
-            this.moleculeGroup.add(cylinder);
+            cylinders.push({
+                position: center.clone().add(offset),
+                quaternion: quaternion.clone(),
+                length,
+                radius: bondRadius
+            });
         }
+        return cylinders;
     }
 
-    centerMolecule() {
-        const box = new THREE.Box3().setFromObject(this.moleculeGroup);
+    // Center the model on its atoms and frame it with the camera
+    centerMolecule(molecule) {
+        const box = new THREE.Box3();
+        molecule.atoms.forEach(atom => box.expandByPoint(new THREE.Vector3(atom.x, atom.y, atom.z)));
         const center = box.getCenter(new THREE.Vector3());
 
-        this.moleculeGroup.children.forEach(child => {
-            child.position.sub(center);
-        });
+        this.moleculeCenter.copy(center);
+        this.moleculeGroup.position.copy(center).negate();
 
-        // Calculate optimal camera distance based on molecule size
+        // Calculate optimal camera distance based on molecule size (largest space-fill radius as margin)
         const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
+        const margin = Math.max(...molecule.atoms.map(atom => getAtomProperties(atom.element).vdwRadius)) * 2;
+        const maxDim = Math.max(size.x, size.y, size.z) + margin;
 
         // Use FOV to calculate proper distance
         const fov = this.camera.fov * (Math.PI / 180);
@@ -345,64 +1334,110 @@ class MoleculeVisualizer {
         this.controls.update();
     }
 
-    drawLewisStructure(molecule) {
-        const canvas = document.getElementById('lewis-canvas');
-        const ctx = canvas.getContext('2d');
+    // Size of the Lewis drawing in CSS pixels; the page canvas's bitmap may be
+    // denser on high-density screens
+    getLewisSize() {
+        const ratio = this.lewisView ? this.lewisView.pixelRatio : 1;
+        return { width: this.lewisCanvas.width / ratio, height: this.lewisCanvas.height / ratio };
+    }
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // Draw the Lewis structure. Defaults to the on-page canvas; image export passes
+    // its own canvas with a scale factor and a background color (or 'transparent').
+    // The main viewer's page canvas also takes its zoom, pan and linked highlight.
+    drawLewisStructure(molecule, canvas = this.lewisCanvas, options = {}) {
+        const interactive = canvas === this.lewisCanvas && this.lewisView;
+        if (interactive) options = { ...this.lewisView.getDrawOptions(), ...options };
 
-        if (!molecule.atoms || molecule.atoms.length === 0) return;
+        const layout = this.renderLewisStructure(molecule, new CanvasLewisRenderer(canvas, options), options);
+        if (interactive) this.lewisView.setLayout(molecule, layout);
+    }
 
-        // Valence electrons for common elements
-        const valenceElectrons = {
-            'H': 1, 'C': 4, 'N': 5, 'O': 6, 'F': 7, 'Cl': 7, 'Br': 7, 'I': 7,
-            'S': 6, 'P': 5, 'B': 3, 'Si': 4
-        };
+    // SVG markup of the Lewis structure as it is drawn on the page, without the
+    // page's zoom and highlight
+    getLewisSvg(molecule, background) {
+        const { width, height } = this.getLewisSize();
+        const renderer = new SvgLewisRenderer(width, height, { background });
+        this.renderLewisStructure(molecule, renderer, { background });
+        return renderer.toString();
+    }
 
-        // Element colors
-        const elementColors = {
-            'C': '#888888', 'H': '#ffffff', 'O': '#ff4444', 'N': '#4444ff',
-            'S': '#ffff00', 'P': '#ff8800', 'F': '#00ff00', 'Cl': '#00dd00',
-            'Br': '#884400', 'I': '#6600bb'
+    // Draw the Lewis structure through a canvas or SVG renderer (lewisrender.js).
+    // Returns the atom positions and the atoms left out, or null with no atoms.
+    renderLewisStructure(molecule, renderer, { background = null, highlight = null } = {}) {
+        const { width, height } = renderer;
+        if (!molecule.atoms || molecule.atoms.length === 0) return null;
+
+        // Element colors from the active scheme. Light backgrounds (printed
+        // worksheets) need darker ink for bonds and pale elements such as C, H and S.
+        const lightBackground = background === '#ffffff';
+        const defaultColor = lightBackground ? '#333333' : '#ffffff';
+        const elementColors = {};
+        const elementColor = (element) => {
+            if (!ELEMENTS[element]) return defaultColor;
+            if (!elementColors[element]) {
+                const color = new THREE.Color(getAtomProperties(element).color);
+                const { l } = color.getHSL({});
+                if (lightBackground && l > LEWIS_MAX_LIGHTNESS_ON_WHITE) color.offsetHSL(0, 0, LEWIS_MAX_LIGHTNESS_ON_WHITE - l);
+                elementColors[element] = `#${color.getHexString()}`;
+            }
+            return elementColors[element];
         };
 
+        // The resonance contributor on show sets the bond orders and formal charges
+        const contributors = getResonanceContributors(molecule);
+        const contributorIndex = Math.min(this.resonanceIndex, contributors.length - 1);
+        const { orders, charges } = contributors[contributorIndex];
+
         // Build adjacency and count bonds per atom
         const neighbors = molecule.atoms.map(() => []);
         const bondOrders = molecule.atoms.map(() => ({})); // bondOrders[i][j] = order
-        molecule.bonds.forEach(bond => {
+        molecule.bonds.forEach((bond, bondIndex) => {
             neighbors[bond.from].push(bond.to);
             neighbors[bond.to].push(bond.from);
-            bondOrders[bond.from][bond.to] = bond.order;
-            bondOrders[bond.to][bond.from] = bond.order;
+            bondOrders[bond.from][bond.to] = orders[bondIndex];
+            bondOrders[bond.to][bond.from] = orders[bondIndex];
         });
 
         // Calculate electron domains (bonds + lone pairs) for each atom
         const atomInfo = molecule.atoms.map((atom, i) => {
             const element = atom.element;
-            const valence = valenceElectrons[element] || 4;
+            const valence = getAtomProperties(element).valenceElectrons || 4;
             const bondCount = neighbors[i].length;
             const bondedElectrons = neighbors[i].reduce((sum, j) => sum + (bondOrders[i][j] || 1), 0);
-            const lonePairs = Math.max(0, Math.floor((valence - bondedElectrons) / 2));
+            // Formal charge and unpaired radical electrons change the non-bonding count
+            const nonBondingElectrons = getNonBondingElectrons(atom, charges[i], bondedElectrons);
+            const lonePairs = Math.max(0, Math.floor(nonBondingElectrons / 2));
             const totalDomains = bondCount + lonePairs;
             return { element, valence, bondCount, lonePairs, totalDomains };
         });
 
+        // Atoms the drawing mode leaves out or draws without a label
+        const { hidden, hydrogens, labeled } = this.getLewisDisplay(molecule, neighbors, charges);
+        const bondShown = (bond) => !hidden[bond.from] && !hidden[bond.to];
+
         // Compute positions using BFS from a central atom, placing bonds at optimal angles
-        const positions = this.computeLewisPositions(molecule, neighbors, atomInfo);
+        const positions = this.computeLewisPositions(molecule, neighbors, atomInfo, width, height, hidden);
 
-        // Now compute the actual angles each bond makes from each atom's perspective
+        // Now compute the actual angles each drawn bond makes from each atom's perspective
         const bondAngles = molecule.atoms.map(() => []);
-        molecule.bonds.forEach(bond => {
+        molecule.bonds.filter(bondShown).forEach(bond => {
             const p1 = positions[bond.from];
             const p2 = positions[bond.to];
             bondAngles[bond.from].push(Math.atan2(p2.y - p1.y, p2.x - p1.x));
             bondAngles[bond.to].push(Math.atan2(p1.y - p2.y, p1.x - p2.x));
         });
 
-        // Draw bonds
-        ctx.lineWidth = 2;
-        ctx.strokeStyle = '#aaaaaa';
-        molecule.bonds.forEach(bond => {
+        // Atom or bond highlighted from either view, underneath everything
+        if (highlight) this.drawLewisHighlight(renderer, molecule, positions, neighbors, hidden, highlight);
+
+        // Draw bonds. Aromatic rings get single lines and an inner circle rather
+        // than one of their Kekulé structures; stereo bonds are wedges (toward the
+        // viewer) or hashes (away), narrow at the stereocenter.
+        const { rings, aromaticBondRing } = getRingInfo(molecule);
+        const wedges = getStereoWedges(molecule, positions, hidden);
+        const bondColor = lightBackground ? '#444444' : '#aaaaaa';
+        molecule.bonds.forEach((bond, bondIndex) => {
+            if (!bondShown(bond)) return;
             const p1 = positions[bond.from];
             const p2 = positions[bond.to];
             const dx = p2.x - p1.x;
@@ -411,25 +1446,63 @@ class MoleculeVisualizer {
             const perpX = -dy / len * 3;
             const perpY = dx / len * 3;
 
-            const order = Math.min(bond.order, 3);
+            const wedge = wedges.get(bondIndex);
+            if (wedge) {
+                const [narrow, wide] = wedge.from === bond.from ? [p1, p2] : [p2, p1];
+                // Half the width of the wide end
+                const wideX = perpX * 4 / 3;
+                const wideY = perpY * 4 / 3;
+                if (wedge.type === 'wedge') {
+                    renderer.polygon([
+                        narrow,
+                        { x: wide.x + wideX, y: wide.y + wideY },
+                        { x: wide.x - wideX, y: wide.y - wideY }
+                    ], { color: bondColor });
+                } else {
+                    const steps = Math.max(3, Math.round(len / 5));
+                    for (let i = 1; i <= steps; i++) {
+                        const t = i / steps;
+                        const x = narrow.x + (wide.x - narrow.x) * t;
+                        const y = narrow.y + (wide.y - narrow.y) * t;
+                        renderer.line(x + wideX * t, y + wideY * t, x - wideX * t, y - wideY * t, { color: bondColor, width: 1.5 });
+                    }
+                }
+                return;
+            }
+
+            const order = aromaticBondRing.has(bondIndex) ? 1 : Math.min(orders[bondIndex], 3);
             for (let i = 0; i < order; i++) {
                 const offset = (i - (order - 1) / 2);
-                ctx.beginPath();
-                ctx.moveTo(p1.x + perpX * offset, p1.y + perpY * offset);
-                ctx.lineTo(p2.x + perpX * offset, p2.y + perpY * offset);
-                ctx.stroke();
+                renderer.line(p1.x + perpX * offset, p1.y + perpY * offset, p2.x + perpX * offset, p2.y + perpY * offset, { color: bondColor });
             }
         });
 
+        rings.filter(ring => ring.aromatic).forEach(ring => {
+            const points = ring.atoms.map(atom => positions[atom]);
+            const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const centerY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            // Well inside the bond midpoints, clear of the atom labels
+            const inradius = points.reduce((sum, p, k) => {
+                const next = points[(k + 1) % points.length];
+                return sum + Math.hypot((p.x + next.x) / 2 - centerX, (p.y + next.y) / 2 - centerY);
+            }, 0) / points.length;
+            renderer.circle(centerX, centerY, inradius * 0.6, { stroke: bondColor, width: 2 });
+        });
+
         // Draw atoms and lone pairs
         molecule.atoms.forEach((atom, index) => {
+            if (hidden[index]) return;
             const p = positions[index];
             const info = atomInfo[index];
             const element = info.element;
 
+            // Hydrogens in the label go on the side away from the bonds
+            const hydrogensFirst = bondAngles[index].length > 0
+                ? bondAngles[index].reduce((sum, angle) => sum + Math.cos(angle), 0) > 0.1
+                : LEWIS_HYDROGENS_FIRST.includes(element);
+
             // Draw lone pairs at positions not occupied by bonds
             if (info.lonePairs > 0 && element !== 'C' && element !== 'H') {
-                ctx.fillStyle = elementColors[element] || '#ffffff';
                 const dotRadius = 2;
                 const dotDistance = 14;
 
@@ -437,8 +1510,9 @@ class MoleculeVisualizer {
                 const totalDomains = info.totalDomains;
                 const optimalAngles = this.getOptimalAngles(totalDomains);
 
-                // Find which optimal angles are used by bonds
+                // Find which optimal angles are used by bonds, or by hydrogens in the label
                 const usedAngles = bondAngles[index].slice();
+                if (hydrogens[index] > 0) usedAngles.push(hydrogensFirst ? Math.PI : 0);
 
                 // Find unused angles for lone pairs
                 const unusedAngles = optimalAngles.filter(optAngle => {
@@ -457,26 +1531,212 @@ class MoleculeVisualizer {
                     const perpX = -Math.sin(angle) * 3;
                     const perpY = Math.cos(angle) * 3;
 
-                    ctx.beginPath();
-                    ctx.arc(p.x + dx + perpX, p.y + dy + perpY, dotRadius, 0, Math.PI * 2);
-                    ctx.fill();
-                    ctx.beginPath();
-                    ctx.arc(p.x + dx - perpX, p.y + dy - perpY, dotRadius, 0, Math.PI * 2);
-                    ctx.fill();
+                    renderer.circle(p.x + dx + perpX, p.y + dy + perpY, dotRadius, { fill: elementColor(element) });
+                    renderer.circle(p.x + dx - perpX, p.y + dy - perpY, dotRadius, { fill: elementColor(element) });
                 }
             }
 
-            // Draw element symbol with background circle
-            ctx.fillStyle = '#1a1a2e';
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, 10, 0, Math.PI * 2);
-            ctx.fill();
+            // Skeletal carbons are bare vertices
+            if (!labeled[index]) return;
+            const labelRight = this.drawLewisAtomLabel(renderer, p, element, hydrogens[index], hydrogensFirst, elementColor);
 
-            ctx.fillStyle = elementColors[element] || '#ffffff';
-            ctx.font = 'bold 12px Arial';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.fillText(element, p.x, p.y);
+            // Formal charge at the upper right
+            if (charges[index]) {
+                const magnitude = Math.abs(charges[index]);
+                const text = `${magnitude > 1 ? magnitude : ''}${charges[index] > 0 ? '+' : '−'}`;
+                renderer.text(text, Math.max(p.x + 11, labelRight + 5), p.y - 10, { color: defaultColor, size: 10 });
+            }
+        });
+
+        // Electron pushing for the step ▶ takes, to the next structure in the list
+        if (contributors.length > 1) {
+            const target = contributors[(contributorIndex + 1) % contributors.length];
+            this.drawResonanceArrows(renderer, molecule, positions, getResonanceArrows(molecule, contributors[contributorIndex], target), lightBackground);
+        }
+
+        if (this.showStereo) {
+            this.drawLewisStereoLabels(renderer, molecule, positions, bondAngles, lightBackground);
+        }
+        return { positions, hidden };
+    }
+
+    // A translucent disc under an atom or band along a bond. Hydrogens left out
+    // of the drawing (and their bonds) light up the atom whose label holds them.
+    drawLewisHighlight(renderer, molecule, positions, neighbors, hidden, target) {
+        let atom = target.atom;
+        let bond = target.bond !== undefined ? molecule.bonds[target.bond] : null;
+        if (bond && (hidden[bond.from] || hidden[bond.to])) {
+            atom = hidden[bond.from] ? bond.to : bond.from;
+            bond = null;
+        }
+        if (!bond && hidden[atom]) atom = neighbors[atom][0];
+
+        const color = `#${new THREE.Color(LINK_HIGHLIGHT_COLOR).getHexString()}`;
+        if (bond) {
+            const p1 = positions[bond.from];
+            const p2 = positions[bond.to];
+            renderer.line(p1.x, p1.y, p2.x, p2.y, { color, width: 12, cap: 'round', opacity: LINK_HIGHLIGHT_OPACITY });
+        } else {
+            renderer.circle(positions[atom].x, positions[atom].y, 16, { fill: color, opacity: LINK_HIGHLIGHT_OPACITY });
+        }
+    }
+
+    // Which atoms the Lewis mode leaves out: in condensed and skeletal mode the
+    // hydrogens on heavier atoms, counted into those atoms' labels (CH3, OH), and
+    // in skeletal mode the labels of plain carbons, drawn as bare line ends and
+    // vertices. Deuterium and the like keep their own label.
+    getLewisDisplay(molecule, neighbors, charges) {
+        const { atoms } = molecule;
+        const hidden = atoms.map(() => false);
+        const hydrogens = atoms.map(() => 0);
+        if (this.lewisMode !== 'full') {
+            atoms.forEach((atom, index) => {
+                if (atom.element !== 'H' || atom.isotope || neighbors[index].length !== 1) return;
+                const heavy = neighbors[index][0];
+                if (atoms[heavy].element === 'H') return;
+                hidden[index] = true;
+                hydrogens[heavy]++;
+            });
+        }
+
+        // Charged, radical or labeled carbons and lone carbons (methane) stay written out
+        const labeled = atoms.map((atom, index) => {
+            if (this.lewisMode !== 'skeletal' || atom.element !== 'C') return true;
+            if (charges[index] || atom.isotope || getRadicalElectrons(atom) > 0) return true;
+            return neighbors[index].every(j => hidden[j]);
+        });
+        return { hidden, hydrogens, labeled };
+    }
+
+    // Write an atom's symbol centered on it with its hydrogens (H, H2, ...) before
+    // or after, over a backdrop that hides the bond ends. Returns the right edge
+    // of the label.
+    drawLewisAtomLabel(renderer, p, element, hydrogenCount, hydrogensFirst, elementColor) {
+        const symbolWidth = renderer.measureText(element, 12);
+        const hydrogenWidth = hydrogenCount > 0 ? renderer.measureText('H', 12) : 0;
+        const countText = hydrogenCount > 1 ? String(hydrogenCount) : '';
+        const countWidth = countText ? renderer.measureText(countText, 9) : 0;
+        const groupWidth = hydrogenWidth + countWidth;
+        const left = p.x - symbolWidth / 2 - (hydrogensFirst ? groupWidth : 0);
+        const right = p.x + symbolWidth / 2 + (hydrogensFirst ? 0 : groupWidth);
+
+        renderer.backdrop([p.x, p.y, 10], groupWidth > 0 ? [left - 2, p.y - 9, right - left + 4, 18] : null);
+        renderer.text(element, p.x, p.y, { color: elementColor(element), size: 12 });
+
+        if (hydrogenCount > 0) {
+            const hydrogenX = hydrogensFirst ? left : p.x + symbolWidth / 2;
+            renderer.text('H', hydrogenX, p.y, { color: elementColor('H'), size: 12, align: 'left' });
+            if (countText) {
+                renderer.text(countText, hydrogenX + hydrogenWidth, p.y + 4, { color: elementColor('H'), size: 9, align: 'left' });
+            }
+        }
+        return right;
+    }
+
+    // Curved arrows from lone pairs (drawn just off the atom, on its open side)
+    // and bonds (their midpoints), bowed away from the middle of the molecule
+    drawResonanceArrows(renderer, molecule, positions, arrows, lightBackground) {
+        const centerX = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+        const centerY = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+        const neighbors = molecule.atoms.map(() => []);
+        molecule.bonds.forEach(bond => {
+            neighbors[bond.from].push(bond.to);
+            neighbors[bond.to].push(bond.from);
+        });
+
+        const lonePairPoint = (atom) => {
+            const p = positions[atom];
+            let dx = neighbors[atom].reduce((sum, j) => sum + p.x - positions[j].x, 0);
+            let dy = neighbors[atom].reduce((sum, j) => sum + p.y - positions[j].y, 0);
+            const length = Math.hypot(dx, dy);
+            if (length < 1e-6) {
+                dx = 0;
+                dy = -1;
+            } else {
+                dx /= length;
+                dy /= length;
+            }
+            return { x: p.x + dx * 16, y: p.y + dy * 16 };
+        };
+        const point = (end) => {
+            if (end.atom !== undefined) return lonePairPoint(end.atom);
+            const bond = molecule.bonds[end.bond];
+            return {
+                x: (positions[bond.from].x + positions[bond.to].x) / 2,
+                y: (positions[bond.from].y + positions[bond.to].y) / 2
+            };
+        };
+
+        const color = lightBackground ? RESONANCE_ARROW_COLORS.onWhite : RESONANCE_ARROW_COLORS.onDark;
+        arrows.forEach(arrow => {
+            const start = point(arrow.from);
+            const end = point(arrow.to);
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const length = Math.hypot(dx, dy) || 1;
+            let normalX = -dy / length;
+            let normalY = dx / length;
+            const midX = (start.x + end.x) / 2;
+            const midY = (start.y + end.y) / 2;
+            if (normalX * (midX - centerX) + normalY * (midY - centerY) < 0) {
+                normalX = -normalX;
+                normalY = -normalY;
+            }
+            const bow = Math.max(10, length * 0.5);
+            const controlX = midX + normalX * bow;
+            const controlY = midY + normalY * bow;
+
+            renderer.curve(start.x, start.y, controlX, controlY, end.x, end.y, { color, width: 1.5 });
+
+            // Head along the curve's direction at its end
+            const angle = Math.atan2(end.y - controlY, end.x - controlX);
+            renderer.polygon([
+                end,
+                { x: end.x - 7 * Math.cos(angle - 0.45), y: end.y - 7 * Math.sin(angle - 0.45) },
+                { x: end.x - 7 * Math.cos(angle + 0.45), y: end.y - 7 * Math.sin(angle + 0.45) }
+            ], { color });
+        });
+    }
+
+    // Ring each stereocenter and write its R/S in the widest gap between its
+    // bonds; write E/Z beside stereogenic double bonds, on the outer side
+    drawLewisStereoLabels(renderer, molecule, positions, bondAngles, lightBackground) {
+        const { centers, doubleBonds } = getStereoInfo(molecule);
+        const color = lightBackground ? STEREO_LEWIS_COLOR_ON_WHITE : `#${new THREE.Color(STEREO_COLOR).getHexString()}`;
+
+        centers.forEach(({ atom, descriptor }) => {
+            const p = positions[atom];
+            renderer.circle(p.x, p.y, 13, { stroke: color, width: 1.5 });
+
+            const angles = bondAngles[atom].slice().sort((a, b) => a - b);
+            let labelAngle = -Math.PI / 2;
+            let widestGap = 0;
+            angles.forEach((angle, i) => {
+                const next = i + 1 < angles.length ? angles[i + 1] : angles[0] + Math.PI * 2;
+                if (next - angle > widestGap) {
+                    widestGap = next - angle;
+                    labelAngle = angle + widestGap / 2;
+                }
+            });
+            renderer.text(descriptor, p.x + Math.cos(labelAngle) * 22, p.y + Math.sin(labelAngle) * 22, { color, size: 11 });
+        });
+
+        const centerX = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+        const centerY = positions.reduce((sum, p) => sum + p.y, 0) / positions.length;
+        doubleBonds.forEach(({ bond: bondIndex, descriptor }) => {
+            const bond = molecule.bonds[bondIndex];
+            const p1 = positions[bond.from];
+            const p2 = positions[bond.to];
+            const midX = (p1.x + p2.x) / 2;
+            const midY = (p1.y + p2.y) / 2;
+            const len = Math.hypot(p2.x - p1.x, p2.y - p1.y) || 1;
+            let normalX = -(p2.y - p1.y) / len;
+            let normalY = (p2.x - p1.x) / len;
+            if (normalX * (midX - centerX) + normalY * (midY - centerY) < 0) {
+                normalX = -normalX;
+                normalY = -normalY;
+            }
+            renderer.text(descriptor, midX + normalX * 12, midY + normalY * 12, { color, size: 11 });
         });
     }
 
@@ -491,35 +1751,10 @@ class MoleculeVisualizer {
         return angles;
     }
 
-    // Check if molecule has rings (cycles) using DFS
-    hasRings(neighbors) {
-        const n = neighbors.length;
-        const visited = new Array(n).fill(false);
-        const parent = new Array(n).fill(-1);
-
-        const dfs = (current) => {
-            visited[current] = true;
-            for (const neighbor of neighbors[current]) {
-                if (!visited[neighbor]) {
-                    parent[neighbor] = current;
-                    if (dfs(neighbor)) return true;
-                } else if (neighbor !== parent[current]) {
-                    return true; // Found a cycle
-                }
-            }
-            return false;
-        };
-
-        for (let i = 0; i < n; i++) {
-            if (!visited[i] && dfs(i)) return true;
-        }
-        return false;
-    }
-
     // Compute 2D positions for Lewis structure
-    // Uses PubChem's 2D coordinates when available, otherwise VSEPR-style angles
-    computeLewisPositions(molecule, neighbors, atomInfo) {
-        const canvas = document.getElementById('lewis-canvas');
+    // Uses PubChem's 2D coordinates when available, otherwise VSEPR-style angles.
+    // Only the atoms that will be drawn (not `hidden`) are fitted to the canvas.
+    computeLewisPositions(molecule, neighbors, atomInfo, width, height, hidden = []) {
         const padding = 25;
         const minBondLength = 25; // Minimum bond length in final canvas coordinates
 
@@ -539,7 +1774,8 @@ class MoleculeVisualizer {
         // Center and scale to fit canvas
         let minX = Infinity, maxX = -Infinity;
         let minY = Infinity, maxY = -Infinity;
-        positions.forEach(p => {
+        positions.forEach((p, index) => {
+            if (hidden[index]) return;
             minX = Math.min(minX, p.x);
             maxX = Math.max(maxX, p.x);
             minY = Math.min(minY, p.y);
@@ -548,12 +1784,12 @@ class MoleculeVisualizer {
 
         const rangeX = maxX - minX || 1;
         const rangeY = maxY - minY || 1;
-        const scaleX = (canvas.width - padding * 2) / rangeX;
-        const scaleY = (canvas.height - padding * 2) / rangeY;
+        const scaleX = (width - padding * 2) / rangeX;
+        const scaleY = (height - padding * 2) / rangeY;
         const scale = Math.min(scaleX, scaleY);
 
-        const centerX = canvas.width / 2;
-        const centerY = canvas.height / 2;
+        const centerX = width / 2;
+        const centerY = height / 2;
         const midX = (minX + maxX) / 2;
         const midY = (minY + maxY) / 2;
 
@@ -653,10 +1889,14 @@ class MoleculeVisualizer {
         document.getElementById('molecule-name').textContent = molecule.name || 'Unknown';
         document.getElementById('molecule-formula').textContent = molecule.formula || '';
         document.getElementById('molecule-weight').textContent = molecule.weight ?
-            `MW: ${parseFloat(molecule.weight).toFixed(2)} g/mol` : '';
+            `MW: ${parseFloat(molecule.weight).toFixed(2)} g/mol` :
+            (molecule.source === 'file' || molecule.source === 'smiles' ? 'MW: unavailable (unknown element)' : '');
 
-        // Draw Lewis structure
+        // Draw Lewis structure, starting from the structure as given
+        this.resonanceIndex = 0;
+        this.updateResonanceControls(molecule);
         this.drawLewisStructure(molecule);
+        this.renderColorLegend(molecule);
 
         // Build info text with description
         const infoLines = [];
@@ -675,16 +1915,46 @@ class MoleculeVisualizer {
             infoLines.push('(2D structure - 3D not available)');
         }
 
+        if (molecule.source === 'smiles') {
+            infoLines.push('');
+            infoLines.push('(Built from SMILES in the browser - the 3D shape is an approximate embedding)');
+        }
+
+        if (molecule.bonds.some(bond => bond.perceived)) {
+            infoLines.push('');
+            infoLines.push('(Bonds and bond orders were inferred from the 3D distances - the source had none)');
+        }
+
+        if (pubchem.offline && molecule.cachedAt) {
+            infoLines.push('');
+            infoLines.push(`(Offline copy saved ${new Date(molecule.cachedAt).toLocaleDateString()})`);
+        }
+
         document.getElementById('molecule-info').textContent = infoLines.join('\n');
 
         // Properties grid
         const propsEl = document.getElementById('molecule-properties');
         const props = [];
 
+        // Imported files and SMILES only carry a structure, so PubChem-computed properties are marked unavailable
+        const isImported = molecule.source === 'file' || molecule.source === 'smiles';
+        const importedFrom = molecule.source === 'smiles' ? 'structures built from SMILES' : 'imported files';
+        const unavailable = (label, title) => ({
+            label, value: 'n/a', class: 'unavailable', title: `${title} (not available for ${importedFrom})`
+        });
+
         // Structure counts
         props.push({ label: 'Atoms', value: molecule.atoms.length });
         props.push({ label: 'Bonds', value: molecule.bonds.length });
 
+        // Smallest set of smallest rings, and how many are aromatic by Hückel's rule
+        const { rings } = getRingInfo(molecule);
+        props.push({ label: 'Rings', value: rings.length, title: 'Smallest set of smallest rings' });
+        if (rings.length > 0) {
+            props.push({ label: 'Ring Sizes', value: formatRingSizes(rings), title: 'Atoms per ring' });
+            props.push({ label: 'Aromatic', value: rings.filter(ring => ring.aromatic).length, title: 'Aromatic rings (4n + 2 pi electrons)' });
+        }
+
         // Formal charge
         if (molecule.charge !== undefined && molecule.charge !== 0) {
             const chargeStr = molecule.charge > 0 ? `+${molecule.charge}` : molecule.charge;
@@ -692,37 +1962,61 @@ class MoleculeVisualizer {
             props.push({ label: 'Charge', value: chargeStr, class: chargeClass });
         }
 
+        // Dipole moment from the Gasteiger partial charges; flat 2D coordinates cannot give one
+        const dipoleTitle = 'Approximate dipole moment from Gasteiger partial charges';
+        if (molecule.is2D) {
+            props.push({ label: 'Dipole', value: 'n/a', class: 'unavailable', title: `${dipoleTitle} (needs 3D coordinates)` });
+        } else if (molecule.atoms.length > 0) {
+            const dipole = computeDipoleMoment(molecule.atoms, getPartialCharges(molecule));
+            const ionNote = molecule.charge ? ' (about the center of the atoms, since the molecule is charged)' : '';
+            props.push({ label: 'Dipole', value: `${dipole.magnitude.toFixed(2)} D`, title: dipoleTitle + ionNote });
+        }
+
         // Exact mass
         if (molecule.exactMass) {
             props.push({ label: 'Exact Mass', value: parseFloat(molecule.exactMass).toFixed(4) });
+        } else if (isImported) {
+            props.push(unavailable('Exact Mass', 'Exact monoisotopic mass'));
         }
 
         // LogP (lipophilicity) - important for drug-likeness
         if (molecule.xlogp !== undefined) {
             props.push({ label: 'LogP', value: molecule.xlogp.toFixed(2), title: 'Octanol-water partition coefficient (lipophilicity)' });
+        } else if (isImported) {
+            props.push(unavailable('LogP', 'Octanol-water partition coefficient (lipophilicity)'));
         }
 
         // TPSA - polar surface area
         if (molecule.tpsa !== undefined) {
             props.push({ label: 'TPSA', value: `${molecule.tpsa.toFixed(1)} Å²`, title: 'Topological Polar Surface Area' });
+        } else if (isImported) {
+            props.push(unavailable('TPSA', 'Topological Polar Surface Area'));
         }
 
         // H-bond donors/acceptors
         if (molecule.hbondDonors !== undefined) {
             props.push({ label: 'H-Donors', value: molecule.hbondDonors, title: 'Hydrogen bond donors' });
+        } else if (isImported) {
+            props.push(unavailable('H-Donors', 'Hydrogen bond donors'));
         }
         if (molecule.hbondAcceptors !== undefined) {
             props.push({ label: 'H-Acceptors', value: molecule.hbondAcceptors, title: 'Hydrogen bond acceptors' });
+        } else if (isImported) {
+            props.push(unavailable('H-Acceptors', 'Hydrogen bond acceptors'));
         }
 
         // Rotatable bonds
         if (molecule.rotatableBonds !== undefined) {
             props.push({ label: 'Rotatable', value: molecule.rotatableBonds, title: 'Rotatable bonds (flexibility)' });
+        } else if (isImported) {
+            props.push(unavailable('Rotatable', 'Rotatable bonds (flexibility)'));
         }
 
         // Complexity
         if (molecule.complexity !== undefined) {
             props.push({ label: 'Complexity', value: Math.round(molecule.complexity), title: 'Molecular complexity score' });
+        } else if (isImported) {
+            props.push(unavailable('Complexity', 'Molecular complexity score'));
         }
 
         propsEl.innerHTML = props.map(p =>
@@ -737,7 +2031,7 @@ class MoleculeVisualizer {
         if (molecule.smiles) {
             smilesEl.innerHTML = `
                 <div class="smiles-label">SMILES</div>
-                <div class="smiles-value" title="Click to copy">${molecule.smiles}</div>
+                <div class="smiles-value" title="Click to copy">${escapeHtml(molecule.smiles)}</div>
             `;
             // Copy on click
             smilesEl.querySelector('.smiles-value').addEventListener('click', () => {
@@ -754,6 +2048,193 @@ class MoleculeVisualizer {
         } else {
             linksEl.innerHTML = '';
         }
+
+        // Similarity and substructure searches need a CID or SMILES to start from
+        const relatedEl = document.getElementById('molecule-related');
+        if (molecule.cid || molecule.smiles) {
+            relatedEl.innerHTML = `
+                <div class="export-label">Related Compounds</div>
+                <div class="export-buttons">
+                    <button class="export-btn" id="find-similar-btn">Find similar</button>
+                    <label class="related-threshold" title="Minimum Tanimoto similarity of 2D fingerprints">
+                        &ge; <input type="range" id="similarity-threshold" min="70" max="100" step="5" value="${this.similarityThreshold}">
+                        <span id="similarity-threshold-value">${this.similarityThreshold}</span>%
+                    </label>
+                </div>
+                <div class="export-buttons">
+                    <button class="export-btn" id="find-substructure-btn">Find compounds containing this structure</button>
+                </div>
+            `;
+            document.getElementById('similarity-threshold').addEventListener('input', (e) => {
+                this.similarityThreshold = parseInt(e.target.value, 10);
+                document.getElementById('similarity-threshold-value').textContent = this.similarityThreshold;
+            });
+            document.getElementById('find-similar-btn').addEventListener('click', () => this.findRelated('similar'));
+            document.getElementById('find-substructure-btn').addEventListener('click', () => this.findRelated('substructure'));
+        } else {
+            relatedEl.innerHTML = '';
+        }
+
+        // Structure downloads
+        const exportEl = document.getElementById('molecule-export');
+        exportEl.innerHTML = `
+            <div class="export-label">Download</div>
+            <div class="export-buttons">
+                ${Object.entries(MOLECULE_EXPORT_FORMATS).map(([key, format]) =>
+                    `<button class="export-btn" data-format="${key}">${format.label}</button>`
+                ).join('')}
+            </div>
+            <div class="export-label">3D Model (current view)</div>
+            <div class="export-buttons">
+                ${Object.entries(MODEL_EXPORT_FORMATS).map(([key, format]) =>
+                    `<button class="export-btn" data-model="${key}" title="${format.title}">${format.label}</button>`
+                ).join('')}
+            </div>
+            <div class="export-label">Image (PNG)</div>
+            <div class="export-buttons image-export">
+                ${this.renderExportSelect('size', IMAGE_SIZES)}
+                ${this.renderExportSelect('background', IMAGE_BACKGROUNDS)}
+                ${this.renderExportSelect('content', IMAGE_CONTENTS)}
+                <button class="export-btn" id="export-image-btn">Save PNG</button>
+            </div>
+            <div class="export-label">Lewis Structure (SVG)</div>
+            <div class="export-buttons image-export">
+                ${this.renderExportSelect('svgBackground', IMAGE_BACKGROUNDS)}
+                <button class="export-btn" id="export-svg-btn" title="Vector drawing of the Lewis structure as shown">Save SVG</button>
+                <button class="export-btn" id="copy-svg-btn" title="Copy the SVG markup to paste into a vector editor or slides">Copy SVG</button>
+            </div>
+            <div class="export-status"></div>
+        `;
+        exportEl.querySelectorAll('.export-btn[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportMolecule(btn.dataset.format));
+        });
+        exportEl.querySelectorAll('.export-btn[data-model]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportModel(btn.dataset.model));
+        });
+        exportEl.querySelectorAll('.export-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.imageExportOptions[select.dataset.option] = select.value;
+            });
+        });
+        document.getElementById('export-image-btn').addEventListener('click', () => this.exportImage());
+        document.getElementById('export-svg-btn').addEventListener('click', () => this.exportLewisSvg());
+        document.getElementById('copy-svg-btn').addEventListener('click', () => this.copyLewisSvg());
+
+        this.comparisonView.update();
+    }
+
+    renderExportSelect(option, choices) {
+        return `<select class="export-select" data-option="${option}">
+            ${Object.entries(choices).map(([key, choice]) =>
+                `<option value="${key}" ${this.imageExportOptions[option] === key ? 'selected' : ''}>${choice.label}</option>`
+            ).join('')}
+        </select>`;
+    }
+
+    async exportImage() {
+        const molecule = this.currentMolecule;
+        const statusEl = document.querySelector('#molecule-export .export-status');
+        if (!molecule) return;
+
+        const { size, background, content } = this.imageExportOptions;
+        try {
+            const blob = await exportImage(this, molecule, this.imageExportOptions);
+            const suffix = content === '3d' ? this.viewStyle : content;
+            this.downloadFile(blob, `${this.getExportBaseName(molecule)}_${suffix}_${size}_${background}.png`);
+            statusEl.textContent = '';
+        } catch (error) {
+            console.error('Image export error:', error);
+            statusEl.textContent = error.message;
+        }
+    }
+
+    // The Lewis structure as shown (mode, resonance structure, stereo labels) as SVG
+    exportLewisSvg() {
+        const molecule = this.currentMolecule;
+        const statusEl = document.querySelector('#molecule-export .export-status');
+        if (!molecule || !molecule.atoms || molecule.atoms.length === 0) return;
+
+        const background = this.imageExportOptions.svgBackground;
+        const svg = this.getLewisSvg(molecule, IMAGE_BACKGROUNDS[background].color);
+        this.downloadFile(svg, `${this.getExportBaseName(molecule)}_lewis_${this.lewisMode}_${background}.svg`, 'image/svg+xml');
+        statusEl.textContent = '';
+    }
+
+    async copyLewisSvg() {
+        const molecule = this.currentMolecule;
+        const statusEl = document.querySelector('#molecule-export .export-status');
+        if (!molecule || !molecule.atoms || molecule.atoms.length === 0) return;
+
+        const svg = this.getLewisSvg(molecule, IMAGE_BACKGROUNDS[this.imageExportOptions.svgBackground].color);
+        try {
+            await navigator.clipboard.writeText(svg);
+            statusEl.textContent = 'SVG copied to the clipboard';
+        } catch (error) {
+            console.error('Clipboard error:', error);
+            statusEl.textContent = 'The browser did not allow copying to the clipboard.';
+        }
+    }
+
+    exportMolecule(formatKey) {
+        const molecule = this.currentMolecule;
+        const format = MOLECULE_EXPORT_FORMATS[formatKey];
+        const statusEl = document.querySelector('#molecule-export .export-status');
+        if (!molecule || !format) return;
+
+        try {
+            const content = format.write(molecule);
+            this.downloadFile(content, `${this.getExportBaseName(molecule)}.${format.extension}`, format.mimeType);
+            statusEl.textContent = '';
+        } catch (error) {
+            console.error('Export error:', error);
+            statusEl.textContent = error.message;
+        }
+    }
+
+    async exportModel(formatKey) {
+        const molecule = this.currentMolecule;
+        const statusEl = document.querySelector('#molecule-export .export-status');
+        if (!molecule || !molecule.atoms || molecule.atoms.length === 0) return;
+
+        const baseName = `${this.getExportBaseName(molecule)}_${this.viewStyle}`;
+        const model = formatKey === 'stl' ? buildPrintSolid(molecule, this) : buildExportModel(molecule, this);
+
+        try {
+            if (formatKey === 'glb') {
+                this.downloadFile(await writeGLB(model), `${baseName}.glb`);
+            } else if (formatKey === 'obj') {
+                const { obj, mtl } = writeOBJ(model, `${baseName}.mtl`);
+                this.downloadFile(obj, `${baseName}.obj`, 'model/obj');
+                this.downloadFile(mtl, `${baseName}.mtl`, 'model/mtl');
+            } else if (formatKey === 'stl') {
+                this.downloadFile(writeSTL(model), `${baseName}.stl`);
+            }
+            statusEl.textContent = '';
+        } catch (error) {
+            console.error('Model export error:', error);
+            statusEl.textContent = error.message;
+        } finally {
+            disposeExportModel(model);
+        }
+    }
+
+    // File-system safe base name for downloads, e.g. "caffeine_2519"
+    getExportBaseName(molecule) {
+        const name = (molecule.name || 'molecule').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 60);
+        return molecule.cid ? `${name || 'molecule'}_${molecule.cid}` : (name || 'molecule');
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     showLoading() {
@@ -770,6 +2251,8 @@ class MoleculeVisualizer {
         document.getElementById('molecule-weight').textContent = '';
         document.getElementById('molecule-info').textContent = message;
         document.getElementById('molecule-links').innerHTML = '';
+        document.getElementById('molecule-related').innerHTML = '';
+        document.getElementById('molecule-export').innerHTML = '';
     }
 
     onWindowResize() {
@@ -779,12 +2262,28 @@ class MoleculeVisualizer {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
+        this.requestRender();
+
+        if (this.lewisView) this.lewisView.resize();
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
-        this.controls.update();
+    // Draw a frame on the next animation frame (at most once per frame)
+    requestRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => this.renderFrame());
+    }
+
+    // Frames are only drawn while something changes: the camera is moving
+    // (user input, damping or auto-rotation) or the scene was updated
+    renderFrame() {
+        this.renderScheduled = false;
+        const cameraMoved = this.controls.update();
         this.renderer.render(this.scene, this.camera);
+
+        if (cameraMoved || (this.controls.autoRotate && this.currentMolecule)) {
+            this.requestRender();
+        }
     }
 }
 
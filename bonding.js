@@ -0,0 +1,254 @@
+// Bond perception
+// Infers connectivity from 3D distances for structures that arrive without
+// bonds (XYZ files, records that lost their bond block), then assigns bond
+// orders from valences and geometry. Perceived bonds carry `perceived: true`
+// so the viewer can say they were not in the source.
+
+// Two atoms bond when closer than their covalent radii plus this tolerance (Å),
+// but never when closer than the minimum (overlapping or duplicate atoms)
+const BOND_TOLERANCE = 0.45;
+const MIN_BOND_DISTANCE = 0.4;
+
+// Usual valences. S and P expand theirs to double-bond terminal O, S or N
+// (sulfoxides, sulfones, phosphates).
+const PERCEPTION_VALENCES = { H: 1, B: 3, C: 4, N: 3, O: 2, F: 1, Si: 4, P: 3, S: 2, Cl: 1, Se: 2, Br: 1, I: 1 };
+const EXPANDED_VALENCES = { P: 5, S: 6 };
+
+// Bond length over the sum of single-bond covalent radii below which a bond
+// can be double, or triple
+const MULTIPLE_BOND_RATIO = { double: 0.95, triple: 0.85 };
+
+// Bond angles only say something about the hybridization of period 2 atoms
+const GEOMETRY_ELEMENTS = ['B', 'C', 'N', 'O'];
+
+// Search budget for the exact double bond matching of one conjugated system
+const BOND_ORDER_SEARCH_BUDGET = 20000;
+
+function atomDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Bond length relative to a single bond between the two elements
+function bondLengthRatio(atoms, bond) {
+    const a = atoms[bond.from];
+    const b = atoms[bond.to];
+    const single = getAtomProperties(a.element).covalentRadius + getAtomProperties(b.element).covalentRadius;
+    return atomDistance(a, b) / single;
+}
+
+// Single bonds between every pair of atoms within bonding distance. Atoms are
+// binned into a grid of cells as wide as the longest possible bond, so each
+// atom is only compared with those in its own and the 26 surrounding cells.
+function findBondsByDistance(atoms) {
+    const radii = atoms.map(atom => getAtomProperties(atom.element).covalentRadius);
+    const cellSize = 2 * Math.max(...radii) + BOND_TOLERANCE;
+    const cellOf = (atom) => [atom.x, atom.y, atom.z].map(value => Math.floor(value / cellSize));
+
+    const grid = new Map();
+    atoms.forEach((atom, index) => {
+        const key = cellOf(atom).join(',');
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(index);
+    });
+
+    const bonds = [];
+    atoms.forEach((atom, i) => {
+        const [cx, cy, cz] = cellOf(atom);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(j => {
+                        if (j <= i) return;
+                        const distance = atomDistance(atom, atoms[j]);
+                        if (distance >= MIN_BOND_DISTANCE && distance <= radii[i] + radii[j] + BOND_TOLERANCE) {
+                            bonds.push({ from: i, to: j, order: 1, distance });
+                        }
+                    });
+                }
+            }
+        }
+    });
+
+    // A hydrogen keeps only its nearest partner
+    const nearestToHydrogen = new Map();
+    bonds.forEach(bond => {
+        [bond.from, bond.to].forEach(end => {
+            if (atoms[end].element !== 'H') return;
+            const current = nearestToHydrogen.get(end);
+            if (!current || bond.distance < current.distance) nearestToHydrogen.set(end, bond);
+        });
+    });
+
+    return bonds
+        .filter(bond => [bond.from, bond.to].every(end => atoms[end].element !== 'H' || nearestToHydrogen.get(end) === bond))
+        .map(({ from, to, order }) => ({ from, to, order }));
+}
+
+// Unit vectors from an atom to each of its partners
+function bondDirections(atoms, index, partners) {
+    const atom = atoms[index];
+    return partners.map(j => {
+        const p = atoms[j];
+        const length = atomDistance(atom, p);
+        return [(p.x - atom.x) / length, (p.y - atom.y) / length, (p.z - atom.z) / length];
+    });
+}
+
+function bondAngle(u, v) {
+    return Math.acos(Math.max(-1, Math.min(1, u[0] * v[0] + u[1] * v[1] + u[2] * v[2]))) * 180 / Math.PI;
+}
+
+// Nitro groups, N-oxides and nitrones: a trigonal planar N with a terminal O
+// has a fourth bond as N+, and the O with the longest bond to it stays single
+// as O-. Returns a Map from each such N to its O-.
+function findNitrogenOxides(atoms, bondsByAtom) {
+    const oxides = new Map();
+    atoms.forEach((atom, index) => {
+        if (atom.element !== 'N' || bondsByAtom[index].length !== 3) return;
+        const partners = bondsByAtom[index].map(bond => (bond.from === index ? bond.to : bond.from));
+        const oxygens = bondsByAtom[index].filter(bond => {
+            const other = bond.from === index ? bond.to : bond.from;
+            return atoms[other].element === 'O' && bondsByAtom[other].length === 1;
+        });
+        if (oxygens.length === 0) return;
+
+        const [a, b, c] = bondDirections(atoms, index, partners);
+        if (bondAngle(a, b) + bondAngle(a, c) + bondAngle(b, c) <= 350) return;
+        const longest = oxygens.reduce((x, y) => (bondLengthRatio(atoms, y) > bondLengthRatio(atoms, x) ? y : x));
+        oxides.set(index, longest.from === index ? longest.to : longest.from);
+    });
+    return oxides;
+}
+
+// How many extra bond orders an atom can take: what its valence leaves over,
+// limited for period 2 atoms by their geometry (tetrahedral takes none,
+// trigonal planar one, linear two) or, for terminal and tightly bent atoms, by
+// bond length. oxides comes from findNitrogenOxides.
+function getUnsaturation(atoms, index, bondsByAtom, oxides) {
+    const atom = atoms[index];
+    const atomBonds = bondsByAtom[index];
+    const valence = PERCEPTION_VALENCES[atom.element];
+    if (!valence || atomBonds.length === 0) return 0;
+    if ([...oxides.values()].includes(index)) return 0;
+
+    const partners = atomBonds.map(bond => (bond.from === index ? bond.to : bond.from));
+    let maxValence = oxides.has(index) ? valence + 1 : valence;
+    if (EXPANDED_VALENCES[atom.element]) {
+        const terminal = partners.filter(j => ['O', 'S', 'N'].includes(atoms[j].element) && bondsByAtom[j].length === 1).length;
+        maxValence = Math.max(valence, Math.min(EXPANDED_VALENCES[atom.element], atomBonds.length + terminal));
+    }
+    const free = maxValence - atomBonds.length;
+    if (free <= 0) return 0;
+    if (!GEOMETRY_ELEMENTS.includes(atom.element)) return free;
+
+    if (atomBonds.length === 1) {
+        const ratio = bondLengthRatio(atoms, atomBonds[0]);
+        const geometric = ratio < MULTIPLE_BOND_RATIO.triple ? 2 : ratio < MULTIPLE_BOND_RATIO.double ? 1 : 0;
+        return Math.min(free, geometric);
+    }
+
+    const directions = bondDirections(atoms, index, partners);
+    const angle = bondAngle;
+
+    if (directions.length === 2) {
+        const bend = angle(directions[0], directions[1]);
+        if (bend > 155) return Math.min(free, 2);
+        if (bend > 115) return Math.min(free, 1);
+        // Five-membered rings squeeze sp2 angles to about 108°, so a short bond decides
+        const shortest = Math.min(...atomBonds.map(bond => bondLengthRatio(atoms, bond)));
+        return Math.min(free, shortest < MULTIPLE_BOND_RATIO.double ? 1 : 0);
+    }
+    if (directions.length === 3) {
+        const angleSum = angle(directions[0], directions[1]) + angle(directions[0], directions[2]) + angle(directions[1], directions[2]);
+        return Math.min(free, angleSum > 350 ? 1 : 0);
+    }
+    return 0;
+}
+
+// Raise bond orders where both atoms have room for more. Triple bonds go first;
+// double bonds are then matched so every unsaturated atom in a conjugated system
+// gets one (a Kekulé structure for aromatic rings), short bonds preferred. A
+// system that cannot be matched exactly (a carboxylate, say) is filled greedily.
+function assignBondOrders(atoms, bonds) {
+    const bondsByAtom = atoms.map(() => []);
+    bonds.forEach(bond => {
+        bondsByAtom[bond.from].push(bond);
+        bondsByAtom[bond.to].push(bond);
+    });
+    const oxides = findNitrogenOxides(atoms, bondsByAtom);
+    const capacity = atoms.map((atom, index) => getUnsaturation(atoms, index, bondsByAtom, oxides));
+
+    const ratios = new Map(bonds.map(bond => [bond, bondLengthRatio(atoms, bond)]));
+    bonds.forEach(bond => {
+        if (capacity[bond.from] >= 2 && capacity[bond.to] >= 2 && ratios.get(bond) < MULTIPLE_BOND_RATIO.triple) {
+            bond.order = 3;
+            capacity[bond.from] -= 2;
+            capacity[bond.to] -= 2;
+        }
+    });
+
+    const candidates = atoms.map(() => []);
+    bonds.forEach(bond => {
+        if (bond.order === 1 && capacity[bond.from] > 0 && capacity[bond.to] > 0 && ratios.get(bond) < MULTIPLE_BOND_RATIO.double) {
+            candidates[bond.from].push(bond);
+            candidates[bond.to].push(bond);
+        }
+    });
+    candidates.forEach(list => list.sort((a, b) => ratios.get(a) - ratios.get(b)));
+
+    // Conjugated systems: atoms linked by candidate bonds
+    const seen = atoms.map(() => false);
+    atoms.forEach((atom, start) => {
+        if (seen[start] || candidates[start].length === 0) return;
+        const system = [start];
+        seen[start] = true;
+        for (let k = 0; k < system.length; k++) {
+            candidates[system[k]].forEach(bond => {
+                const other = bond.from === system[k] ? bond.to : bond.from;
+                if (!seen[other]) {
+                    seen[other] = true;
+                    system.push(other);
+                }
+            });
+        }
+        // Most constrained atoms first
+        system.sort((a, b) => candidates[a].length - candidates[b].length);
+
+        let budget = BOND_ORDER_SEARCH_BUDGET;
+        const match = (position, allowUnfilled) => {
+            while (position < system.length && capacity[system[position]] === 0) position++;
+            if (position >= system.length) return true;
+            if (--budget < 0) return false;
+
+            const current = system[position];
+            for (const bond of candidates[current]) {
+                const other = bond.from === current ? bond.to : bond.from;
+                if (bond.order !== 1 || capacity[other] === 0) continue;
+                bond.order = 2;
+                capacity[current]--;
+                capacity[other]--;
+                // The same atom again, in case it takes a second double bond
+                if (match(position, allowUnfilled)) return true;
+                bond.order = 1;
+                capacity[current]++;
+                capacity[other]++;
+            }
+            return allowUnfilled && match(position + 1, true);
+        };
+
+        if (!match(0, false)) {
+            budget = Infinity;
+            match(0, true);
+        }
+    });
+    return bonds;
+}
+
+// Bonds with orders for atoms that came without any, each marked as perceived
+function perceiveBonds(atoms) {
+    if (atoms.length < 2) return [];
+
+    const bonds = assignBondOrders(atoms, findBondsByDistance(atoms));
+    bonds.forEach(bond => { bond.perceived = true; });
+    return bonds;
+}
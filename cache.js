@@ -0,0 +1,315 @@
+// Offline compound cache
+// Keeps compounds fetched from PubChem in IndexedDB, keyed by CID with a
+// normalized-name lookup, so repeat visits and offline classrooms need no network
+
+const CACHE_DB_NAME = 'ochem-visualizer';
+const CACHE_DB_VERSION = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_LIMITS = {
+    maxCompounds: 500,                 // Least recently used compounds are evicted beyond this
+    maxBytes: 50 * 1024 * 1024,        // Approximate serialized size of all compounds
+    compoundMaxAge: 30 * DAY_MS,       // Older entries are refreshed when online
+    maxSearches: 1000,
+    searchMaxAge: 7 * DAY_MS
+};
+
+// "  Acetic   Acid " -> "acetic acid"
+function normalizeCompoundName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Wrap an IDBRequest in a promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+class CompoundCache {
+    constructor({ dbName = CACHE_DB_NAME, limits = CACHE_LIMITS } = {}) {
+        this.dbName = dbName;
+        this.limits = limits;
+        this.dbPromise = null;
+    }
+
+    // Open (and on first use create) the database. Resolves to null when IndexedDB
+    // is unavailable (private browsing, file:// in some browsers); the cache then
+    // behaves as always empty.
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, CACHE_DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const compounds = db.createObjectStore('compounds', { keyPath: 'cid' });
+                        compounds.createIndex('lastUsed', 'lastUsed');
+                        const names = db.createObjectStore('names', { keyPath: 'name' });
+                        names.createIndex('cid', 'cid');
+                        const searches = db.createObjectStore('searches', { keyPath: 'query' });
+                        searches.createIndex('savedAt', 'savedAt');
+                    }
+                    if (event.oldVersion < 2) {
+                        // Matches picked by the user for ambiguous queries; never evicted
+                        db.createObjectStore('choices', { keyPath: 'query' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Compound cache unavailable:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db ? db.transaction(name, mode).objectStore(name) : null;
+    }
+
+    // Cached compound info for a CID as { info, savedAt, stale }, or null
+    async getByCid(cid) {
+        try {
+            const compounds = await this.store('compounds', 'readwrite');
+            if (!compounds) return null;
+
+            const entry = await promisifyRequest(compounds.get(Number(cid)));
+            if (!entry) return null;
+
+            entry.lastUsed = Date.now();
+            compounds.put(entry);
+            return {
+                info: { ...entry.info, cachedAt: entry.savedAt },
+                savedAt: entry.savedAt,
+                stale: Date.now() - entry.savedAt > this.limits.compoundMaxAge
+            };
+        } catch (error) {
+            console.warn('Cache read error:', error);
+            return null;
+        }
+    }
+
+    async getByName(name) {
+        try {
+            const names = await this.store('names');
+            if (!names) return null;
+
+            const entry = await promisifyRequest(names.get(normalizeCompoundName(name)));
+            return entry ? await this.getByCid(entry.cid) : null;
+        } catch (error) {
+            console.warn('Cache read error:', error);
+            return null;
+        }
+    }
+
+    // Store compound info under its CID and every name it was looked up by
+    async put(info, names = []) {
+        try {
+            const db = await this.open();
+            if (!db || !info.cid) return;
+
+            const now = Date.now();
+            const tx = db.transaction(['compounds', 'names'], 'readwrite');
+            tx.objectStore('compounds').put({
+                cid: Number(info.cid),
+                info,
+                size: JSON.stringify(info).length * 2,
+                savedAt: now,
+                lastUsed: now
+            });
+
+            const nameStore = tx.objectStore('names');
+            new Set([...names, info.name].filter(Boolean).map(normalizeCompoundName)).forEach(name => {
+                nameStore.put({ name, cid: Number(info.cid), displayName: info.name });
+            });
+
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+            await this.prune();
+        } catch (error) {
+            // A full or blocked cache must never break loading a molecule
+            console.warn('Cache write error:', error);
+        }
+    }
+
+    // Evict least recently used compounds until under the count and size limits
+    async prune() {
+        const db = await this.open();
+        if (!db) return;
+
+        const compounds = db.transaction('compounds').objectStore('compounds');
+        const entries = await promisifyRequest(compounds.index('lastUsed').getAll());
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let count = entries.length;
+
+        const evicted = [];
+        for (const entry of entries) {
+            if (count <= this.limits.maxCompounds && totalBytes <= this.limits.maxBytes) break;
+            evicted.push(entry.cid);
+            count--;
+            totalBytes -= entry.size;
+        }
+        if (evicted.length === 0) return;
+
+        const tx = db.transaction(['compounds', 'names'], 'readwrite');
+        const nameIndex = tx.objectStore('names').index('cid');
+        evicted.forEach(cid => {
+            tx.objectStore('compounds').delete(cid);
+            nameIndex.openKeyCursor(IDBKeyRange.only(cid)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    tx.objectStore('names').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    // Remembered autocomplete suggestions for a query as { suggestions, stale }, or null
+    async getSearch(query) {
+        try {
+            const searches = await this.store('searches');
+            if (!searches) return null;
+
+            const entry = await promisifyRequest(searches.get(normalizeCompoundName(query)));
+            if (!entry) return null;
+            return {
+                suggestions: entry.suggestions,
+                stale: Date.now() - entry.savedAt > this.limits.searchMaxAge
+            };
+        } catch (error) {
+            console.warn('Cache read error:', error);
+            return null;
+        }
+    }
+
+    async putSearch(query, suggestions) {
+        try {
+            const searches = await this.store('searches', 'readwrite');
+            if (!searches) return;
+
+            searches.put({ query: normalizeCompoundName(query), suggestions, savedAt: Date.now() });
+
+            // Drop the oldest searches beyond the limit
+            const count = await promisifyRequest(searches.count());
+            let excess = count - this.limits.maxSearches;
+            if (excess > 0) {
+                searches.index('savedAt').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor && excess-- > 0) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            }
+        } catch (error) {
+            console.warn('Cache write error:', error);
+        }
+    }
+
+    // Offline autocomplete: cached compound names and past searches containing the query
+    async searchNames(query, maxResults = 8) {
+        try {
+            const db = await this.open();
+            if (!db) return [];
+
+            const needle = normalizeCompoundName(query);
+            const tx = db.transaction(['names', 'searches']);
+            const [names, searches] = await Promise.all([
+                promisifyRequest(tx.objectStore('names').getAll()),
+                promisifyRequest(tx.objectStore('searches').getAll())
+            ]);
+
+            const matches = new Map();
+            names.forEach(entry => {
+                if (entry.name.includes(needle)) matches.set(entry.name, entry.displayName || entry.name);
+            });
+            searches.forEach(entry => entry.suggestions.forEach(suggestion => {
+                // Past suggestions are only useful offline if the compound itself was cached
+                const key = normalizeCompoundName(suggestion);
+                if (key.includes(needle) && names.some(n => n.name === key)) matches.set(key, suggestion);
+            }));
+
+            // Prefix matches first, then shorter names
+            return [...matches.entries()]
+                .sort(([a], [b]) => (b.startsWith(needle) - a.startsWith(needle)) || a.length - b.length)
+                .slice(0, maxResults)
+                .map(([, display]) => display);
+        } catch (error) {
+            console.warn('Cache read error:', error);
+            return [];
+        }
+    }
+
+    // CID the user picked for an ambiguous query, or null
+    async getChoice(query) {
+        try {
+            const choices = await this.store('choices');
+            if (!choices) return null;
+
+            const entry = await promisifyRequest(choices.get(normalizeCompoundName(query)));
+            return entry ? entry.cid : null;
+        } catch (error) {
+            console.warn('Cache read error:', error);
+            return null;
+        }
+    }
+
+    async putChoice(query, cid) {
+        try {
+            const choices = await this.store('choices', 'readwrite');
+            if (choices) choices.put({ query: normalizeCompoundName(query), cid: Number(cid), savedAt: Date.now() });
+        } catch (error) {
+            console.warn('Cache write error:', error);
+        }
+    }
+
+    async deleteChoice(query) {
+        try {
+            const choices = await this.store('choices', 'readwrite');
+            if (choices) choices.delete(normalizeCompoundName(query));
+        } catch (error) {
+            console.warn('Cache write error:', error);
+        }
+    }
+
+    // Number of cached compounds and their approximate size in bytes
+    async stats() {
+        try {
+            const compounds = await this.store('compounds');
+            if (!compounds) return { compounds: 0, bytes: 0 };
+
+            const entries = await promisifyRequest(compounds.getAll());
+            return {
+                compounds: entries.length,
+                bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+            };
+        } catch (error) {
+            return { compounds: 0, bytes: 0 };
+        }
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        const tx = db.transaction(['compounds', 'names', 'searches', 'choices'], 'readwrite');
+        ['compounds', 'names', 'searches', 'choices'].forEach(name => tx.objectStore(name).clear());
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
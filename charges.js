@@ -0,0 +1,141 @@
+// Partial charges
+// Gasteiger-Marsili partial equalization of orbital electronegativity (PEOE)
+// over the bond graph, and the dipole moment those charges give
+
+// Orbital electronegativity chi = a + b q + c q^2 as [a, b, c] by element and
+// hybridization (Gasteiger & Marsili, Tetrahedron 36, 3219 (1980))
+const GASTEIGER_PARAMETERS = {
+    H: { sp3: [7.17, 6.24, -0.56] },
+    C: { sp3: [7.98, 9.18, 1.88], sp2: [8.79, 9.32, 1.51], sp: [10.39, 9.45, 0.73] },
+    N: { sp3: [11.54, 10.82, 1.36], sp2: [12.87, 11.15, 0.85], sp: [15.68, 11.70, -0.27] },
+    O: { sp3: [14.18, 12.92, 1.39], sp2: [17.07, 13.79, 0.47] },
+    F: { sp3: [14.66, 13.85, 2.31] },
+    Cl: { sp3: [11.00, 9.69, 1.35] },
+    Br: { sp3: [10.08, 8.47, 1.16] },
+    I: { sp3: [9.90, 7.96, 0.96] },
+    S: { sp3: [10.14, 9.13, 1.38], sp2: [10.88, 9.485, 1.325] },
+    P: { sp3: [8.90, 8.24, 0.96] }
+};
+
+// Hydrogen's a + b + c is too low to act as its cation electronegativity
+const HYDROGEN_CATION_ELECTRONEGATIVITY = 20.02;
+const GASTEIGER_ITERATIONS = 6;
+
+// 1 e·Å in debye
+const DEBYE_PER_E_ANGSTROM = 4.803;
+
+// Colors for negative and positive charge, with white for neutral, and the
+// partial charge (e) that gets the full color
+const PARTIAL_CHARGE_COLORS = { negative: 0xe63946, positive: 0x3a6cff };
+const PARTIAL_CHARGE_SCALE = 0.4;
+
+// Computed once per molecule object
+const partialChargeCache = new WeakMap();
+
+function getHybridization(atoms, bonds) {
+    const bondsByAtom = atoms.map(() => []);
+    bonds.forEach(bond => {
+        bondsByAtom[bond.from].push(bond);
+        bondsByAtom[bond.to].push(bond);
+    });
+
+    const hybridization = bondsByAtom.map(atomBonds => {
+        const doubles = atomBonds.filter(bond => bond.order === 2 && !bond.aromatic).length;
+        if (atomBonds.some(bond => bond.order === 3) || doubles >= 2) return 'sp';
+        if (doubles || atomBonds.some(bond => bond.aromatic)) return 'sp2';
+        return 'sp3';
+    });
+
+    // N and O next to a pi system share their lone pair with it (amides,
+    // anilines, esters, phenols)
+    return hybridization.map((value, index) => {
+        if (value !== 'sp3' || !['N', 'O'].includes(atoms[index].element)) return value;
+        const conjugated = bondsByAtom[index].some(bond => {
+            const other = bond.from === index ? bond.to : bond.from;
+            return hybridization[other] !== 'sp3';
+        });
+        return conjugated ? 'sp2' : value;
+    });
+}
+
+// Partial charges (e) in atom order. Elements without parameters keep their
+// formal charge and take no part in the equalization.
+function computeGasteigerCharges(atoms, bonds) {
+    const hybridization = getHybridization(atoms, bonds);
+    const parameters = atoms.map((atom, index) => {
+        const table = GASTEIGER_PARAMETERS[atom.element];
+        if (!table) return null;
+        return table[hybridization[index]] || table.sp2 || table.sp3;
+    });
+    const cationElectronegativity = parameters.map((p, index) => {
+        if (!p) return null;
+        return atoms[index].element === 'H' ? HYDROGEN_CATION_ELECTRONEGATIVITY : p[0] + p[1] + p[2];
+    });
+
+    let charges = atoms.map(atom => atom.charge || 0);
+    for (let iteration = 1; iteration <= GASTEIGER_ITERATIONS; iteration++) {
+        const electronegativity = charges.map((q, index) => {
+            const p = parameters[index];
+            return p ? p[0] + p[1] * q + p[2] * q * q : null;
+        });
+        const damping = 0.5 ** iteration;
+        const next = charges.slice();
+
+        bonds.forEach(({ from, to }) => {
+            if (electronegativity[from] === null || electronegativity[to] === null) return;
+            // Charge flows toward the more electronegative atom, scaled by the
+            // electronegativity of the donor's cation
+            const [donor, acceptor] = electronegativity[from] < electronegativity[to] ? [from, to] : [to, from];
+            const transfer = damping * (electronegativity[acceptor] - electronegativity[donor]) / cationElectronegativity[donor];
+            next[donor] += transfer;
+            next[acceptor] -= transfer;
+        });
+        charges = next;
+    }
+    return charges;
+}
+
+function getPartialCharges(molecule) {
+    let charges = partialChargeCache.get(molecule);
+    if (!charges) {
+        charges = computeGasteigerCharges(molecule.atoms, molecule.bonds);
+        partialChargeCache.set(molecule, charges);
+    }
+    return charges;
+}
+
+// Dipole moment of the point charges about the atoms' center, in debye. For
+// ions the value depends on that choice of origin.
+function computeDipoleMoment(atoms, charges) {
+    const origin = { x: 0, y: 0, z: 0 };
+    atoms.forEach(atom => {
+        origin.x += atom.x / atoms.length;
+        origin.y += atom.y / atoms.length;
+        origin.z += atom.z / atoms.length;
+    });
+
+    const vector = { x: 0, y: 0, z: 0 };
+    atoms.forEach((atom, index) => {
+        vector.x += charges[index] * (atom.x - origin.x) * DEBYE_PER_E_ANGSTROM;
+        vector.y += charges[index] * (atom.y - origin.y) * DEBYE_PER_E_ANGSTROM;
+        vector.z += charges[index] * (atom.z - origin.z) * DEBYE_PER_E_ANGSTROM;
+    });
+
+    return { origin, vector, magnitude: Math.hypot(vector.x, vector.y, vector.z) };
+}
+
+// Blend from white toward `low` (value -1) or `high` (value +1)
+function scaleColor(value, low, high, target) {
+    const t = Math.max(-1, Math.min(1, value));
+    return target.setRGB(1, 1, 1).lerp(new THREE.Color(t < 0 ? low : high), Math.abs(t));
+}
+
+function partialChargeColor(charge, target = new THREE.Color()) {
+    return scaleColor(charge / PARTIAL_CHARGE_SCALE, PARTIAL_CHARGE_COLORS.negative, PARTIAL_CHARGE_COLORS.positive, target);
+}
+
+function formatPartialCharge(charge) {
+    const rounded = charge.toFixed(3);
+    if (parseFloat(rounded) === 0) return '0.000';
+    return charge > 0 ? `+${rounded}` : rounded.replace('-', '−');
+}
@@ -0,0 +1,224 @@
+// Side-by-side comparison
+// A second viewer next to the main one with cameras that can be locked together,
+// both Lewis structures, and a property table highlighting the differences
+
+// Info panel fields, formatted the same way; missing values show as a dash
+const COMPARE_FIELDS = [
+    { label: 'Formula', value: m => m.formula },
+    { label: 'MW', value: m => m.weight ? `${parseFloat(m.weight).toFixed(2)} g/mol` : null },
+    { label: 'Exact Mass', value: m => m.exactMass ? parseFloat(m.exactMass).toFixed(4) : null },
+    { label: 'Charge', value: m => m.charge === undefined ? null : (m.charge > 0 ? `+${m.charge}` : m.charge) },
+    { label: 'Atoms', value: m => m.atoms.length },
+    { label: 'Bonds', value: m => m.bonds.length },
+    { label: 'Dipole', value: m => m.is2D ? null : `${computeDipoleMoment(m.atoms, getPartialCharges(m)).magnitude.toFixed(2)} D` },
+    { label: 'LogP', value: m => m.xlogp !== undefined ? m.xlogp.toFixed(2) : null },
+    { label: 'TPSA', value: m => m.tpsa !== undefined ? `${m.tpsa.toFixed(1)} Å²` : null },
+    { label: 'H-Donors', value: m => m.hbondDonors },
+    { label: 'H-Acceptors', value: m => m.hbondAcceptors },
+    { label: 'Rotatable', value: m => m.rotatableBonds },
+    { label: 'Complexity', value: m => m.complexity !== undefined ? Math.round(m.complexity) : null }
+];
+
+class ComparisonView {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.secondary = null;
+        this.molecule = null;
+        this.active = false;
+        this.locked = true;
+        this.syncing = false;
+        this.loadController = null;
+
+        this.layoutEl = document.querySelector('.viewer-container');
+        this.viewerEl = document.getElementById('compare-viewer');
+        this.lewisCanvas = document.getElementById('compare-lewis-canvas');
+        this.tableEl = document.getElementById('molecule-compare');
+        this.statusEl = document.getElementById('compare-status');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.getElementById('compare-btn').addEventListener('click', () => this.setActive(!this.active));
+
+        const input = document.getElementById('compare-search');
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.load(input.value.trim());
+        });
+        document.getElementById('compare-load-btn').addEventListener('click', () => this.load(input.value.trim()));
+        document.getElementById('compare-pin-btn').addEventListener('click', () => {
+            if (this.visualizer.currentMolecule) this.setMolecule(this.visualizer.currentMolecule);
+        });
+
+        document.getElementById('compare-lock').addEventListener('change', (e) => {
+            this.locked = e.target.checked;
+            this.syncCamera(this.visualizer, this.secondary);
+        });
+
+        this.visualizer.controls.addEventListener('change', () => this.syncCamera(this.visualizer, this.secondary));
+    }
+
+    setActive(active) {
+        this.active = active;
+        this.layoutEl.classList.toggle('comparing', active);
+        document.getElementById('compare-btn').classList.toggle('active', active);
+
+        // The second viewer is created once its container is visible and has a size
+        if (active && !this.secondary) {
+            this.secondary = new MoleculeVisualizer({
+                container: this.viewerEl,
+                lewisCanvas: this.lewisCanvas,
+                bindPageControls: false
+            });
+            this.secondary.controls.autoRotate = false;
+            this.secondary.viewStyle = this.visualizer.viewStyle;
+            this.secondary.showStereo = this.visualizer.showStereo;
+            this.secondary.lewisMode = this.visualizer.lewisMode;
+            this.secondary.controls.addEventListener('change', () => this.syncCamera(this.secondary, this.visualizer));
+        }
+
+        // Both viewers change width with the layout
+        this.visualizer.onWindowResize();
+        if (this.secondary) {
+            this.secondary.onWindowResize();
+            this.syncCamera(this.visualizer, this.secondary);
+        }
+        this.update();
+    }
+
+    // Load the second molecule by any identifier the main search accepts;
+    // when several compounds match, the first is used
+    async load(query) {
+        if (!query) return;
+
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const controller = new AbortController();
+        this.loadController = controller;
+        const type = detectIdentifierType(query);
+        this.statusEl.textContent = 'Loading...';
+
+        try {
+            let target = query;
+            let matchCount = 1;
+            if (type !== 'name') {
+                const { cids } = await pubchem.searchCompounds(query, type, { signal: controller.signal, maxResults: 1 });
+                target = cids[0];
+                matchCount = cids.length;
+            }
+
+            const molecule = await pubchem.getCompoundInfo(target, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            this.setMolecule(molecule);
+            this.statusEl.textContent = matchCount > 1 ? `Showing the first of ${matchCount} matches` : '';
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) return;
+
+            console.error('Failed to load comparison molecule:', error);
+            this.statusEl.textContent = this.visualizer.describeLoadError(error, query, type);
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+        }
+    }
+
+    setMolecule(molecule) {
+        if (!this.secondary) return;
+
+        // Rendering reframes the camera; while locked, that framing carries over to
+        // the main viewer just as loading a new main molecule reframes this one
+        this.molecule = molecule;
+        this.secondary.currentMolecule = molecule;
+        this.secondary.renderMolecule(molecule);
+        this.update();
+    }
+
+    setViewStyle(style) {
+        if (!this.secondary) return;
+
+        this.secondary.viewStyle = style;
+        this.secondary.applyViewStyle();
+    }
+
+    setShowStereo(show) {
+        if (!this.secondary) return;
+
+        this.secondary.showStereo = show;
+        this.secondary.updateStereoMarkers();
+        if (this.molecule) this.secondary.drawLewisStructure(this.molecule);
+    }
+
+    setLewisMode(mode) {
+        if (!this.secondary) return;
+
+        this.secondary.lewisMode = mode;
+        if (this.molecule) this.secondary.drawLewisStructure(this.molecule);
+    }
+
+    // Follow a change of element color scheme
+    updateColors() {
+        if (!this.secondary) return;
+
+        this.secondary.updateMaterialColors();
+        if (this.molecule) this.secondary.drawLewisStructure(this.molecule);
+    }
+
+    // Copy one viewer's camera and orbit target to the other while locked.
+    // Both molecules are centered on the origin, so the same camera frames both.
+    syncCamera(from, to) {
+        if (!this.active || !this.locked || !to || this.syncing) return;
+
+        this.syncing = true;
+        to.camera.position.copy(from.camera.position);
+        to.camera.quaternion.copy(from.camera.quaternion);
+        to.camera.up.copy(from.camera.up);
+        to.controls.target.copy(from.controls.target);
+        to.controls.update();
+        to.requestRender();
+        this.syncing = false;
+    }
+
+    // Refresh the labels, the second Lewis structure and the property table
+    update() {
+        const primary = this.visualizer.currentMolecule;
+        document.getElementById('compare-label-a').textContent = primary ? primary.name : 'A';
+        document.getElementById('compare-label-b').textContent = this.molecule ? this.molecule.name : 'B: load a molecule';
+
+        if (this.secondary && this.molecule) {
+            this.secondary.drawLewisStructure(this.molecule);
+        }
+        this.renderTable(primary, this.molecule);
+    }
+
+    renderTable(a, b) {
+        if (!this.active || !a || !b) {
+            this.tableEl.innerHTML = '';
+            return;
+        }
+
+        const format = value => value === null || value === undefined ? '–' : String(value);
+        const rows = COMPARE_FIELDS.map(field => {
+            const valueA = format(field.value(a));
+            const valueB = format(field.value(b));
+            return `
+                <tr class="${valueA !== valueB ? 'differs' : ''}">
+                    <th>${field.label}</th>
+                    <td>${escapeHtml(valueA)}</td>
+                    <td>${escapeHtml(valueB)}</td>
+                </tr>
+            `;
+        });
+
+        this.tableEl.innerHTML = `
+            <table class="compare-table">
+                <thead>
+                    <tr><th></th><th>${escapeHtml(a.name || 'A')}</th><th>${escapeHtml(b.name || 'B')}</th></tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+}
@@ -0,0 +1,227 @@
+// Periodic table data
+// Names, masses, radii, valence electrons and color schemes for all 118 elements,
+// shared by the 3D model, surfaces, SMILES embedding and the Lewis structure
+
+// [symbol, name, standard atomic weight (mass number of the longest-lived isotope
+// for elements without one), covalent radius Å (Cordero 2008; Pyykkö 2009 from
+// Bk on), van der Waals radius Å (Bondi 1964, Mantina 2009 for the other main
+// group elements; null where neither gives one), valence electrons]. d- and
+// f-block metals count their two outer s electrons, so the Lewis structure draws
+// no lone pairs on them.
+const ELEMENT_DATA = [
+    ['H', 'Hydrogen', 1.008, 0.31, 1.20, 1],
+    ['He', 'Helium', 4.0026, 0.28, 1.40, 2],
+    ['Li', 'Lithium', 6.94, 1.28, 1.82, 1],
+    ['Be', 'Beryllium', 9.0122, 0.96, 1.53, 2],
+    ['B', 'Boron', 10.81, 0.84, 1.92, 3],
+    ['C', 'Carbon', 12.011, 0.76, 1.70, 4],
+    ['N', 'Nitrogen', 14.007, 0.71, 1.55, 5],
+    ['O', 'Oxygen', 15.999, 0.66, 1.52, 6],
+    ['F', 'Fluorine', 18.998, 0.57, 1.47, 7],
+    ['Ne', 'Neon', 20.180, 0.58, 1.54, 8],
+    ['Na', 'Sodium', 22.990, 1.66, 2.27, 1],
+    ['Mg', 'Magnesium', 24.305, 1.41, 1.73, 2],
+    ['Al', 'Aluminum', 26.982, 1.21, 1.84, 3],
+    ['Si', 'Silicon', 28.085, 1.11, 2.10, 4],
+    ['P', 'Phosphorus', 30.974, 1.07, 1.80, 5],
+    ['S', 'Sulfur', 32.060, 1.05, 1.80, 6],
+    ['Cl', 'Chlorine', 35.450, 1.02, 1.75, 7],
+    ['Ar', 'Argon', 39.948, 1.06, 1.88, 8],
+    ['K', 'Potassium', 39.098, 2.03, 2.75, 1],
+    ['Ca', 'Calcium', 40.078, 1.76, 2.31, 2],
+    ['Sc', 'Scandium', 44.956, 1.70, null, 2],
+    ['Ti', 'Titanium', 47.867, 1.60, null, 2],
+    ['V', 'Vanadium', 50.942, 1.53, null, 2],
+    ['Cr', 'Chromium', 51.996, 1.39, null, 2],
+    ['Mn', 'Manganese', 54.938, 1.39, null, 2],
+    ['Fe', 'Iron', 55.845, 1.32, null, 2],
+    ['Co', 'Cobalt', 58.933, 1.26, null, 2],
+    ['Ni', 'Nickel', 58.693, 1.24, 1.63, 2],
+    ['Cu', 'Copper', 63.546, 1.32, 1.40, 2],
+    ['Zn', 'Zinc', 65.380, 1.22, 1.39, 2],
+    ['Ga', 'Gallium', 69.723, 1.22, 1.87, 3],
+    ['Ge', 'Germanium', 72.630, 1.20, 2.11, 4],
+    ['As', 'Arsenic', 74.922, 1.19, 1.85, 5],
+    ['Se', 'Selenium', 78.971, 1.20, 1.90, 6],
+    ['Br', 'Bromine', 79.904, 1.20, 1.85, 7],
+    ['Kr', 'Krypton', 83.798, 1.16, 2.02, 8],
+    ['Rb', 'Rubidium', 85.468, 2.20, 3.03, 1],
+    ['Sr', 'Strontium', 87.62, 1.95, 2.49, 2],
+    ['Y', 'Yttrium', 88.906, 1.90, null, 2],
+    ['Zr', 'Zirconium', 91.224, 1.75, null, 2],
+    ['Nb', 'Niobium', 92.906, 1.64, null, 2],
+    ['Mo', 'Molybdenum', 95.95, 1.54, null, 2],
+    ['Tc', 'Technetium', 98, 1.47, null, 2],
+    ['Ru', 'Ruthenium', 101.07, 1.46, null, 2],
+    ['Rh', 'Rhodium', 102.906, 1.42, null, 2],
+    ['Pd', 'Palladium', 106.42, 1.39, 1.63, 2],
+    ['Ag', 'Silver', 107.868, 1.45, 1.72, 2],
+    ['Cd', 'Cadmium', 112.414, 1.44, 1.58, 2],
+    ['In', 'Indium', 114.818, 1.42, 1.93, 3],
+    ['Sn', 'Tin', 118.710, 1.39, 2.17, 4],
+    ['Sb', 'Antimony', 121.760, 1.39, 2.06, 5],
+    ['Te', 'Tellurium', 127.60, 1.38, 2.06, 6],
+    ['I', 'Iodine', 126.904, 1.39, 1.98, 7],
+    ['Xe', 'Xenon', 131.293, 1.40, 2.16, 8],
+    ['Cs', 'Cesium', 132.905, 2.44, 3.43, 1],
+    ['Ba', 'Barium', 137.327, 2.15, 2.68, 2],
+    ['La', 'Lanthanum', 138.905, 2.07, null, 2],
+    ['Ce', 'Cerium', 140.116, 2.04, null, 2],
+    ['Pr', 'Praseodymium', 140.908, 2.03, null, 2],
+    ['Nd', 'Neodymium', 144.242, 2.01, null, 2],
+    ['Pm', 'Promethium', 145, 1.99, null, 2],
+    ['Sm', 'Samarium', 150.36, 1.98, null, 2],
+    ['Eu', 'Europium', 151.964, 1.98, null, 2],
+    ['Gd', 'Gadolinium', 157.25, 1.96, null, 2],
+    ['Tb', 'Terbium', 158.925, 1.94, null, 2],
+    ['Dy', 'Dysprosium', 162.500, 1.92, null, 2],
+    ['Ho', 'Holmium', 164.930, 1.92, null, 2],
+    ['Er', 'Erbium', 167.259, 1.89, null, 2],
+    ['Tm', 'Thulium', 168.934, 1.90, null, 2],
+    ['Yb', 'Ytterbium', 173.045, 1.87, null, 2],
+    ['Lu', 'Lutetium', 174.967, 1.87, null, 2],
+    ['Hf', 'Hafnium', 178.49, 1.75, null, 2],
+    ['Ta', 'Tantalum', 180.948, 1.70, null, 2],
+    ['W', 'Tungsten', 183.84, 1.62, null, 2],
+    ['Re', 'Rhenium', 186.207, 1.51, null, 2],
+    ['Os', 'Osmium', 190.23, 1.44, null, 2],
+    ['Ir', 'Iridium', 192.217, 1.41, null, 2],
+    ['Pt', 'Platinum', 195.084, 1.36, 1.72, 2],
+    ['Au', 'Gold', 196.967, 1.36, 1.66, 2],
+    ['Hg', 'Mercury', 200.592, 1.32, 1.55, 2],
+    ['Tl', 'Thallium', 204.38, 1.45, 1.96, 3],
+    ['Pb', 'Lead', 207.2, 1.46, 2.02, 4],
+    ['Bi', 'Bismuth', 208.980, 1.48, 2.07, 5],
+    ['Po', 'Polonium', 209, 1.40, 1.97, 6],
+    ['At', 'Astatine', 210, 1.50, 2.02, 7],
+    ['Rn', 'Radon', 222, 1.50, 2.20, 8],
+    ['Fr', 'Francium', 223, 2.60, 3.48, 1],
+    ['Ra', 'Radium', 226, 2.21, 2.83, 2],
+    ['Ac', 'Actinium', 227, 2.15, null, 2],
+    ['Th', 'Thorium', 232.038, 2.06, null, 2],
+    ['Pa', 'Protactinium', 231.036, 2.00, null, 2],
+    ['U', 'Uranium', 238.029, 1.96, 1.86, 2],
+    ['Np', 'Neptunium', 237, 1.90, null, 2],
+    ['Pu', 'Plutonium', 244, 1.87, null, 2],
+    ['Am', 'Americium', 243, 1.80, null, 2],
+    ['Cm', 'Curium', 247, 1.69, null, 2],
+    ['Bk', 'Berkelium', 247, 1.68, null, 2],
+    ['Cf', 'Californium', 251, 1.68, null, 2],
+    ['Es', 'Einsteinium', 252, 1.65, null, 2],
+    ['Fm', 'Fermium', 257, 1.67, null, 2],
+    ['Md', 'Mendelevium', 258, 1.73, null, 2],
+    ['No', 'Nobelium', 259, 1.76, null, 2],
+    ['Lr', 'Lawrencium', 266, 1.61, null, 2],
+    ['Rf', 'Rutherfordium', 267, 1.57, null, 2],
+    ['Db', 'Dubnium', 268, 1.49, null, 2],
+    ['Sg', 'Seaborgium', 269, 1.43, null, 2],
+    ['Bh', 'Bohrium', 270, 1.41, null, 2],
+    ['Hs', 'Hassium', 269, 1.34, null, 2],
+    ['Mt', 'Meitnerium', 278, 1.29, null, 2],
+    ['Ds', 'Darmstadtium', 281, 1.28, null, 2],
+    ['Rg', 'Roentgenium', 282, 1.21, null, 2],
+    ['Cn', 'Copernicium', 285, 1.22, null, 2],
+    ['Nh', 'Nihonium', 286, 1.36, null, 3],
+    ['Fl', 'Flerovium', 289, 1.43, null, 4],
+    ['Mc', 'Moscovium', 290, 1.62, null, 5],
+    ['Lv', 'Livermorium', 293, 1.75, null, 6],
+    ['Ts', 'Tennessine', 294, 1.65, null, 7],
+    ['Og', 'Oganesson', 294, 1.57, null, 8]
+];
+
+const ELEMENT_SYMBOLS = new Set(ELEMENT_DATA.map(([symbol]) => symbol));
+
+const ELEMENTS = Object.fromEntries(ELEMENT_DATA.map(([symbol, name, mass, covalentRadius, vdwRadius, valenceElectrons], index) => [
+    symbol, { number: index + 1, symbol, name, mass, covalentRadius, vdwRadius, valenceElectrons }
+]));
+
+// Radii for elements without a tabulated value, and for unknown symbols
+const DEFAULT_VDW_RADIUS = 2.0;
+const DEFAULT_COVALENT_RADIUS = 1.5;
+
+// Ball-and-stick sphere radius grows with the covalent radius
+const BALL_RADIUS = { base: 0.12, perCovalentAngstrom: 0.3 };
+
+// Atom color schemes. Elements a scheme leaves out take its fallback scheme's
+// color, or its default.
+const ELEMENT_COLOR_SCHEMES = {
+    jmol: {
+        label: 'Jmol',
+        default: 0xff1493,
+        colors: {
+            H: 0xffffff, He: 0xd9ffff, Li: 0xcc80ff, Be: 0xc2ff00, B: 0xffb5b5, C: 0x909090, N: 0x3050f8,
+            O: 0xff0d0d, F: 0x90e050, Ne: 0xb3e3f5, Na: 0xab5cf2, Mg: 0x8aff00, Al: 0xbfa6a6, Si: 0xf0c8a0,
+            P: 0xff8000, S: 0xffff30, Cl: 0x1ff01f, Ar: 0x80d1e3, K: 0x8f40d4, Ca: 0x3dff00, Sc: 0xe6e6e6,
+            Ti: 0xbfc2c7, V: 0xa6a6ab, Cr: 0x8a99c7, Mn: 0x9c7ac7, Fe: 0xe06633, Co: 0xf090a0, Ni: 0x50d050,
+            Cu: 0xc88033, Zn: 0x7d80b0, Ga: 0xc28f8f, Ge: 0x668f8f, As: 0xbd80e3, Se: 0xffa100, Br: 0xa62929,
+            Kr: 0x5cb8d1, Rb: 0x702eb0, Sr: 0x00ff00, Y: 0x94ffff, Zr: 0x94e0e0, Nb: 0x73c2c9, Mo: 0x54b5b5,
+            Tc: 0x3b9e9e, Ru: 0x248f8f, Rh: 0x0a7d8c, Pd: 0x006985, Ag: 0xc0c0c0, Cd: 0xffd98f, In: 0xa67573,
+            Sn: 0x668080, Sb: 0x9e63b5, Te: 0xd47a00, I: 0x940094, Xe: 0x429eb0, Cs: 0x57178f, Ba: 0x00c900,
+            La: 0x70d4ff, Ce: 0xffffc7, Pr: 0xd9ffc7, Nd: 0xc7ffc7, Pm: 0xa3ffc7, Sm: 0x8fffc7, Eu: 0x61ffc7,
+            Gd: 0x45ffc7, Tb: 0x30ffc7, Dy: 0x1fffc7, Ho: 0x00ff9c, Er: 0x00e675, Tm: 0x00d452, Yb: 0x00bf38,
+            Lu: 0x00ab24, Hf: 0x4dc2ff, Ta: 0x4da6ff, W: 0x2194d6, Re: 0x267dab, Os: 0x266696, Ir: 0x175487,
+            Pt: 0xd0d0e0, Au: 0xffd123, Hg: 0xb8b8d0, Tl: 0xa6544d, Pb: 0x575961, Bi: 0x9e4fb5, Po: 0xab5c00,
+            At: 0x754f45, Rn: 0x428296, Fr: 0x420066, Ra: 0x007d00, Ac: 0x70abfa, Th: 0x00baff, Pa: 0x00a1ff,
+            U: 0x008fff, Np: 0x0080ff, Pu: 0x006bff, Am: 0x545cf2, Cm: 0x785ce3, Bk: 0x8a4fe3, Cf: 0xa136d4,
+            Es: 0xb31fd4, Fm: 0xb31fba, Md: 0xb30da6, No: 0xbd0d87, Lr: 0xc70066, Rf: 0xcc0059, Db: 0xd1004f,
+            Sg: 0xd90045, Bh: 0xe00038, Hs: 0xe6002e, Mt: 0xeb0026
+        }
+    },
+    rasmol: {
+        label: 'RasMol',
+        default: 0xff1493,
+        colors: {
+            C: 0xc8c8c8, O: 0xf00000, H: 0xffffff, N: 0x8f8fff, S: 0xffc832, Cl: 0x00ff00, B: 0x00ff00,
+            P: 0xffa500, Fe: 0xffa500, Ba: 0xffa500, Na: 0x0000ff, Mg: 0x228b22, Zn: 0xa52a2a, Cu: 0xa52a2a,
+            Ni: 0xa52a2a, Br: 0xa52a2a, Ca: 0x808090, Mn: 0x808090, Al: 0x808090, Ti: 0x808090, Cr: 0x808090,
+            Ag: 0x808090, F: 0xdaa520, Si: 0xdaa520, Au: 0xdaa520, I: 0xa020f0, Li: 0xb22222, He: 0xffc0cb
+        }
+    },
+    // Okabe-Ito colors for the organic elements, told apart with any color vision
+    colorblind: {
+        label: 'Color-blind safe',
+        fallback: 'jmol',
+        colors: {
+            H: 0xffffff, C: 0x8c8c8c, N: 0x0072b2, O: 0xd55e00, S: 0xf0e442, P: 0xe69f00,
+            F: 0x56b4e9, Cl: 0x009e73, Br: 0xcc79a7, I: 0x882255
+        }
+    }
+};
+
+// Elements always listed in the color legend, before any others in the molecule
+const LEGEND_ELEMENTS = ['C', 'H', 'N', 'O', 'S', 'P', 'F', 'Cl', 'Br', 'I'];
+
+let elementColorScheme = 'jmol';
+let atomPropertiesCache = {};
+
+function getElementColor(element, schemeName = elementColorScheme) {
+    const scheme = ELEMENT_COLOR_SCHEMES[schemeName];
+    if (element in scheme.colors) return scheme.colors[element];
+    return scheme.fallback ? getElementColor(element, scheme.fallback) : scheme.default;
+}
+
+function setElementColorScheme(name) {
+    if (!ELEMENT_COLOR_SCHEMES[name] || name === elementColorScheme) return;
+    elementColorScheme = name;
+    atomPropertiesCache = {};
+}
+
+function getElementColorScheme() {
+    return elementColorScheme;
+}
+
+// Properties for an element in the active color scheme: name, mass (undefined for
+// unknown symbols), radii and valence electrons, plus the display color and
+// ball-and-stick radius
+function getAtomProperties(element) {
+    if (!atomPropertiesCache[element]) {
+        const data = ELEMENTS[element] || { name: 'Unknown', covalentRadius: DEFAULT_COVALENT_RADIUS };
+        atomPropertiesCache[element] = {
+            ...data,
+            vdwRadius: data.vdwRadius || DEFAULT_VDW_RADIUS,
+            color: getElementColor(element),
+            radius: BALL_RADIUS.base + BALL_RADIUS.perCovalentAngstrom * data.covalentRadius
+        };
+    }
+    return atomPropertiesCache[element];
+}
@@ -0,0 +1,584 @@
+// Molecule file formats
+// Reads local MOL/SDF, XYZ and Tripos MOL2 files into the same
+// { atoms, bonds, atoms2D } shape the viewer gets from PubChem,
+// and writes the current structure back out as MOL, SDF, XYZ or PDB
+
+const SUPPORTED_FILE_EXTENSIONS = ['mol', 'sdf', 'sd', 'xyz', 'mol2'];
+
+// SD data items written on export and read back on import
+const SDF_DATA_FIELDS = [
+    { tag: 'NAME', key: 'name' },
+    { tag: 'CID', key: 'cid', numeric: true },
+    { tag: 'IUPAC_NAME', key: 'iupacName' },
+    { tag: 'MOLECULAR_FORMULA', key: 'formula' },
+    { tag: 'MOLECULAR_WEIGHT', key: 'weight', numeric: true },
+    { tag: 'EXACT_MASS', key: 'exactMass', numeric: true },
+    { tag: 'CHARGE', key: 'charge', numeric: true },
+    { tag: 'XLOGP', key: 'xlogp', numeric: true },
+    { tag: 'TPSA', key: 'tpsa', numeric: true },
+    { tag: 'HBOND_DONORS', key: 'hbondDonors', numeric: true },
+    { tag: 'HBOND_ACCEPTORS', key: 'hbondAcceptors', numeric: true },
+    { tag: 'ROTATABLE_BONDS', key: 'rotatableBonds', numeric: true },
+    { tag: 'COMPLEXITY', key: 'complexity', numeric: true },
+    { tag: 'SMILES', key: 'smiles' },
+    { tag: 'INCHI', key: 'inchi' }
+];
+
+// Fields that describe the structure itself are always recomputed on import
+const STRUCTURE_DERIVED_FIELDS = ['formula', 'weight', 'charge'];
+
+// Parse the text of a molecule file, picking the reader from the file name
+// or, failing that, from the contents
+function parseMoleculeFile(text, filename = '') {
+    const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+    const format = SUPPORTED_FILE_EXTENSIONS.includes(extension) ? extension : detectFileFormat(text);
+
+    let structure;
+    switch (format) {
+        case 'xyz':
+            structure = parseXYZ(text);
+            break;
+        case 'mol2':
+            structure = parseMOL2(text);
+            break;
+        case 'mol':
+        case 'sdf':
+        case 'sd':
+            structure = parseSDFRecord(text);
+            break;
+        default:
+            throw new Error('Unrecognized file format. Use MOL, SDF, XYZ or MOL2.');
+    }
+
+    if (structure.atoms.length === 0) {
+        throw new Error('The file does not contain any atoms.');
+    }
+
+    const baseName = filename.replace(/\.[^.]+$/, '');
+    return buildLocalMolecule(structure, structure.title || baseName || 'Imported molecule');
+}
+
+// Guess the format of a file without a known extension
+function detectFileFormat(text) {
+    if (text.includes('@<TRIPOS>')) return 'mol2';
+    if (/^\s*\d+\s*$/.test(text.split('\n')[0])) return 'xyz';
+    if (/V[23]000/.test(text.split('\n')[3] || '')) return 'mol';
+    return null;
+}
+
+// Parse the first record of an SD file (or a plain molfile) plus its data items
+function parseSDFRecord(text) {
+    const record = text.replace(/\r/g, '').split('$$$$')[0];
+    const structure = parseMolfile(record);
+
+    // SD data items: "> <NAME>" followed by value lines up to a blank line
+    const properties = {};
+    const dataPattern = /^>.*<([^>]+)>.*\n([\s\S]*?)(?:\n\s*\n|$)/gm;
+    let match;
+    while ((match = dataPattern.exec(record)) !== null) {
+        properties[match[1]] = match[2].trim();
+    }
+
+    return { ...structure, properties };
+}
+
+// Parse an XYZ file (first frame only): count line, comment line, then "El x y z"
+function parseXYZ(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const atomCount = parseInt(lines[0], 10);
+    if (isNaN(atomCount)) {
+        throw new Error('Invalid XYZ file: first line must be the atom count.');
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const line = lines[2 + i];
+        if (!line) {
+            throw new Error(`Invalid XYZ file: expected ${atomCount} atoms, found ${i}.`);
+        }
+        const fields = line.trim().split(/\s+/);
+        const x = parseFloat(fields[1]);
+        const y = parseFloat(fields[2]);
+        const z = parseFloat(fields[3]);
+        if ([x, y, z].some(isNaN)) {
+            throw new Error(`Invalid XYZ file: bad coordinates on line ${i + 3}.`);
+        }
+        atoms.push({ element: normalizeElement(fields[0]), x, y, z });
+    }
+
+    // XYZ has no bonds; its coordinates are always in Å, even for a flat molecule
+    return { atoms, bonds: perceiveBonds(atoms), title: (lines[1] || '').trim() };
+}
+
+// Parse a Tripos MOL2 file (first molecule only)
+function parseMOL2(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const atoms = [];
+    const bonds = [];
+    const atomIndexById = {};
+    let title = '';
+    let section = null;
+    let moleculeLine = 0;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trim();
+        if (line.startsWith('@<TRIPOS>')) {
+            // Stop at the second molecule in multi-molecule files
+            if (line === '@<TRIPOS>MOLECULE' && atoms.length > 0) break;
+            section = line.substring(9);
+            moleculeLine = 0;
+            continue;
+        }
+        if (!line || line.startsWith('#')) continue;
+
+        const fields = line.split(/\s+/);
+        if (section === 'MOLECULE') {
+            if (moleculeLine === 0) title = line;
+            moleculeLine++;
+        } else if (section === 'ATOM') {
+            // id name x y z type [subst_id subst_name charge]
+            const type = fields[5] || fields[1];
+            const element = normalizeElement(type.split('.')[0]);
+            // Lone pairs and dummy atoms are not real atoms
+            if (element === 'Lp' || element === 'Du') continue;
+
+            const atom = {
+                element,
+                x: parseFloat(fields[2]),
+                y: parseFloat(fields[3]),
+                z: parseFloat(fields[4])
+            };
+            if (fields[8] !== undefined && !isNaN(parseFloat(fields[8]))) {
+                atom.partialCharge = parseFloat(fields[8]);
+            }
+            atomIndexById[fields[0]] = atoms.length;
+            atoms.push(atom);
+        } else if (section === 'BOND') {
+            // id origin target type
+            const from = atomIndexById[fields[1]];
+            const to = atomIndexById[fields[2]];
+            if (from === undefined || to === undefined) continue;
+
+            const type = fields[3];
+            const bond = { from, to, order: parseInt(type, 10) || 1 };
+            if (type === 'ar') bond.aromatic = true;
+            bonds.push(bond);
+        }
+    }
+
+    kekulize(atoms, bonds);
+    return { atoms, bonds, title };
+}
+
+// "CL" / "cl" / "Cl" -> "Cl"
+function normalizeElement(symbol) {
+    const letters = String(symbol).replace(/[^A-Za-z]/g, '');
+    if (!letters) return symbol;
+    return letters.charAt(0).toUpperCase() + letters.slice(1, 2).toLowerCase();
+}
+
+// Turn bonds flagged aromatic into alternating single/double bonds.
+// Atoms that can donate a lone pair to the ring (pyrrole N, furan O, ...)
+// or already carry an exocyclic double bond take no ring double bond.
+function kekulize(atoms, bonds) {
+    const aromaticBonds = bonds.filter(bond => bond.aromatic);
+    if (aromaticBonds.length === 0) return;
+
+    const degree = atoms.map(() => 0);
+    const hasDoubleBond = atoms.map(() => false);
+    bonds.forEach(bond => {
+        degree[bond.from]++;
+        degree[bond.to]++;
+        if (!bond.aromatic && bond.order === 2) {
+            hasDoubleBond[bond.from] = true;
+            hasDoubleBond[bond.to] = true;
+        }
+    });
+
+    const needsDoubleBond = (index) => {
+        const atom = atoms[index];
+        if (hasDoubleBond[index] || atom.charge) return false;
+        if (atom.element === 'O' || atom.element === 'S' || atom.element === 'Se') return false;
+        if ((atom.element === 'N' || atom.element === 'P') && degree[index] >= 3) return false;
+        return true;
+    };
+
+    aromaticBonds.forEach(bond => { bond.order = 1; });
+
+    // Candidate ring bonds between atoms that both need a double bond
+    const candidates = atoms.map(() => []);
+    aromaticBonds.forEach(bond => {
+        if (needsDoubleBond(bond.from) && needsDoubleBond(bond.to)) {
+            candidates[bond.from].push(bond);
+            candidates[bond.to].push(bond);
+        }
+    });
+
+    const matched = atoms.map(() => false);
+    const pending = atoms.map((_, i) => i).filter(i => candidates[i].length > 0);
+    let budget = 20000;
+
+    // Backtracking perfect matching; aromatic systems are small enough for this
+    const match = (position, allowUnmatched) => {
+        while (position < pending.length && matched[pending[position]]) position++;
+        if (position >= pending.length) return true;
+        if (--budget < 0) return false;
+
+        const atom = pending[position];
+        for (const bond of candidates[atom]) {
+            const other = bond.from === atom ? bond.to : bond.from;
+            if (matched[other]) continue;
+            matched[atom] = matched[other] = true;
+            bond.order = 2;
+            if (match(position + 1, allowUnmatched)) return true;
+            bond.order = 1;
+            matched[atom] = matched[other] = false;
+        }
+        return allowUnmatched && match(position + 1, true);
+    };
+
+    // Leave an atom without a double bond rather than fail the whole system
+    if (!match(0, false)) {
+        budget = Infinity;
+        match(0, true);
+    }
+}
+
+// Fill in everything the viewer expects from a structure that did not come from PubChem
+function buildLocalMolecule(structure, name) {
+    const { atoms } = structure;
+    const is2D = structure.is2D || atoms.every(atom => Math.abs(atom.z) < 1e-4);
+    // Records that came without a bond block get their bonds from the 3D distances;
+    // sources that state their bonds (SMILES) are taken as given, even with none
+    const perceive = structure.bonds.length === 0 && !is2D && !structure.bondsGiven;
+    const bonds = perceive ? perceiveBonds(atoms) : structure.bonds;
+    const properties = structure.properties || {};
+    const charge = atoms.reduce((sum, atom) => sum + (atom.charge || 0), 0);
+
+    const molecule = {
+        cid: properties.PUBCHEM_COMPOUND_CID ? parseInt(properties.PUBCHEM_COMPOUND_CID, 10) : null,
+        name: properties.PUBCHEM_IUPAC_TRADITIONAL_NAME || name,
+        formula: computeMolecularFormula(atoms, charge),
+        weight: computeMolecularWeight(atoms),
+        charge,
+        ...computeLocalDescriptors(atoms, bonds),
+        smiles: properties.PUBCHEM_OPENEYE_ISO_SMILES || null,
+        atoms,
+        bonds,
+        is2D,
+        atoms2D: structure.atoms2D || (is2D ? atoms : projectTo2D(atoms)),
+        source: 'file'
+    };
+
+    // Restore properties from files this viewer exported
+    SDF_DATA_FIELDS.forEach(field => {
+        const value = properties[field.tag];
+        if (value === undefined || value === '' || STRUCTURE_DERIVED_FIELDS.includes(field.key)) return;
+        molecule[field.key] = field.numeric ? parseFloat(value) : value;
+    });
+
+    molecule.pubchemUrl = molecule.cid ? `${pubchem.viewUrl}/${molecule.cid}` : null;
+    return molecule;
+}
+
+// Hill-order formula: C, H, then the rest alphabetically (all alphabetical without carbon)
+function computeMolecularFormula(atoms, charge = 0) {
+    const counts = {};
+    atoms.forEach(atom => {
+        counts[atom.element] = (counts[atom.element] || 0) + 1;
+    });
+
+    const elements = Object.keys(counts).sort();
+    if (counts.C) {
+        const rest = elements.filter(el => el !== 'C' && el !== 'H');
+        elements.length = 0;
+        elements.push('C');
+        if (counts.H) elements.push('H');
+        elements.push(...rest);
+    }
+
+    let formula = elements.map(el => el + (counts[el] > 1 ? counts[el] : '')).join('');
+    if (charge) {
+        const magnitude = Math.abs(charge) > 1 ? Math.abs(charge) : '';
+        formula += magnitude + (charge > 0 ? '+' : '-');
+    }
+    return formula;
+}
+
+// Lipinski-style counts that only need the connection table.
+// Without bonds (or without explicit hydrogens for the donor count) they stay unknown.
+function computeLocalDescriptors(atoms, bonds) {
+    if (bonds.length === 0) return {};
+
+    const neighbors = atoms.map(() => []);
+    bonds.forEach(bond => {
+        neighbors[bond.from].push(bond.to);
+        neighbors[bond.to].push(bond.from);
+    });
+
+    const isPolar = (atom) => atom.element === 'N' || atom.element === 'O';
+    const descriptors = {
+        hbondAcceptors: atoms.filter(isPolar).length
+    };
+
+    if (atoms.some(atom => atom.element === 'H')) {
+        descriptors.hbondDonors = atoms.filter((atom, i) =>
+            isPolar(atom) && neighbors[i].some(j => atoms[j].element === 'H')
+        ).length;
+    }
+
+    // Rotatable: acyclic single bonds between two non-terminal heavy atoms
+    const ringBonds = findRingBonds(neighbors);
+    const heavyDegree = (i) => neighbors[i].filter(j => atoms[j].element !== 'H').length;
+    descriptors.rotatableBonds = bonds.filter(bond =>
+        bond.order === 1 &&
+        !ringBonds.has(bondKey(bond.from, bond.to)) &&
+        heavyDegree(bond.from) > 1 && heavyDegree(bond.to) > 1
+    ).length;
+
+    return descriptors;
+}
+
+function bondKey(a, b) {
+    return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// Bonds that lie on a cycle, i.e. every bond that is not a bridge (Tarjan)
+function findRingBonds(neighbors) {
+    const n = neighbors.length;
+    const order = new Array(n).fill(-1);
+    const low = new Array(n).fill(0);
+    const bridges = new Set();
+    let counter = 0;
+
+    for (let root = 0; root < n; root++) {
+        if (order[root] !== -1) continue;
+        // Iterative DFS so long chains cannot overflow the stack
+        const stack = [[root, -1, 0]];
+        order[root] = low[root] = counter++;
+        while (stack.length > 0) {
+            const frame = stack[stack.length - 1];
+            const [node, parent] = frame;
+            if (frame[2] < neighbors[node].length) {
+                const next = neighbors[node][frame[2]++];
+                if (next === parent) continue;
+                if (order[next] === -1) {
+                    order[next] = low[next] = counter++;
+                    stack.push([next, node, 0]);
+                } else {
+                    low[node] = Math.min(low[node], order[next]);
+                }
+            } else {
+                stack.pop();
+                if (parent !== -1) {
+                    low[parent] = Math.min(low[parent], low[node]);
+                    if (low[node] > order[parent]) bridges.add(bondKey(parent, node));
+                }
+            }
+        }
+    }
+
+    const ringBonds = new Set();
+    neighbors.forEach((list, a) => list.forEach(b => {
+        const key = bondKey(a, b);
+        if (!bridges.has(key)) ringBonds.add(key);
+    }));
+    return ringBonds;
+}
+
+// Average molecular weight, or null if any element has no known mass
+function computeMolecularWeight(atoms) {
+    let weight = 0;
+    for (const atom of atoms) {
+        const mass = getAtomProperties(atom.element).mass;
+        if (mass === undefined) return null;
+        weight += mass;
+    }
+    return weight;
+}
+
+// Project 3D coordinates onto their best-fit plane for the Lewis diagram
+function projectTo2D(atoms) {
+    const n = atoms.length;
+    const mean = [0, 0, 0];
+    atoms.forEach(atom => {
+        mean[0] += atom.x / n;
+        mean[1] += atom.y / n;
+        mean[2] += atom.z / n;
+    });
+
+    const centered = atoms.map(atom => [atom.x - mean[0], atom.y - mean[1], atom.z - mean[2]]);
+    const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    centered.forEach(p => {
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                covariance[i][j] += p[i] * p[j];
+            }
+        }
+    });
+
+    // Two largest principal axes by power iteration with deflation
+    const principalAxis = (matrix, exclude) => {
+        let v = exclude ? [exclude[1], -exclude[0], 0.5] : [1, 0.7, 0.3];
+        for (let iter = 0; iter < 100; iter++) {
+            if (exclude) {
+                const d = v[0] * exclude[0] + v[1] * exclude[1] + v[2] * exclude[2];
+                v = v.map((c, k) => c - d * exclude[k]);
+            }
+            const next = matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+            const length = Math.hypot(...next);
+            if (length < 1e-12) break;
+            v = next.map(c => c / length);
+        }
+        return v;
+    };
+
+    const axisX = principalAxis(covariance, null);
+    const axisY = principalAxis(covariance, axisX);
+
+    return centered.map((p, i) => ({
+        element: atoms[i].element,
+        x: p[0] * axisX[0] + p[1] * axisX[1] + p[2] * axisX[2],
+        y: p[0] * axisY[0] + p[1] * axisY[1] + p[2] * axisY[2],
+        z: 0
+    }));
+}
+
+// Export formats offered for the current molecule
+const MOLECULE_EXPORT_FORMATS = {
+    mol: { label: 'MOL', extension: 'mol', mimeType: 'chemical/x-mdl-molfile', write: (m) => writeMolfile(m) },
+    sdf: { label: 'SDF', extension: 'sdf', mimeType: 'chemical/x-mdl-sdfile', write: (m) => writeSDF(m) },
+    xyz: { label: 'XYZ', extension: 'xyz', mimeType: 'chemical/x-xyz', write: (m) => writeXYZ(m) },
+    pdb: { label: 'PDB', extension: 'pdb', mimeType: 'chemical/x-pdb', write: (m) => writePDB(m) }
+};
+
+// Right-align a value in a fixed-width column
+function padLeft(value, width) {
+    return String(value).padStart(width, ' ');
+}
+
+// Title used in file headers: "Caffeine (CID 2519)"
+function getExportTitle(molecule) {
+    const name = molecule.name || 'Unnamed molecule';
+    return molecule.cid ? `${name} (CID ${molecule.cid})` : name;
+}
+
+// MDL molfile, V2000 connection table
+function writeMolfile(molecule) {
+    const atoms = molecule.atoms;
+    const bonds = molecule.bonds || [];
+    if (atoms.length > 999 || bonds.length > 999) {
+        throw new Error('V2000 molfiles are limited to 999 atoms and 999 bonds.');
+    }
+
+    const now = new Date();
+    const timestamp = [now.getMonth() + 1, now.getDate(), now.getFullYear() % 100, now.getHours(), now.getMinutes()]
+        .map(n => String(n).padStart(2, '0')).join('');
+
+    const lines = [
+        (molecule.name || '').substring(0, 80),
+        `  OChemVis${timestamp}${molecule.is2D ? '2D' : '3D'}`,
+        molecule.cid ? `PubChem CID ${molecule.cid}` : '',
+        `${padLeft(atoms.length, 3)}${padLeft(bonds.length, 3)}  0  0  0  0  0  0  0  0999 V2000`
+    ];
+
+    atoms.forEach(atom => {
+        const coords = [atom.x, atom.y, atom.z].map(c => padLeft(c.toFixed(4), 10)).join('');
+        lines.push(`${coords} ${atom.element.padEnd(3, ' ')} 0  0  0  0  0  0  0  0  0  0  0  0`);
+    });
+
+    const stereoCodes = { wedge: 1, either: 4, hash: 6 };
+    bonds.forEach(bond => {
+        const stereo = bond.order === 1 ? (stereoCodes[bond.stereo] || 0) : 0;
+        lines.push(`${padLeft(bond.from + 1, 3)}${padLeft(bond.to + 1, 3)}${padLeft(bond.order, 3)}${padLeft(stereo, 3)}  0  0  0`);
+    });
+
+    // Property lines hold at most eight atom/value pairs each
+    const addPropertyLines = (property, field) => {
+        const entries = [];
+        atoms.forEach((atom, i) => {
+            if (atom[field]) entries.push([i + 1, atom[field]]);
+        });
+        for (let i = 0; i < entries.length; i += 8) {
+            const chunk = entries.slice(i, i + 8);
+            lines.push(`M  ${property}${padLeft(chunk.length, 3)}` +
+                chunk.map(([index, value]) => padLeft(index, 4) + padLeft(value, 4)).join(''));
+        }
+    };
+    addPropertyLines('CHG', 'charge');
+    addPropertyLines('ISO', 'isotope');
+    addPropertyLines('RAD', 'radical');
+
+    lines.push('M  END');
+    return lines.join('\n') + '\n';
+}
+
+// SD file: the molfile followed by one data item per known property
+function writeSDF(molecule) {
+    const lines = [writeMolfile(molecule).trimEnd()];
+
+    SDF_DATA_FIELDS.forEach(field => {
+        const value = molecule[field.key];
+        if (value === undefined || value === null || value === '') return;
+        const text = typeof value === 'number' ? String(+value.toFixed(4)) : String(value);
+        lines.push(`> <${field.tag}>`, text, '');
+    });
+
+    lines.push('$$$$');
+    return lines.join('\n') + '\n';
+}
+
+// XYZ: atom count, title comment, then one "El x y z" line per atom
+function writeXYZ(molecule) {
+    const lines = [String(molecule.atoms.length), getExportTitle(molecule)];
+    molecule.atoms.forEach(atom => {
+        const coords = [atom.x, atom.y, atom.z].map(c => padLeft(c.toFixed(6), 14)).join('');
+        lines.push(atom.element.padEnd(3, ' ') + coords);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// PDB: one HETATM record per atom as residue UNL, connectivity in CONECT records
+function writePDB(molecule) {
+    const atoms = molecule.atoms;
+    if (atoms.length > 99999) {
+        throw new Error('PDB files are limited to 99,999 atoms.');
+    }
+
+    const lines = [
+        `COMPND    ${getExportTitle(molecule).toUpperCase().substring(0, 70)}`,
+        'AUTHOR    GENERATED BY OCHEM VISUALIZER'
+    ];
+
+    const elementCounts = {};
+    atoms.forEach((atom, i) => {
+        const element = atom.element.toUpperCase();
+        elementCounts[element] = (elementCounts[element] || 0) + 1;
+
+        // One-letter elements start in column 14, two-letter elements in column 13
+        const label = `${element}${elementCounts[element]}`.substring(0, 4);
+        const name = element.length === 1 && label.length < 4 ? ` ${label}`.padEnd(4, ' ') : label.padEnd(4, ' ');
+
+        const coords = [atom.x, atom.y, atom.z].map(c => padLeft(c.toFixed(3), 8)).join('');
+        const charge = atom.charge ? `${Math.abs(atom.charge)}${atom.charge > 0 ? '+' : '-'}` : '  ';
+
+        lines.push(`HETATM${padLeft(i + 1, 5)} ${name} UNL A   1    ${coords}  1.00  0.00          ${padLeft(element, 2)}${charge}`);
+    });
+
+    // Repeat partners for double/triple bonds, the convention most readers use for bond order
+    const partners = atoms.map(() => []);
+    (molecule.bonds || []).forEach(bond => {
+        for (let k = 0; k < bond.order; k++) {
+            partners[bond.from].push(bond.to + 1);
+            partners[bond.to].push(bond.from + 1);
+        }
+    });
+    partners.forEach((list, i) => {
+        for (let k = 0; k < list.length; k += 4) {
+            lines.push(`CONECT${padLeft(i + 1, 5)}` + list.slice(k, k + 4).map(n => padLeft(n, 5)).join(''));
+        }
+    });
+
+    lines.push('END');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,127 @@
+// Image export
+// Renders the current camera view off-screen at print resolution, plus a
+// Lewis structure at the same height so both can go straight onto a worksheet
+
+const IMAGE_SIZES = {
+    '1080p': { label: '1920 × 1080', width: 1920, height: 1080 },
+    '1440p': { label: '2560 × 1440', width: 2560, height: 1440 },
+    '4k': { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+    'square': { label: '2048 × 2048', width: 2048, height: 2048 }
+};
+
+const IMAGE_BACKGROUNDS = {
+    scene: { label: 'Dark', color: '#1a1a2e' },
+    white: { label: 'White', color: '#ffffff' },
+    transparent: { label: 'Transparent', color: 'transparent' }
+};
+
+const IMAGE_CONTENTS = {
+    '3d': { label: '3D view' },
+    lewis: { label: 'Lewis structure' },
+    figure: { label: '3D + Lewis' }
+};
+
+// Render the visualizer's scene from its current camera into a new 2D canvas.
+// A separate renderer keeps the on-page canvas size and pixel ratio untouched.
+function renderSceneImage(visualizer, width, height, background) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    const maxSize = renderer.capabilities.maxTextureSize;
+    if (width > maxSize || height > maxSize) {
+        renderer.dispose();
+        throw new Error(`This graphics card can render at most ${maxSize} × ${maxSize} pixels.`);
+    }
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    renderer.setClearColor(0x000000, 0);
+    renderer.shadowMap.enabled = visualizer.renderer.shadowMap.enabled;
+    renderer.shadowMap.type = visualizer.renderer.shadowMap.type;
+
+    // Keep the on-screen horizontal extent when the export is narrower than the viewer
+    const camera = visualizer.camera.clone();
+    const viewerAspect = visualizer.camera.aspect;
+    camera.aspect = width / height;
+    if (camera.aspect < viewerAspect) {
+        const halfFov = THREE.MathUtils.degToRad(visualizer.camera.fov / 2);
+        camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfFov) * viewerAspect / camera.aspect));
+    }
+    camera.updateProjectionMatrix();
+
+    const scene = visualizer.scene;
+    const previousBackground = scene.background;
+    scene.background = background === 'transparent' ? null : new THREE.Color(background);
+    try {
+        renderer.render(scene, camera);
+    } finally {
+        scene.background = previousBackground;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(renderer.domElement, 0, 0);
+
+    renderer.dispose();
+    renderer.forceContextLoss();
+    return canvas;
+}
+
+// Draw the Lewis structure scaled up so its height matches the 3D image
+function renderLewisImage(visualizer, molecule, height, background) {
+    const source = visualizer.getLewisSize();
+    const scale = height / source.height;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    visualizer.drawLewisStructure(molecule, canvas, { scale, background });
+    return canvas;
+}
+
+// Place canvases side by side on one background
+function composeFigure(canvases, background) {
+    const figure = document.createElement('canvas');
+    figure.width = canvases.reduce((sum, c) => sum + c.width, 0);
+    figure.height = Math.max(...canvases.map(c => c.height));
+
+    const ctx = figure.getContext('2d');
+    if (background !== 'transparent') {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, figure.width, figure.height);
+    }
+
+    let x = 0;
+    canvases.forEach(c => {
+        ctx.drawImage(c, x, (figure.height - c.height) / 2);
+        x += c.width;
+    });
+    return figure;
+}
+
+function canvasToPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The browser could not encode the image.'));
+            }
+        }, 'image/png');
+    });
+}
+
+// Build the requested image as a PNG blob
+async function exportImage(visualizer, molecule, { size, background, content }) {
+    const { width, height } = IMAGE_SIZES[size];
+    const color = IMAGE_BACKGROUNDS[background].color;
+
+    if (content === 'lewis') {
+        return canvasToPNG(renderLewisImage(visualizer, molecule, height, color));
+    }
+
+    const sceneImage = renderSceneImage(visualizer, width, height, color);
+    if (content === 'figure') {
+        return canvasToPNG(composeFigure([sceneImage, renderLewisImage(visualizer, molecule, height, color)], color));
+    }
+    return canvasToPNG(sceneImage);
+}
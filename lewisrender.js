@@ -0,0 +1,212 @@
+// Lewis structure renderers
+// The Lewis structure is drawn through one of two renderers with the same few
+// shapes: a canvas for the page and PNG export, or SVG markup that stays sharp
+// in print and can be edited in vector tools. Both work in drawing units (CSS px).
+
+const LEWIS_FONT_FAMILY = 'Arial';
+
+// Backdrop behind atom labels when the drawing has no background of its own
+// (the page's canvas sits on the dark page)
+const LEWIS_BACKDROP_COLOR = '#1a1a2e';
+
+function lewisFont(size) {
+    return `bold ${size}px ${LEWIS_FONT_FAMILY}`;
+}
+
+// Coordinates to two decimals, without trailing zeros
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function svgOpacity(opacity) {
+    return opacity < 1 ? ` opacity="${opacity}"` : '';
+}
+
+class CanvasLewisRenderer {
+    // `scale` is canvas pixels per drawing unit and `view` the page's zoom and
+    // pan. The background is a color, 'transparent' or null (cleared).
+    constructor(canvas, { scale = 1, view = null, background = null } = {}) {
+        this.ctx = canvas.getContext('2d');
+        this.width = canvas.width / scale;
+        this.height = canvas.height / scale;
+        this.background = background;
+
+        const ctx = this.ctx;
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (background && background !== 'transparent') {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+        const { zoom, panX, panY } = view || { zoom: 1, panX: 0, panY: 0 };
+        ctx.setTransform(scale * zoom, 0, 0, scale * zoom, scale * panX, scale * panY);
+    }
+
+    measureText(text, size) {
+        this.ctx.font = lewisFont(size);
+        return this.ctx.measureText(text).width;
+    }
+
+    line(x1, y1, x2, y2, { color, width = 2, cap = 'butt', opacity = 1 }) {
+        const ctx = this.ctx;
+        ctx.globalAlpha = opacity;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.lineCap = cap;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+        ctx.lineCap = 'butt';
+        ctx.globalAlpha = 1;
+    }
+
+    polygon(points, { color }) {
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // A filled disc (`fill`) or a ring (`stroke`)
+    circle(x, y, radius, { fill = null, stroke = null, width = 1.5, opacity = 1 }) {
+        const ctx = this.ctx;
+        ctx.globalAlpha = opacity;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        if (fill) {
+            ctx.fillStyle = fill;
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = width;
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Quadratic curve from (x1, y1) to (x2, y2) bent toward (cx, cy)
+    curve(x1, y1, cx, cy, x2, y2, { color, width = 1.5 }) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.quadraticCurveTo(cx, cy, x2, y2);
+        ctx.stroke();
+    }
+
+    // Text vertically centered on y; `align` is 'center' or 'left'
+    text(text, x, y, { color, size, align = 'center' }) {
+        const ctx = this.ctx;
+        ctx.fillStyle = color;
+        ctx.font = lewisFont(size);
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+    }
+
+    // Clear a circle ([x, y, radius]) and optional rectangle ([x, y, width, height])
+    // behind a label so bond ends stop short of it: painted over with the
+    // background, or punched out of a transparent drawing
+    backdrop(circle, rect = null) {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.background && this.background !== 'transparent' ? this.background : LEWIS_BACKDROP_COLOR;
+        if (this.background === 'transparent') ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        ctx.arc(circle[0], circle[1], circle[2], 0, Math.PI * 2);
+        if (rect) ctx.rect(...rect);
+        ctx.fill();
+        ctx.globalCompositeOperation = 'source-over';
+    }
+}
+
+class SvgLewisRenderer {
+    constructor(width, height, { background = null } = {}) {
+        this.width = width;
+        this.height = height;
+        this.background = background;
+        this.elements = [];
+
+        // Backdrops of a transparent drawing become a mask over everything drawn
+        // before the first of them (the bonds), as punching out does on a canvas
+        this.cutouts = [];
+        this.maskedCount = null;
+
+        // Text is measured as the canvas would measure it
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+
+    measureText(text, size) {
+        this.measureCtx.font = lewisFont(size);
+        return this.measureCtx.measureText(text).width;
+    }
+
+    line(x1, y1, x2, y2, { color, width = 2, cap = 'butt', opacity = 1 }) {
+        this.elements.push(`<line x1="${svgNumber(x1)}" y1="${svgNumber(y1)}" x2="${svgNumber(x2)}" y2="${svgNumber(y2)}" ` +
+            `stroke="${color}" stroke-width="${width}" stroke-linecap="${cap}"${svgOpacity(opacity)}/>`);
+    }
+
+    polygon(points, { color }) {
+        this.elements.push(`<polygon points="${points.map(p => `${svgNumber(p.x)},${svgNumber(p.y)}`).join(' ')}" fill="${color}"/>`);
+    }
+
+    circle(x, y, radius, { fill = null, stroke = null, width = 1.5, opacity = 1 }) {
+        const paint = fill ? `fill="${fill}"` : `fill="none" stroke="${stroke}" stroke-width="${width}"`;
+        this.elements.push(`<circle cx="${svgNumber(x)}" cy="${svgNumber(y)}" r="${svgNumber(radius)}" ${paint}${svgOpacity(opacity)}/>`);
+    }
+
+    curve(x1, y1, cx, cy, x2, y2, { color, width = 1.5 }) {
+        const d = `M ${svgNumber(x1)} ${svgNumber(y1)} Q ${svgNumber(cx)} ${svgNumber(cy)} ${svgNumber(x2)} ${svgNumber(y2)}`;
+        this.elements.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${width}"/>`);
+    }
+
+    text(text, x, y, { color, size, align = 'center' }) {
+        this.elements.push(`<text x="${svgNumber(x)}" y="${svgNumber(y)}" fill="${color}" font-family="${LEWIS_FONT_FAMILY}" ` +
+            `font-size="${size}" font-weight="bold" text-anchor="${align === 'left' ? 'start' : 'middle'}" ` +
+            `dominant-baseline="central">${escapeHtml(text)}</text>`);
+    }
+
+    backdrop(circle, rect = null) {
+        const shapes = [`<circle cx="${svgNumber(circle[0])}" cy="${svgNumber(circle[1])}" r="${svgNumber(circle[2])}"/>`];
+        if (rect) shapes.push(`<rect x="${svgNumber(rect[0])}" y="${svgNumber(rect[1])}" width="${svgNumber(rect[2])}" height="${svgNumber(rect[3])}"/>`);
+
+        if (this.background === 'transparent') {
+            if (this.maskedCount === null) this.maskedCount = this.elements.length;
+            this.cutouts.push(...shapes);
+        } else {
+            this.elements.push(`<g fill="${this.background || LEWIS_BACKDROP_COLOR}">${shapes.join('')}</g>`);
+        }
+    }
+
+    toString() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNumber(this.width)}" height="${svgNumber(this.height)}" viewBox="0 0 ${svgNumber(this.width)} ${svgNumber(this.height)}">`
+        ];
+        if (this.background && this.background !== 'transparent') {
+            lines.push(`<rect width="100%" height="100%" fill="${this.background}"/>`);
+        }
+
+        if (this.cutouts.length > 0) {
+            lines.push(
+                '<defs>',
+                '<mask id="lewis-cutouts" maskUnits="userSpaceOnUse" x="0" y="0" width="100%" height="100%">',
+                `<rect width="100%" height="100%" fill="white"/>`,
+                `<g fill="black">${this.cutouts.join('')}</g>`,
+                '</mask>',
+                '</defs>',
+                '<g mask="url(#lewis-cutouts)">',
+                ...this.elements.slice(0, this.maskedCount),
+                '</g>',
+                ...this.elements.slice(this.maskedCount)
+            );
+        } else {
+            lines.push(...this.elements);
+        }
+        lines.push('</svg>');
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,314 @@
+// Interactive Lewis structure
+// Zooms and pans the 2D drawing, keeps it sharp on high-density screens, and
+// links it to the 3D model: the atom or bond under the pointer in either view is
+// highlighted in both, with its details in a tooltip
+
+// Highlight of the linked atom or bond, in both views
+const LINK_HIGHLIGHT_COLOR = 0x00e676;
+const LINK_HIGHLIGHT_OPACITY = 0.45;
+
+// Zoom range, and the zoom factor of one mouse wheel step
+const LEWIS_ZOOM = { min: 0.5, max: 8, step: 1.15 };
+
+// Pointer distance in drawing units within which an atom or bond is picked
+const LEWIS_PICK_RADIUS = { atom: 12, bond: 5 };
+
+// Pointer travel (px) below which a press counts as a click rather than a pan
+const LEWIS_CLICK_TOLERANCE = 5;
+
+// Distance from point p to the segment a-b
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+    return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+}
+
+function sameTarget(a, b) {
+    if (!a || !b) return a === b;
+    return a.atom === b.atom && a.bond === b.bond;
+}
+
+class LewisView {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.canvas = visualizer.lewisCanvas;
+        this.tooltip = document.getElementById('lewis-tooltip');
+
+        // Drawing units to CSS pixels: screen = drawing * zoom + pan
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.pixelRatio = 1;
+
+        // Atom positions and hidden atoms of the last drawing, for picking
+        this.layout = null;
+
+        // Atom or bond under the pointer in either view, and the one a click holds
+        this.hovered = null;
+        this.pinned = null;
+
+        // Pointers down on the canvas (two pinch-zoom), and the press that may be a click
+        this.pointers = new Map();
+        this.press = null;
+
+        this.group = new THREE.Group();
+        visualizer.scene.add(this.group);
+
+        this.setupEvents();
+        this.resize();
+    }
+
+    setupEvents() {
+        const canvas = this.canvas;
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAt(e.offsetX, e.offsetY, e.deltaY < 0 ? LEWIS_ZOOM.step : 1 / LEWIS_ZOOM.step);
+        }, { passive: false });
+
+        canvas.addEventListener('pointerdown', (e) => {
+            canvas.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+            this.press = this.pointers.size === 1 ? { x: e.offsetX, y: e.offsetY } : null;
+            canvas.classList.add('dragging');
+            this.hideTooltip();
+        });
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointerleave', () => {
+            if (this.pointers.size > 0) return;
+            this.hideTooltip();
+            this.setHovered(null);
+        });
+        canvas.addEventListener('dblclick', () => this.resetView());
+
+        // Moving the window to a screen of another pixel density changes the ratio
+        // without a resize
+        const watchPixelRatio = () => {
+            const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            query.addEventListener('change', () => {
+                this.resize();
+                watchPixelRatio();
+            }, { once: true });
+        };
+        if (window.matchMedia) watchPixelRatio();
+    }
+
+    onPointerMove(event) {
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous) {
+            this.hover(event);
+            return;
+        }
+
+        const current = { x: event.offsetX, y: event.offsetY };
+        if (this.pointers.size === 2) {
+            // Pinch: zoom by the change in finger spacing about their midpoint
+            const [other] = [...this.pointers.entries()].filter(([id]) => id !== event.pointerId).map(([, p]) => p);
+            const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+            const after = Math.hypot(current.x - other.x, current.y - other.y);
+            if (before > 0) this.zoomAt((current.x + other.x) / 2, (current.y + other.y) / 2, after / before);
+        } else {
+            this.panX += current.x - previous.x;
+            this.panY += current.y - previous.y;
+            this.redraw();
+        }
+        this.pointers.set(event.pointerId, current);
+    }
+
+    onPointerUp(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size === 0) this.canvas.classList.remove('dragging');
+
+        // A press without movement picks, holding the highlight until the next click
+        if (this.press && event.type === 'pointerup' &&
+            Math.hypot(event.offsetX - this.press.x, event.offsetY - this.press.y) < LEWIS_CLICK_TOLERANCE) {
+            this.togglePinned(this.pick(event.offsetX, event.offsetY));
+            this.hover(event);
+        }
+        this.press = null;
+    }
+
+    hover(event) {
+        const target = this.pick(event.offsetX, event.offsetY);
+        this.setHovered(target);
+        if (target) {
+            this.showTooltip(target, event);
+        } else {
+            this.hideTooltip();
+        }
+    }
+
+    // Zoom by a factor, keeping the drawing point under (x, y) in place
+    zoomAt(x, y, factor) {
+        const zoom = Math.max(LEWIS_ZOOM.min, Math.min(LEWIS_ZOOM.max, this.zoom * factor));
+        this.panX = x - (x - this.panX) * zoom / this.zoom;
+        this.panY = y - (y - this.panY) * zoom / this.zoom;
+        this.zoom = zoom;
+        this.redraw();
+    }
+
+    resetView() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.redraw();
+    }
+
+    // Forget the view and highlight, e.g. when a new molecule is loaded
+    reset() {
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.layout = null;
+        this.hovered = null;
+        this.pinned = null;
+        this.hideTooltip();
+        this.updateModelHighlight();
+    }
+
+    // Match the bitmap to the canvas's size on screen at the screen's pixel
+    // density; drawing units stay CSS pixels. Hidden canvases keep their size.
+    resize() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (!width || !height) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const pixelWidth = Math.round(width * ratio);
+        const pixelHeight = Math.round(height * ratio);
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+        this.pixelRatio = pixelWidth / width;
+        this.redraw();
+    }
+
+    // Options drawLewisStructure uses for the page's canvas
+    getDrawOptions() {
+        return {
+            scale: this.pixelRatio,
+            view: { zoom: this.zoom, panX: this.panX, panY: this.panY },
+            highlight: this.hovered || this.pinned
+        };
+    }
+
+    // Positions and hidden atoms of the drawing just made (null when empty)
+    setLayout(molecule, layout) {
+        this.layout = layout ? { molecule, ...layout } : null;
+    }
+
+    redraw() {
+        const molecule = this.visualizer.currentMolecule;
+        if (molecule) this.visualizer.drawLewisStructure(molecule);
+    }
+
+    // Atom ({ atom }) or bond ({ bond }) drawn at canvas point (x, y), or null
+    pick(x, y) {
+        if (!this.layout) return null;
+
+        const { molecule, positions, hidden } = this.layout;
+        const point = { x: (x - this.panX) / this.zoom, y: (y - this.panY) / this.zoom };
+        let best = null;
+        let bestDistance = LEWIS_PICK_RADIUS.atom;
+        positions.forEach((p, index) => {
+            if (hidden[index]) return;
+            const distance = Math.hypot(point.x - p.x, point.y - p.y);
+            if (distance < bestDistance) {
+                best = { atom: index };
+                bestDistance = distance;
+            }
+        });
+        if (best) return best;
+
+        bestDistance = LEWIS_PICK_RADIUS.bond;
+        molecule.bonds.forEach((bond, index) => {
+            if (hidden[bond.from] || hidden[bond.to]) return;
+            const distance = distanceToSegment(point, positions[bond.from], positions[bond.to]);
+            if (distance < bestDistance) {
+                best = { bond: index };
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    setHovered(target) {
+        if (sameTarget(target, this.hovered)) return;
+        this.hovered = target;
+        this.highlightChanged();
+    }
+
+    // Clicking the held atom or bond again, or empty space, lets it go
+    togglePinned(target) {
+        this.pinned = target && !sameTarget(target, this.pinned) ? target : null;
+        this.highlightChanged();
+    }
+
+    highlightChanged() {
+        this.redraw();
+        this.updateModelHighlight();
+    }
+
+    showTooltip(target, event) {
+        const molecule = this.visualizer.currentMolecule;
+        if (!molecule || !this.tooltip) return;
+
+        this.tooltip.innerHTML = target.atom !== undefined
+            ? getAtomDetailsHtml(molecule, target.atom)
+            : getBondDetailsHtml(molecule, target.bond);
+        this.tooltip.style.left = `${this.canvas.offsetLeft + event.offsetX + 14}px`;
+        this.tooltip.style.top = `${this.canvas.offsetTop + event.offsetY + 14}px`;
+        this.tooltip.classList.remove('hidden');
+    }
+
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.classList.add('hidden');
+    }
+
+    // Halo around the highlighted atom, or a sleeve around the highlighted bond,
+    // in the 3D model
+    updateModelHighlight() {
+        while (this.group.children.length > 0) {
+            const child = this.group.children[0];
+            child.geometry.dispose();
+            child.material.dispose();
+            this.group.remove(child);
+        }
+
+        const molecule = this.visualizer.currentMolecule;
+        const target = this.hovered || this.pinned;
+        if (molecule && molecule.atoms && target) {
+            // Atoms are drawn shifted so the molecule is centered
+            this.group.position.copy(this.visualizer.moleculeCenter).negate();
+            const material = new THREE.MeshBasicMaterial({
+                color: LINK_HIGHLIGHT_COLOR,
+                transparent: true,
+                opacity: LINK_HIGHLIGHT_OPACITY,
+                depthWrite: false
+            });
+
+            if (target.atom !== undefined) {
+                const atom = molecule.atoms[target.atom];
+                const halo = new THREE.Mesh(new THREE.SphereGeometry(this.visualizer.getAtomRadius(atom.element) + 0.15, 24, 16), material);
+                halo.position.copy(toVector(atom));
+                this.group.add(halo);
+            } else {
+                const bond = molecule.bonds[target.bond];
+                const start = toVector(molecule.atoms[bond.from]);
+                const end = toVector(molecule.atoms[bond.to]);
+                const direction = end.clone().sub(start);
+                const sleeve = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, direction.length(), 16), material);
+                sleeve.position.copy(start).add(end).multiplyScalar(0.5);
+                sleeve.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.normalize());
+                this.group.add(sleeve);
+            }
+        }
+        this.visualizer.requestRender();
+    }
+}
@@ -0,0 +1,451 @@
+// Atom picking and measurements
+// Hovering an atom or bond shows its details; in a measure mode, clicking 2, 3 or
+// 4 atoms adds a persistent distance, bond-angle or dihedral drawn into the 3D scene
+
+const MEASUREMENT_TYPES = {
+    distance: { label: 'Distance', atomCount: 2, unit: 'Å' },
+    angle: { label: 'Angle', atomCount: 3, unit: '°' },
+    dihedral: { label: 'Dihedral', atomCount: 4, unit: '°' }
+};
+
+const MEASUREMENT_COLOR = 0xffd166;
+const SELECTION_COLOR = 0x00d9ff;
+
+// Bonds are picked within this distance (Å) of their axis, a little wider than drawn
+const BOND_PICK_RADIUS = 0.15;
+
+const BOND_ORDER_NAMES = { 1: 'Single', 2: 'Double', 3: 'Triple' };
+
+// Text sprite that always faces the camera and draws on top of the model
+function createLabelSprite(text, color, height = 0.3) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const fontSize = 48;
+    ctx.font = `bold ${fontSize}px Arial`;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 24;
+    canvas.height = fontSize + 20;
+
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.8)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false
+    }));
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.renderOrder = 11;
+    return sprite;
+}
+
+function toVector(atom) {
+    return new THREE.Vector3(atom.x, atom.y, atom.z);
+}
+
+// Distance in Å between two atoms
+function measureDistance(a, b) {
+    return toVector(a).distanceTo(toVector(b));
+}
+
+// Angle a-b-c in degrees, with b at the vertex
+function measureAngle(a, b, c) {
+    const ba = toVector(a).sub(toVector(b));
+    const bc = toVector(c).sub(toVector(b));
+    return THREE.MathUtils.radToDeg(ba.angleTo(bc));
+}
+
+// Dihedral a-b-c-d in degrees, -180 to 180 (IUPAC sign convention)
+function measureDihedral(a, b, c, d) {
+    const b1 = toVector(b).sub(toVector(a));
+    const b2 = toVector(c).sub(toVector(b));
+    const b3 = toVector(d).sub(toVector(c));
+
+    const n1 = new THREE.Vector3().crossVectors(b1, b2);
+    const n2 = new THREE.Vector3().crossVectors(b2, b3);
+    const m1 = new THREE.Vector3().crossVectors(b2.clone().normalize(), n1);
+
+    return THREE.MathUtils.radToDeg(Math.atan2(m1.dot(n2), n1.dot(n2)));
+}
+
+function computeMeasurement(type, atoms) {
+    if (type === 'distance') return measureDistance(...atoms);
+    if (type === 'angle') return measureAngle(...atoms);
+    return measureDihedral(...atoms);
+}
+
+// "C3" style label: element plus 1-based atom number
+function getAtomLabel(molecule, index) {
+    return `${molecule.atoms[index].element}${index + 1}`;
+}
+
+// Ray from the visualizer's camera through the pointer position
+function getPointerRay(visualizer, event, raycaster) {
+    const rect = visualizer.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, visualizer.camera);
+    return raycaster.ray;
+}
+
+// Atom nearest the camera whose sphere the ray passes through, as { index, distance },
+// or null. Atoms are instanced, so the ray is tested against each sphere directly;
+// coordinates are shifted by the molecule center just as they are drawn.
+function findAtomOnRay(visualizer, ray, atoms) {
+    const center = visualizer.moleculeCenter;
+    const point = new THREE.Vector3();
+    let closest = null;
+
+    atoms.forEach((atom, index) => {
+        point.set(atom.x, atom.y, atom.z).sub(center);
+        const radius = visualizer.getAtomRadius(atom.element);
+        if (ray.distanceSqToPoint(point) > radius * radius) return;
+
+        const distance = ray.origin.distanceTo(point);
+        if (!closest || distance < closest.distance) {
+            closest = { index, distance };
+        }
+    });
+    return closest;
+}
+
+// Bond whose axis the ray passes within BOND_PICK_RADIUS of, nearest the camera,
+// as { index, distance }, or null
+function findBondOnRay(visualizer, ray, molecule) {
+    const center = visualizer.moleculeCenter;
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const pointOnRay = new THREE.Vector3();
+    let closest = null;
+
+    (molecule.bonds || []).forEach((bond, index) => {
+        start.copy(toVector(molecule.atoms[bond.from])).sub(center);
+        end.copy(toVector(molecule.atoms[bond.to])).sub(center);
+        if (ray.distanceSqToSegment(start, end, pointOnRay) > BOND_PICK_RADIUS * BOND_PICK_RADIUS) return;
+
+        const distance = ray.origin.distanceTo(pointOnRay);
+        if (!closest || distance < closest.distance) {
+            closest = { index, distance };
+        }
+    });
+    return closest;
+}
+
+// Details of an atom for the tooltips of the 3D view and the Lewis structure.
+// Element symbols come from the loaded file, so labels are escaped like any other text.
+function getAtomDetailsHtml(molecule, index) {
+    const atom = molecule.atoms[index];
+    const neighbors = (molecule.bonds || [])
+        .filter(bond => bond.from === index || bond.to === index)
+        .map(bond => escapeHtml(getAtomLabel(molecule, bond.from === index ? bond.to : bond.from)));
+    const perceived = (molecule.bonds || []).some(bond => bond.perceived);
+    const stereocenter = getStereoInfo(molecule).centers.find(center => center.atom === index);
+
+    return `
+        <div class="tooltip-title">${getAtomProperties(atom.element).name} (${escapeHtml(getAtomLabel(molecule, index))})</div>
+        <div>Atom #${index + 1}</div>
+        <div>Bonded to: ${neighbors.length > 0 ? neighbors.join(', ') : 'none'}${perceived ? ' (perceived)' : ''}</div>
+        <div>Partial charge: ${formatPartialCharge(getPartialCharges(molecule)[index])} e</div>
+        ${stereocenter ? `<div>Stereocenter: ${stereocenter.descriptor}</div>` : ''}
+        <div>x ${atom.x.toFixed(3)}, y ${atom.y.toFixed(3)}, z ${atom.z.toFixed(3)} Å</div>
+    `;
+}
+
+// Details of a bond, likewise
+function getBondDetailsHtml(molecule, index) {
+    const bond = molecule.bonds[index];
+    const aromatic = getRingInfo(molecule).aromaticBondRing.has(index);
+    const stereoBond = getStereoInfo(molecule).doubleBonds.find(doubleBond => doubleBond.bond === index);
+    const type = aromatic ? 'Aromatic' : (BOND_ORDER_NAMES[bond.order] || `Order ${bond.order}`);
+
+    return `
+        <div class="tooltip-title">${escapeHtml(getAtomLabel(molecule, bond.from))}–${escapeHtml(getAtomLabel(molecule, bond.to))} bond</div>
+        <div>${type}${bond.perceived ? ' (perceived)' : ''}</div>
+        <div>Length: ${measureDistance(molecule.atoms[bond.from], molecule.atoms[bond.to]).toFixed(3)} Å</div>
+        ${stereoBond ? `<div>Double bond: ${stereoBond.descriptor}</div>` : ''}
+    `;
+}
+
+class MeasurementTool {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.mode = null;
+        this.selection = [];
+        this.measurements = [];
+        this.hoveredAtom = null;
+
+        this.group = new THREE.Group();
+        visualizer.scene.add(this.group);
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDown = null;
+
+        this.tooltip = document.getElementById('atom-tooltip');
+        this.listEl = document.getElementById('molecule-measurements');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        const canvas = this.visualizer.renderer.domElement;
+
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerleave', () => {
+            this.hideTooltip();
+            this.visualizer.lewisView.setHovered(null);
+        });
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointerup', (e) => {
+            // A drag rotates the view; only a click without movement picks
+            if (this.pointerDown && Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y) < 5) {
+                this.onClick(e);
+            }
+            this.pointerDown = null;
+        });
+    }
+
+    setMode(mode) {
+        this.mode = MEASUREMENT_TYPES[mode] ? mode : null;
+        this.selection = [];
+        this.refresh();
+    }
+
+    // Forget all measurements, e.g. when a new molecule is loaded
+    reset() {
+        this.selection = [];
+        this.measurements = [];
+        this.hideTooltip();
+        this.refresh();
+    }
+
+    // Index of the atom under the pointer, or null
+    pickAtom(event) {
+        const molecule = this.visualizer.currentMolecule;
+        if (!molecule || !molecule.atoms) return null;
+
+        const ray = getPointerRay(this.visualizer, event, this.raycaster);
+        const hit = findAtomOnRay(this.visualizer, ray, molecule.atoms);
+        return hit ? hit.index : null;
+    }
+
+    // Atom ({ atom }) or bond ({ bond }) under the pointer, or null. Atoms win;
+    // bonds can only be picked where they are drawn.
+    pick(event) {
+        const atom = this.pickAtom(event);
+        if (atom !== null) return { atom };
+
+        const molecule = this.visualizer.currentMolecule;
+        if (!molecule || !molecule.atoms || this.visualizer.viewStyle === 'space-fill') return null;
+        const hit = findBondOnRay(this.visualizer, getPointerRay(this.visualizer, event, this.raycaster), molecule);
+        return hit ? { bond: hit.index } : null;
+    }
+
+    onPointerMove(event) {
+        // Skip picking while dragging the view
+        if (this.pointerDown) return;
+
+        const target = this.pick(event);
+        this.visualizer.lewisView.setHovered(target);
+        if (target === null) {
+            this.hideTooltip();
+            return;
+        }
+        this.showTooltip(target, event);
+    }
+
+    onClick(event) {
+        // A click also holds the highlight in the Lewis structure
+        this.visualizer.lewisView.togglePinned(this.pick(event));
+        if (!this.mode) return;
+        const index = this.pickAtom(event);
+        if (index === null) return;
+
+        // Clicking a selected atom again deselects it
+        const existing = this.selection.indexOf(index);
+        if (existing !== -1) {
+            this.selection.splice(existing, 1);
+        } else {
+            this.selection.push(index);
+        }
+
+        if (this.selection.length === MEASUREMENT_TYPES[this.mode].atomCount) {
+            this.addMeasurement(this.mode, this.selection);
+            this.selection = [];
+        }
+        this.refresh();
+    }
+
+    addMeasurement(type, atomIndices) {
+        const atoms = atomIndices.map(i => this.visualizer.currentMolecule.atoms[i]);
+        this.measurements.push({ type, atoms: atomIndices.slice(), value: computeMeasurement(type, atoms) });
+    }
+
+    removeMeasurement(index) {
+        this.measurements.splice(index, 1);
+        this.refresh();
+    }
+
+    showTooltip(target, event) {
+        const molecule = this.visualizer.currentMolecule;
+        this.tooltip.innerHTML = target.atom !== undefined
+            ? getAtomDetailsHtml(molecule, target.atom)
+            : getBondDetailsHtml(molecule, target.bond);
+
+        const rect = this.visualizer.container.getBoundingClientRect();
+        this.tooltip.style.left = `${event.clientX - rect.left + 14}px`;
+        this.tooltip.style.top = `${event.clientY - rect.top + 14}px`;
+        this.tooltip.classList.remove('hidden');
+        this.hoveredAtom = target.atom !== undefined ? target.atom : null;
+    }
+
+    hideTooltip() {
+        this.tooltip.classList.add('hidden');
+        this.hoveredAtom = null;
+    }
+
+    // Rebuild the scene overlay and the info panel list
+    refresh() {
+        this.clearGroup();
+        const molecule = this.visualizer.currentMolecule;
+
+        if (molecule && molecule.atoms) {
+            // Atoms are drawn shifted so the molecule is centered
+            this.group.position.copy(this.visualizer.moleculeCenter).negate();
+
+            this.selection.forEach(index => this.addSelectionHalo(molecule.atoms[index]));
+            this.measurements.forEach(measurement => this.drawMeasurement(molecule, measurement));
+        }
+
+        this.renderList();
+        this.visualizer.requestRender();
+    }
+
+    clearGroup() {
+        while (this.group.children.length > 0) {
+            const child = this.group.children[0];
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+            this.group.remove(child);
+        }
+    }
+
+    addSelectionHalo(atom) {
+        const radius = this.visualizer.getAtomRadius(atom.element) + 0.12;
+        const halo = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 24, 16),
+            new THREE.MeshBasicMaterial({ color: SELECTION_COLOR, transparent: true, opacity: 0.35, depthWrite: false })
+        );
+        halo.position.copy(toVector(atom));
+        this.group.add(halo);
+    }
+
+    drawMeasurement(molecule, measurement) {
+        const points = measurement.atoms.map(i => toVector(molecule.atoms[i]));
+        const text = this.formatValue(measurement);
+
+        if (measurement.type === 'distance') {
+            this.addDashedLine(points);
+            this.addLabel(text, points[0].clone().add(points[1]).multiplyScalar(0.5));
+        } else if (measurement.type === 'angle') {
+            this.addDashedLine(points);
+            const arc = this.getArcPoints(points[1], points[0], points[2], 0.45);
+            this.addLine(arc);
+            this.addLabel(text, arc[Math.floor(arc.length / 2)].clone().sub(points[1]).multiplyScalar(1.6).add(points[1]));
+        } else {
+            this.addDashedLine(points);
+            this.addLabel(text, points[1].clone().add(points[2]).multiplyScalar(0.5));
+        }
+    }
+
+    // Points on a circular arc around the vertex between the directions to a and b
+    getArcPoints(vertex, a, b, radius) {
+        const u = a.clone().sub(vertex).normalize();
+        const v = b.clone().sub(vertex).normalize();
+        const angle = u.angleTo(v);
+        const axis = new THREE.Vector3().crossVectors(u, v).normalize();
+        const segments = 24;
+        const points = [];
+
+        for (let i = 0; i <= segments; i++) {
+            const direction = u.clone().applyAxisAngle(axis, (angle * i) / segments);
+            points.push(direction.multiplyScalar(radius).add(vertex));
+        }
+        return points;
+    }
+
+    addDashedLine(points) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({ color: MEASUREMENT_COLOR, dashSize: 0.1, gapSize: 0.06, depthTest: false })
+        );
+        line.computeLineDistances();
+        line.renderOrder = 10;
+        this.group.add(line);
+    }
+
+    addLine(points) {
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: MEASUREMENT_COLOR, depthTest: false })
+        );
+        line.renderOrder = 10;
+        this.group.add(line);
+    }
+
+    addLabel(text, position) {
+        const sprite = createLabelSprite(text, MEASUREMENT_COLOR);
+        sprite.position.copy(position);
+        this.group.add(sprite);
+    }
+
+    formatValue(measurement) {
+        const type = MEASUREMENT_TYPES[measurement.type];
+        const digits = measurement.type === 'distance' ? 3 : 1;
+        return `${measurement.value.toFixed(digits)} ${type.unit}`;
+    }
+
+    renderList() {
+        const molecule = this.visualizer.currentMolecule;
+        const pending = this.mode ?
+            `<div class="measurement-hint">${MEASUREMENT_TYPES[this.mode].label}: pick ${MEASUREMENT_TYPES[this.mode].atomCount - this.selection.length} more atom(s)</div>` : '';
+
+        if (!molecule || (this.measurements.length === 0 && !pending)) {
+            this.listEl.innerHTML = '';
+            return;
+        }
+
+        this.listEl.innerHTML = `
+            <div class="measurements-label">Measurements</div>
+            ${this.measurements.map((measurement, i) => `
+                <div class="measurement-item">
+                    <span class="measurement-atoms">${measurement.atoms.map(index => escapeHtml(getAtomLabel(molecule, index))).join('–')}</span>
+                    <span class="measurement-value">${this.formatValue(measurement)}</span>
+                    <button class="measurement-remove" data-index="${i}" title="Remove">×</button>
+                </div>
+            `).join('')}
+            ${pending}
+            ${this.measurements.length > 1 ? '<button class="measurement-clear">Clear all</button>' : ''}
+        `;
+
+        this.listEl.querySelectorAll('.measurement-remove').forEach(btn => {
+            btn.addEventListener('click', () => this.removeMeasurement(parseInt(btn.dataset.index, 10)));
+        });
+        const clearBtn = this.listEl.querySelector('.measurement-clear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.measurements = [];
+                this.refresh();
+            });
+        }
+    }
+}
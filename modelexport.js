@@ -0,0 +1,243 @@
+// 3D model export
+// Rebuilds the current view style as plain meshes and writes it as binary glTF
+// (for slides and 3D viewers) or OBJ/MTL, or fuses it into one solid for STL
+// (for 3D printing)
+
+// STL has no units; slicers read it as millimetres, so 1 Å prints as 10 mm
+const STL_MM_PER_ANGSTROM = 10;
+
+const MODEL_EXPORT_FORMATS = {
+    glb: { label: 'glTF', title: 'Binary glTF with CPK materials' },
+    obj: { label: 'OBJ', title: 'Wavefront OBJ + MTL materials' },
+    stl: { label: 'STL', title: 'STL for 3D printing (1 Å = 10 mm)' }
+};
+
+// Build a group of meshes for the molecule in the visualizer's current view style,
+// one per atom and bond cylinder
+function buildExportModel(molecule, visualizer) {
+    const group = new THREE.Group();
+    group.name = molecule.name || 'molecule';
+
+    const materials = {};
+    const getMaterial = (name, color) => {
+        if (!materials[name]) {
+            materials[name] = new THREE.MeshStandardMaterial({ name, color, roughness: 0.5, metalness: 0 });
+        }
+        return materials[name];
+    };
+
+    // Center on the bounding box like the viewer does
+    const box = new THREE.Box3();
+    molecule.atoms.forEach(atom => box.expandByPoint(new THREE.Vector3(atom.x, atom.y, atom.z)));
+    const center = box.getCenter(new THREE.Vector3());
+
+    molecule.atoms.forEach((atom, index) => {
+        const geometry = new THREE.SphereGeometry(visualizer.getAtomRadius(atom.element), 32, 24);
+        const material = getMaterial(`CPK_${atom.element}`, getAtomProperties(atom.element).color);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = `${atom.element}${index + 1}`;
+        mesh.position.set(atom.x, atom.y, atom.z).sub(center);
+        group.add(mesh);
+    });
+
+    if (visualizer.viewStyle !== 'space-fill' && molecule.bonds) {
+        const bondMaterial = getMaterial('Bond', visualizer.bondMaterial.color.getHex());
+        const { aromaticBondRing } = getRingInfo(molecule);
+        molecule.bonds.forEach((bond, index) => {
+            const atom1 = molecule.atoms[bond.from];
+            const atom2 = molecule.atoms[bond.to];
+            if (!atom1 || !atom2) return;
+
+            const ring = aromaticBondRing.get(index);
+            const ringCenter = ring ? getRingCenter(molecule.atoms, ring) : null;
+            visualizer.getBondCylinders(atom1, atom2, bond.order, ringCenter).forEach(({ position, quaternion, length, radius }) => {
+                const mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, length, 16), bondMaterial);
+                mesh.name = `Bond${index + 1}`;
+                mesh.position.copy(position).sub(center);
+                mesh.quaternion.copy(quaternion);
+                group.add(mesh);
+            });
+        });
+    }
+
+    group.updateMatrixWorld(true);
+    return group;
+}
+
+// The current view style as a single closed surface for printing: the union of
+// the atom spheres and bond capsules, traced with marching cubes. Aromatic bonds
+// are one solid stick each, since their dashes would print as loose pieces.
+function buildPrintSolid(molecule, visualizer) {
+    const box = new THREE.Box3();
+    molecule.atoms.forEach(atom => box.expandByPoint(new THREE.Vector3(atom.x, atom.y, atom.z)));
+    const center = box.getCenter(new THREE.Vector3());
+
+    const spheres = [];
+    molecule.atoms.forEach(atom => {
+        spheres.push(atom.x - center.x, atom.y - center.y, atom.z - center.z, visualizer.getAtomRadius(atom.element));
+    });
+
+    const capsules = [];
+    if (visualizer.viewStyle !== 'space-fill' && molecule.bonds) {
+        const { aromaticBondRing } = getRingInfo(molecule);
+        const halfAxis = new THREE.Vector3();
+        molecule.bonds.forEach((bond, index) => {
+            const atom1 = molecule.atoms[bond.from];
+            const atom2 = molecule.atoms[bond.to];
+            if (!atom1 || !atom2) return;
+
+            const order = aromaticBondRing.has(index) ? 1 : bond.order;
+            visualizer.getBondCylinders(atom1, atom2, order).forEach(({ position, quaternion, length, radius }) => {
+                halfAxis.set(0, length / 2, 0).applyQuaternion(quaternion);
+                const a = position.clone().sub(center).sub(halfAxis);
+                const b = position.clone().sub(center).add(halfAxis);
+                capsules.push(a.x, a.y, a.z, b.x, b.y, b.z, radius);
+            });
+        });
+    }
+
+    const { positions, indices } = computeSolid({ spheres, capsules });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+    const group = new THREE.Group();
+    group.name = molecule.name || 'molecule';
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ name: 'Solid' }));
+    mesh.name = group.name;
+    group.add(mesh);
+    group.updateMatrixWorld(true);
+    return group;
+}
+
+// Release the geometries and materials of an export model
+function disposeExportModel(group) {
+    const materials = new Set();
+    group.traverse(object => {
+        if (object.isMesh) {
+            object.geometry.dispose();
+            materials.add(object.material);
+        }
+    });
+    materials.forEach(material => material.dispose());
+}
+
+// Binary glTF (.glb) via the Three.js exporter
+function writeGLB(group) {
+    return new Promise((resolve, reject) => {
+        if (!THREE.GLTFExporter) {
+            reject(new Error('glTF exporter failed to load.'));
+            return;
+        }
+        new THREE.GLTFExporter().parse(group, (result) => {
+            resolve(new Blob([result], { type: 'model/gltf-binary' }));
+        }, { binary: true });
+    });
+}
+
+// Visit every triangle of every mesh in world coordinates
+function forEachTriangle(group, callback) {
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+
+    group.traverse(mesh => {
+        if (!mesh.isMesh) return;
+        const position = mesh.geometry.attributes.position;
+        const index = mesh.geometry.index;
+        const count = index ? index.count : position.count;
+
+        for (let i = 0; i < count; i += 3) {
+            const ia = index ? index.getX(i) : i;
+            const ib = index ? index.getX(i + 1) : i + 1;
+            const ic = index ? index.getX(i + 2) : i + 2;
+            a.fromBufferAttribute(position, ia).applyMatrix4(mesh.matrixWorld);
+            b.fromBufferAttribute(position, ib).applyMatrix4(mesh.matrixWorld);
+            c.fromBufferAttribute(position, ic).applyMatrix4(mesh.matrixWorld);
+            callback(a, b, c, mesh);
+        }
+    });
+}
+
+// Wavefront OBJ with a companion MTL holding one material per element
+function writeOBJ(group, mtlFilename) {
+    const objLines = [`# ${group.name}`, `mtllib ${mtlFilename}`];
+    const mtlLines = [`# Materials for ${group.name}`];
+    const normalMatrix = new THREE.Matrix3();
+    const vertex = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const writtenMaterials = new Set();
+    let vertexOffset = 1;
+
+    group.traverse(mesh => {
+        if (!mesh.isMesh) return;
+        const { position, normal: normals } = mesh.geometry.attributes;
+        const material = mesh.material;
+
+        if (!writtenMaterials.has(material.name)) {
+            writtenMaterials.add(material.name);
+            const { r, g, b } = material.color;
+            mtlLines.push('', `newmtl ${material.name}`, `Kd ${r.toFixed(4)} ${g.toFixed(4)} ${b.toFixed(4)}`,
+                'Ka 0.0000 0.0000 0.0000', 'Ks 0.2500 0.2500 0.2500', 'Ns 30', 'illum 2');
+        }
+
+        objLines.push(`o ${mesh.name}`, `usemtl ${material.name}`);
+        normalMatrix.getNormalMatrix(mesh.matrixWorld);
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+            objLines.push(`v ${vertex.x.toFixed(5)} ${vertex.y.toFixed(5)} ${vertex.z.toFixed(5)}`);
+        }
+        for (let i = 0; i < normals.count; i++) {
+            normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+            objLines.push(`vn ${normal.x.toFixed(4)} ${normal.y.toFixed(4)} ${normal.z.toFixed(4)}`);
+        }
+
+        const index = mesh.geometry.index;
+        const count = index ? index.count : position.count;
+        for (let i = 0; i < count; i += 3) {
+            const face = [0, 1, 2].map(k => (index ? index.getX(i + k) : i + k) + vertexOffset);
+            objLines.push(`f ${face.map(v => `${v}//${v}`).join(' ')}`);
+        }
+        vertexOffset += position.count;
+    });
+
+    return { obj: objLines.join('\n') + '\n', mtl: mtlLines.join('\n') + '\n' };
+}
+
+// Binary STL in millimetres with every triangle kept, so a closed mesh stays
+// closed; triangles with no area (two vertices on one grid point) get a zero normal.
+function writeSTL(group, scale = STL_MM_PER_ANGSTROM) {
+    const triangles = [];
+    const ab = new THREE.Vector3();
+    const ac = new THREE.Vector3();
+
+    forEachTriangle(group, (a, b, c) => {
+        ab.subVectors(b, a);
+        ac.subVectors(c, a);
+        const normal = new THREE.Vector3().crossVectors(ab, ac).normalize();
+        triangles.push([normal, a.clone().multiplyScalar(scale), b.clone().multiplyScalar(scale), c.clone().multiplyScalar(scale)]);
+    });
+
+    // 80-byte header, uint32 count, then 50 bytes per triangle
+    const buffer = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(buffer);
+    const header = `${group.name} - exported by OChem Visualizer`.substring(0, 80);
+    for (let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i) & 0x7f);
+    }
+    view.setUint32(80, triangles.length, true);
+
+    let offset = 84;
+    triangles.forEach(vectors => {
+        vectors.forEach(v => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        });
+        view.setUint16(offset, 0, true);
+        offset += 2;
+    });
+
+    return new Blob([buffer], { type: 'model/stl' });
+}
@@ -0,0 +1,249 @@
+// MDL Molfile reader
+// Handles V2000 and V3000 connection tables, including formal charges,
+// isotopes, radicals and bond stereo (wedge/hash)
+
+class MolfileParseError extends Error {
+    constructor(message, lineNumber = null) {
+        super(lineNumber !== null ? `${message} (line ${lineNumber})` : message);
+        this.name = 'MolfileParseError';
+        this.lineNumber = lineNumber;
+    }
+}
+
+// V2000 atom block charge codes (overridden by "M  CHG" when present)
+const V2000_CHARGE_CODES = { 1: 3, 2: 2, 3: 1, 5: -1, 6: -2, 7: -3 };
+
+// Unpaired electrons per radical flag: 1 = singlet, 2 = doublet, 3 = triplet
+const RADICAL_ELECTRONS = { 1: 0, 2: 1, 3: 2 };
+
+// Bond stereo flags: V2000 single-bond column and V3000 CFG values
+const V2000_BOND_STEREO = { 1: 'wedge', 4: 'either', 6: 'hash' };
+const V3000_BOND_STEREO = { 1: 'wedge', 2: 'either', 3: 'hash' };
+
+// Parse a single molfile (or the first record of an SD file)
+function parseMolfile(text) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const countsLine = lines[3];
+
+    if (countsLine === undefined) {
+        throw new MolfileParseError('Molfile is truncated before the counts line', 4);
+    }
+
+    const title = (lines[0] || '').trim();
+    const structure = /V3000/.test(countsLine) ? parseV3000(lines) : parseV2000(lines);
+
+    if (structure.bonds.some(bond => bond.aromatic)) {
+        kekulize(structure.atoms, structure.bonds);
+    }
+
+    const is2D = (lines[1] || '').substring(20, 22) === '2D' ||
+        structure.atoms.every(atom => atom.z === 0);
+
+    return { ...structure, title, is2D };
+}
+
+function parseV2000(lines) {
+    const countsLine = lines[3];
+    const atomCount = parseInt(countsLine.substring(0, 3), 10);
+    const bondCount = parseInt(countsLine.substring(3, 6), 10);
+
+    if (isNaN(atomCount) || isNaN(bondCount)) {
+        throw new MolfileParseError('Invalid counts line', 4);
+    }
+
+    const atoms = [];
+    for (let i = 0; i < atomCount; i++) {
+        const lineNumber = 5 + i;
+        const line = lines[lineNumber - 1];
+        if (line === undefined || line.startsWith('M  END')) {
+            throw new MolfileParseError(`Expected ${atomCount} atoms, found ${i}`, lineNumber);
+        }
+
+        // xxxxx.xxxxyyyyy.yyyyzzzzz.zzzz aaaddcccssshhhbbbvvvHHHrrriiimmmnnneee
+        const atom = {
+            element: line.substring(31, 34).trim(),
+            x: parseCoordinate(line.substring(0, 10), lineNumber),
+            y: parseCoordinate(line.substring(10, 20), lineNumber),
+            z: parseCoordinate(line.substring(20, 30), lineNumber)
+        };
+
+        const chargeCode = parseInt(line.substring(36, 39), 10);
+        if (chargeCode === 4) {
+            atom.radical = 2;
+        } else if (V2000_CHARGE_CODES[chargeCode]) {
+            atom.charge = V2000_CHARGE_CODES[chargeCode];
+        }
+
+        const massDifference = parseInt(line.substring(34, 36), 10);
+        if (massDifference) {
+            const mass = getAtomProperties(atom.element).mass;
+            if (mass !== undefined) atom.isotope = Math.round(mass) + massDifference;
+        }
+
+        atoms.push(atom);
+    }
+
+    const bonds = [];
+    const bondStart = 4 + atomCount;
+    for (let i = 0; i < bondCount; i++) {
+        const lineNumber = bondStart + i + 1;
+        const line = lines[lineNumber - 1];
+        if (line === undefined || line.startsWith('M  ')) {
+            throw new MolfileParseError(`Expected ${bondCount} bonds, found ${i}`, lineNumber);
+        }
+
+        // 111222tttsssxxxrrrccc
+        const from = parseInt(line.substring(0, 3), 10) - 1;
+        const to = parseInt(line.substring(3, 6), 10) - 1;
+        const type = parseInt(line.substring(6, 9), 10);
+        const stereo = parseInt(line.substring(9, 12), 10);
+        bonds.push(createBond(from, to, type, type === 1 ? V2000_BOND_STEREO[stereo] : null, atoms.length, lineNumber));
+    }
+
+    // Properties block; any CHG/ISO/RAD entry resets the atom block values
+    const propertiesSeen = {};
+    for (let i = bondStart + bondCount; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('M  END') || line.startsWith('$$$$')) break;
+
+        const property = line.substring(3, 6);
+        if (!line.startsWith('M  ') || !['CHG', 'ISO', 'RAD'].includes(property)) continue;
+
+        if (!propertiesSeen[property]) {
+            propertiesSeen[property] = true;
+            const field = { CHG: 'charge', ISO: 'isotope', RAD: 'radical' }[property];
+            atoms.forEach(atom => { delete atom[field]; });
+        }
+
+        // M  CHGnn8 aaa vvv aaa vvv ...
+        const entryCount = parseInt(line.substring(6, 9), 10);
+        const values = line.substring(9).trim().split(/\s+/).map(v => parseInt(v, 10));
+        if (isNaN(entryCount) || values.length < entryCount * 2 || values.some(isNaN)) {
+            throw new MolfileParseError(`Malformed M  ${property} line`, i + 1);
+        }
+
+        for (let j = 0; j < entryCount; j++) {
+            const atom = atoms[values[j * 2] - 1];
+            if (!atom) {
+                throw new MolfileParseError(`M  ${property} refers to missing atom ${values[j * 2]}`, i + 1);
+            }
+            const value = values[j * 2 + 1];
+            if (property === 'CHG' && value !== 0) atom.charge = value;
+            if (property === 'ISO') atom.isotope = value;
+            if (property === 'RAD' && value !== 0) atom.radical = value;
+        }
+    }
+
+    return { atoms, bonds };
+}
+
+function parseV3000(lines) {
+    // Join "-" continuation lines and strip the "M  V30 " prefix
+    const records = [];
+    let pending = '';
+    let pendingLine = 0;
+    for (let i = 4; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.startsWith('M  END')) break;
+        if (!line.startsWith('M  V30 ')) continue;
+
+        const content = line.substring(7);
+        if (!pending) pendingLine = i + 1;
+        if (content.endsWith('-')) {
+            pending += content.slice(0, -1);
+            continue;
+        }
+        records.push({ text: (pending + content).trim(), lineNumber: pendingLine });
+        pending = '';
+    }
+
+    const atoms = [];
+    const bonds = [];
+    const atomIndexById = {};
+    let block = null;
+
+    for (const { text, lineNumber } of records) {
+        if (text.startsWith('BEGIN ')) {
+            block = text.substring(6).trim();
+            continue;
+        }
+        if (text.startsWith('END ')) {
+            block = null;
+            continue;
+        }
+
+        const fields = tokenizeV3000(text);
+        const options = {};
+        fields.slice(block === 'ATOM' ? 6 : 4).forEach(field => {
+            const eq = field.indexOf('=');
+            if (eq > 0) options[field.substring(0, eq).toUpperCase()] = field.substring(eq + 1);
+        });
+
+        if (block === 'ATOM') {
+            // index type x y z aamap [CHG=] [MASS=] [RAD=] ...
+            if (fields.length < 5) throw new MolfileParseError('Incomplete V3000 atom entry', lineNumber);
+
+            // Atom lists like [N,O] have no single element
+            const type = fields[1].startsWith('[') ? '*' : fields[1];
+            const atom = {
+                element: type,
+                x: parseCoordinate(fields[2], lineNumber),
+                y: parseCoordinate(fields[3], lineNumber),
+                z: parseCoordinate(fields[4], lineNumber)
+            };
+            if (options.CHG && parseInt(options.CHG, 10)) atom.charge = parseInt(options.CHG, 10);
+            if (options.MASS) atom.isotope = Math.round(parseFloat(options.MASS));
+            if (options.RAD && parseInt(options.RAD, 10)) atom.radical = parseInt(options.RAD, 10);
+
+            atomIndexById[fields[0]] = atoms.length;
+            atoms.push(atom);
+        } else if (block === 'BOND') {
+            // index type atom1 atom2 [CFG=] ...
+            if (fields.length < 4) throw new MolfileParseError('Incomplete V3000 bond entry', lineNumber);
+
+            const from = atomIndexById[fields[2]];
+            const to = atomIndexById[fields[3]];
+            if (from === undefined || to === undefined) {
+                throw new MolfileParseError(`Bond refers to missing atom ${from === undefined ? fields[2] : fields[3]}`, lineNumber);
+            }
+            const type = parseInt(fields[1], 10);
+            const stereo = type === 1 ? V3000_BOND_STEREO[parseInt(options.CFG, 10)] : null;
+            bonds.push(createBond(from, to, type, stereo, atoms.length, lineNumber));
+        }
+    }
+
+    return { atoms, bonds };
+}
+
+// Split a V3000 record on whitespace, keeping quoted strings and parenthesized lists together
+function tokenizeV3000(text) {
+    return text.match(/"[^"]*"|\S*\([^)]*\)\S*|\S+/g) || [];
+}
+
+function parseCoordinate(value, lineNumber) {
+    const number = parseFloat(value);
+    if (!isFinite(number)) {
+        throw new MolfileParseError(`Invalid coordinate "${String(value).trim()}"`, lineNumber);
+    }
+    return number;
+}
+
+// Bond types: 1-3 single/double/triple, 4 aromatic, 5-8 query bonds (drawn single)
+function createBond(from, to, type, stereo, atomCount, lineNumber) {
+    if (!(from >= 0 && from < atomCount && to >= 0 && to < atomCount)) {
+        throw new MolfileParseError(`Bond refers to an atom outside 1-${atomCount}`, lineNumber);
+    }
+    if (isNaN(type)) {
+        throw new MolfileParseError('Invalid bond type', lineNumber);
+    }
+
+    const bond = { from, to, order: type >= 1 && type <= 3 ? type : 1 };
+    if (type === 4) bond.aromatic = true;
+    if (stereo) bond.stereo = stereo;
+    return bond;
+}
+
+// Unpaired electrons for an atom's radical flag
+function getRadicalElectrons(atom) {
+    return RADICAL_ELECTRONS[atom.radical] || 0;
+}
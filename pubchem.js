@@ -1,219 +1,562 @@
 // PubChem API Integration
 // Fetches 3D molecular structures from PubChem's database of 100+ million compounds
 
+// PubChem asks clients to stay under 5 requests per second
+const PUBCHEM_RATE_LIMIT = { requests: 5, perMs: 1000 };
+
+// Retries for 503 ServerBusy / 429 responses, doubling the wait each time
+const PUBCHEM_RETRY = { attempts: 4, baseDelayMs: 500, maxDelayMs: 8000 };
+
+// Most hits kept from a similarity or substructure search
+const RELATED_MAX_RECORDS = 1000;
+
+// Base class for request failures; the subclasses tell the UI what went wrong
+class PubChemError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PubChemError';
+    }
+}
+
+// PubChem has no record for the query (HTTP 404, or 400 for unparseable input)
+class PubChemNotFoundError extends PubChemError {
+    constructor(message = 'Compound not found') {
+        super(message);
+        this.name = 'PubChemNotFoundError';
+    }
+}
+
+// PubChem could not be reached or failed with an unexpected status
+class PubChemNetworkError extends PubChemError {
+    constructor(message = 'Could not reach PubChem') {
+        super(message);
+        this.name = 'PubChemNetworkError';
+    }
+}
+
+// PubChem kept answering "server busy" after every retry
+class PubChemThrottledError extends PubChemError {
+    constructor(message = 'PubChem is busy') {
+        super(message);
+        this.name = 'PubChemThrottledError';
+    }
+}
+
+// The response arrived but was not in the expected shape
+class PubChemDataError extends PubChemError {
+    constructor(message = 'Unexpected response from PubChem') {
+        super(message);
+        this.name = 'PubChemDataError';
+    }
+}
+
+// Identifier types accepted by the search box and their PUG REST input namespaces
+const SEARCH_TYPES = {
+    auto: { label: 'Auto' },
+    name: { label: 'Name', namespace: 'name' },
+    smiles: { label: 'SMILES', namespace: 'smiles' },
+    inchi: { label: 'InChI', namespace: 'inchi' },
+    inchikey: { label: 'InChIKey', namespace: 'inchikey' },
+    formula: { label: 'Formula', namespace: 'fastformula' },
+    cid: { label: 'CID', namespace: 'cid' }
+};
+
+// Guess what kind of identifier a search query is. Anything unrecognized is a name.
+function detectIdentifierType(query) {
+    const text = query.trim();
+
+    if (/^InChI=/i.test(text)) return 'inchi';
+    if (/^[A-Z]{14}-[A-Z]{10}-[A-Z]$/.test(text)) return 'inchikey';
+    if (/^(cid[:\s]*)?\d+$/i.test(text)) return 'cid';
+
+    // Hill-style formula: each element once, with at least one count (C6H6, C2H6O)
+    const tokens = text.match(/[A-Z][a-z]?\d*/g);
+    if (tokens && tokens.join('') === text && /\d/.test(text)) {
+        const symbols = tokens.map(token => token.replace(/\d+/, ''));
+        if (symbols.every(symbol => ELEMENT_SYMBOLS.has(symbol)) && new Set(symbols).size === symbols.length) {
+            return 'formula';
+        }
+    }
+
+    // SMILES: organic-subset atoms, bracket atoms, bonds, branches and ring closures.
+    // Short strings like "CO" stay names, as do lowercase words without ring
+    // closures ("scoop"), since aromatic atoms always sit in a ring.
+    const unbracketed = text.replace(/\[[^\]]+\]/g, '');
+    const lowercaseWord = /^[a-z]+$/.test(text);
+    if (text.length >= 3 && !/\s/.test(text) && !lowercaseWord &&
+        /^(Cl|Br|[BCNOPSFIbcnops]|[0-9%=#\-+()\/\\.@*:])*$/.test(unbracketed)) {
+        return 'smiles';
+    }
+
+    return 'name';
+}
+
+function isAbortError(error) {
+    return error && error.name === 'AbortError';
+}
+
+function createAbortError() {
+    return new DOMException('The request was cancelled', 'AbortError');
+}
+
+// Resolve after ms, or reject early if the signal aborts
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Settle as the promise does, or reject with an AbortError as soon as the signal aborts
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(value => {
+            signal.removeEventListener('abort', onAbort);
+            resolve(value);
+        }, error => {
+            signal.removeEventListener('abort', onAbort);
+            reject(error);
+        });
+    });
+}
+
 class PubChemAPI {
-    constructor() {
-        this.baseUrl = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug';
-        this.viewUrl = 'https://pubchem.ncbi.nlm.nih.gov/compound';
+    // The endpoints can point at a local stand-in that replays recorded PubChem
+    // responses, with its own cache so it never mixes with real data. fetch
+    // replaces the network entirely (the tests answer from recorded files).
+    constructor({
+        baseUrl = 'https://pubchem.ncbi.nlm.nih.gov/rest/pug',
+        autocompleteUrl = 'https://pubchem.ncbi.nlm.nih.gov/rest/autocomplete',
+        viewUrl = 'https://pubchem.ncbi.nlm.nih.gov/compound',
+        cache = new CompoundCache(),
+        fetch = (url, options) => globalThis.fetch(url, options)
+    } = {}) {
+        this.baseUrl = baseUrl;
+        this.autocompleteUrl = autocompleteUrl;
+        this.viewUrl = viewUrl;
+        this.cache = cache;
+        this.fetch = fetch;
+        // When set, lookups are answered from the cache only
+        this.offline = false;
+
+        // Request throttling: start times of recent requests, a queue that hands
+        // out slots in order, and a pause applied after a busy response
+        this.requestTimes = [];
+        this.slotQueue = Promise.resolve();
+        this.throttledUntil = 0;
     }
 
-    // Search for compounds by name
-    async searchByName(query, maxResults = 10) {
-        try {
-            const url = `${this.baseUrl}/compound/name/${encodeURIComponent(query)}/cids/JSON`;
-            const response = await fetch(url);
+    // Wait for a free slot under the rate limit. Slots are granted in call order;
+    // a cancelled request gives up its place at once instead of waiting its turn out.
+    async waitForSlot(signal) {
+        const previous = this.slotQueue;
+        const turn = abortable(previous, signal).then(async () => {
+            for (;;) {
+                if (signal?.aborted) throw createAbortError();
+
+                const now = Date.now();
+                this.requestTimes = this.requestTimes.filter(time => now - time < PUBCHEM_RATE_LIMIT.perMs);
+                const rateWait = this.requestTimes.length >= PUBCHEM_RATE_LIMIT.requests
+                    ? this.requestTimes[0] + PUBCHEM_RATE_LIMIT.perMs - now
+                    : 0;
+                const wait = Math.max(rateWait, this.throttledUntil - now);
+                if (wait <= 0) break;
+                await delay(wait, signal);
+            }
+            this.requestTimes.push(Date.now());
+        });
+        // A request cancelled while still queued leaves at once; the ones behind
+        // it wait for the turn before it instead
+        this.slotQueue = turn.catch(() => previous);
+        await turn;
+    }
+
+    // Fetch a PubChem URL and return its body as 'json' or 'text'.
+    // Queues under the rate limit, retries busy responses with backoff and
+    // turns every failure into a PubChemError subclass (or an AbortError).
+    async request(url, { signal, as = 'json' } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForSlot(signal);
+
+            let response;
+            try {
+                response = await this.fetch(url, { signal });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                throw new PubChemNetworkError(`Could not reach PubChem: ${error.message}`);
+            }
+
+            if (response.status === 503 || response.status === 429) {
+                if (attempt >= PUBCHEM_RETRY.attempts) {
+                    throw new PubChemThrottledError('PubChem is busy; try again in a few seconds');
+                }
+                // Honor Retry-After when given; either way hold back every queued request
+                const retryAfter = parseFloat(response.headers.get('Retry-After')) * 1000;
+                const backoff = Math.min(PUBCHEM_RETRY.baseDelayMs * 2 ** attempt, PUBCHEM_RETRY.maxDelayMs);
+                const wait = (retryAfter > 0 ? retryAfter : backoff) + Math.random() * 250;
+                this.throttledUntil = Math.max(this.throttledUntil, Date.now() + wait);
+                await delay(wait, signal);
+                continue;
+            }
 
             if (!response.ok) {
-                throw new Error('Compound not found');
+                const message = await this.getFaultMessage(response);
+                if (response.status === 404 || response.status === 400) {
+                    throw new PubChemNotFoundError(message || 'Compound not found');
+                }
+                throw new PubChemNetworkError(message || `PubChem returned HTTP ${response.status}`);
             }
 
+            try {
+                return as === 'text' ? await response.text() : await response.json();
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                throw new PubChemDataError(`Unreadable response from PubChem: ${error.message}`);
+            }
+        }
+    }
+
+    // PUG REST errors carry {"Fault": {"Message": ...}}
+    async getFaultMessage(response) {
+        try {
             const data = await response.json();
-            const cids = data.IdentifierList.CID.slice(0, maxResults);
+            return data.Fault?.Message || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Search for compounds by name
+    async searchByName(query, maxResults = 10, signal) {
+        const cids = await this.findCids(query, 'name', signal);
+
+        // Get properties for each CID
+        return this.getCompoundProperties(cids.slice(0, maxResults), signal);
+    }
+
+    // All CIDs matching an identifier of the given SEARCH_TYPES type
+    async findCids(query, type, signal) {
+        const text = query.trim();
+        if (type === 'cid') {
+            const cid = parseInt(text.replace(/^cid[:\s]*/i, ''), 10);
+            if (!(cid > 0)) throw new PubChemNotFoundError(`"${text}" is not a valid CID`);
+            return [cid];
+        }
+
+        const { label, namespace } = SEARCH_TYPES[type];
+        // SMILES and InChI contain "/" and "#", so they go in the query string
+        const url = type === 'smiles' || type === 'inchi'
+            ? `${this.baseUrl}/compound/${namespace}/cids/JSON?${namespace}=${encodeURIComponent(text)}`
+            : `${this.baseUrl}/compound/${namespace}/${encodeURIComponent(text)}/cids/JSON`;
+        const cids = await this.requestCids(url, signal);
+        if (cids.length === 0) {
+            throw new PubChemNotFoundError(`No compound matches ${label} "${text}"`);
+        }
+        return cids;
+    }
+
+    // CIDs from an IdentifierList response; a valid but unknown structure comes back as CID 0
+    async requestCids(url, signal) {
+        const data = await this.request(url, { signal });
+        return (data.IdentifierList?.CID || []).filter(cid => cid > 0);
+    }
+
+    // CIDs from a fast structure search seeded by { cid } or, for molecules not in
+    // PubChem, { smiles }. No hits gives an empty list.
+    async structureSearch(operation, { cid, smiles }, params, signal) {
+        if (this.offline) {
+            throw new PubChemNetworkError('Structure searches need a connection to PubChem');
+        }
 
-            // Get properties for each CID
-            return await this.getCompoundProperties(cids);
+        const search = new URLSearchParams({ MaxRecords: RELATED_MAX_RECORDS, ...params });
+        let url;
+        if (cid) {
+            url = `${this.baseUrl}/compound/${operation}/cid/${cid}/cids/JSON?${search}`;
+        } else if (smiles) {
+            search.set('smiles', smiles);
+            url = `${this.baseUrl}/compound/${operation}/smiles/cids/JSON?${search}`;
+        } else {
+            throw new PubChemNotFoundError('This molecule has no CID or SMILES to search with');
+        }
+
+        try {
+            return await this.requestCids(url, signal);
         } catch (error) {
-            console.error('Search error:', error);
-            return [];
+            if (error instanceof PubChemNotFoundError) return [];
+            throw error;
+        }
+    }
+
+    // Compounds whose 2D fingerprints are at least threshold% Tanimoto-similar
+    async findSimilar(query, threshold = 90, signal) {
+        return this.structureSearch('fastsimilarity_2d', query, { Threshold: threshold }, signal);
+    }
+
+    // Compounds that contain the query structure
+    async findSubstructureMatches(query, signal) {
+        return this.structureSearch('fastsubstructure', query, {}, signal);
+    }
+
+    // Search by any identifier type ('auto' detects it). Returns the resolved type,
+    // every matching CID and, when there are several, properties for the first
+    // maxResults of them.
+    async searchCompounds(query, type = 'auto', { signal, maxResults = 20 } = {}) {
+        const resolvedType = type === 'auto' ? detectIdentifierType(query) : type;
+        if (this.offline && resolvedType !== 'cid') {
+            throw new PubChemNotFoundError(`Searching by ${SEARCH_TYPES[resolvedType].label} needs a connection to PubChem`);
         }
+
+        const cids = await this.findCids(query, resolvedType, signal);
+        const matches = cids.length > 1
+            ? await this.getCompoundProperties(cids.slice(0, maxResults), signal)
+            : [];
+        return { type: resolvedType, cids, matches };
     }
 
     // Autocomplete search
-    async autocomplete(query, maxResults = 8) {
-        try {
-            const url = `https://pubchem.ncbi.nlm.nih.gov/rest/autocomplete/compound/${encodeURIComponent(query)}/json?limit=${maxResults}`;
-            const response = await fetch(url);
+    // Offline, suggestions come from cached compound names and past searches.
+    // Suggestions are best effort: failures give cached or empty results, and only
+    // cancellation is rethrown.
+    async autocomplete(query, maxResults = 8, signal) {
+        if (this.offline) {
+            return this.cache.searchNames(query, maxResults);
+        }
 
-            if (!response.ok) {
-                return [];
-            }
+        const cached = await this.cache.getSearch(query);
+        if (cached && !cached.stale) {
+            return cached.suggestions.slice(0, maxResults);
+        }
 
-            const data = await response.json();
-            return data.dictionary_terms?.compound || [];
+        try {
+            const url = `${this.autocompleteUrl}/compound/${encodeURIComponent(query)}/json?limit=${maxResults}`;
+            const data = await this.request(url, { signal });
+            const suggestions = data.dictionary_terms?.compound || [];
+            this.cache.putSearch(query, suggestions);
+            return suggestions;
         } catch (error) {
+            if (isAbortError(error)) throw error;
             console.error('Autocomplete error:', error);
-            return [];
+            return cached ? cached.suggestions : this.cache.searchNames(query, maxResults);
         }
     }
 
     // Get compound properties
-    async getCompoundProperties(cids) {
-        try {
-            const cidList = Array.isArray(cids) ? cids.join(',') : cids;
-            // Request many useful ochem properties
-            const properties = [
-                'MolecularFormula',
-                'MolecularWeight',
-                'IUPACName',
-                'Title',
-                'Charge',                    // Formal charge
-                'XLogP',                     // Lipophilicity (octanol-water partition)
-                'TPSA',                      // Topological polar surface area
-                'HBondDonorCount',           // H-bond donors
-                'HBondAcceptorCount',        // H-bond acceptors
-                'RotatableBondCount',        // Rotatable bonds
-                'Complexity',                // Molecular complexity score
-                'IsomericSMILES',            // SMILES with stereochemistry
-                'InChI',                     // IUPAC International Chemical Identifier
-                'ExactMass',                 // Exact monoisotopic mass
-            ].join(',');
-
-            const url = `${this.baseUrl}/compound/cid/${cidList}/property/${properties}/JSON`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error('Failed to fetch properties');
-            }
-
-            const data = await response.json();
-            return data.PropertyTable.Properties;
-        } catch (error) {
-            console.error('Properties error:', error);
-            return [];
+    async getCompoundProperties(cids, signal) {
+        const cidList = Array.isArray(cids) ? cids.join(',') : cids;
+        // Request many useful ochem properties
+        const properties = [
+            'MolecularFormula',
+            'MolecularWeight',
+            'IUPACName',
+            'Title',
+            'Charge',                    // Formal charge
+            'XLogP',                     // Lipophilicity (octanol-water partition)
+            'TPSA',                      // Topological polar surface area
+            'HBondDonorCount',           // H-bond donors
+            'HBondAcceptorCount',        // H-bond acceptors
+            'RotatableBondCount',        // Rotatable bonds
+            'Complexity',                // Molecular complexity score
+            'IsomericSMILES',            // SMILES with stereochemistry
+            'InChI',                     // IUPAC International Chemical Identifier
+            'ExactMass',                 // Exact monoisotopic mass
+        ].join(',');
+
+        const url = `${this.baseUrl}/compound/cid/${cidList}/property/${properties}/JSON`;
+        const data = await this.request(url, { signal });
+        const table = data.PropertyTable?.Properties;
+        if (!Array.isArray(table)) {
+            throw new PubChemDataError('PubChem returned no property table');
         }
+        return table;
     }
 
     // Get 3D structure in SDF format
-    async get3DStructure(cid) {
+    async get3DStructure(cid, signal) {
         try {
             // Try to get 3D conformer first
             const url = `${this.baseUrl}/compound/cid/${cid}/record/SDF/?record_type=3d&response_type=display`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                // Fall back to 2D if 3D not available
-                console.warn('3D structure not available, trying 2D...');
-                return await this.get2DStructure(cid);
-            }
-
-            const sdfData = await response.text();
+            const sdfData = await this.request(url, { signal, as: 'text' });
             return this.parseSDF(sdfData);
         } catch (error) {
-            console.error('3D structure error:', error);
-            throw error;
+            if (!(error instanceof PubChemNotFoundError)) throw error;
+
+            // Fall back to 2D if 3D not available
+            console.warn('3D structure not available, trying 2D...');
+            return this.get2DStructure(cid, signal);
         }
     }
 
     // Get 2D structure as fallback
-    async get2DStructure(cid) {
-        try {
-            const url = `${this.baseUrl}/compound/cid/${cid}/record/SDF/?response_type=display`;
-            const response = await fetch(url);
+    async get2DStructure(cid, signal) {
+        const url = `${this.baseUrl}/compound/cid/${cid}/record/SDF/?response_type=display`;
+        const sdfData = await this.request(url, { signal, as: 'text' });
+        return this.parseSDF(sdfData, true);
+    }
 
-            if (!response.ok) {
-                throw new Error('Structure not available');
+    // 2D structures for several CIDs from one multi-record SDF, as a Map by CID
+    async get2DStructures(cids, signal) {
+        const url = `${this.baseUrl}/compound/cid/${cids.join(',')}/record/SDF/?record_type=2d`;
+        const sdfData = await this.request(url, { signal, as: 'text' });
+
+        // Each PubChem record's title line is its CID
+        const structures = new Map();
+        sdfData.split(/^\$\$\$\$\r?$/m).forEach(record => {
+            const text = record.replace(/^\r?\n/, '');
+            if (!text.trim()) return;
+            try {
+                const { atoms, bonds, title } = parseMolfile(text);
+                structures.set(parseInt(title, 10), { atoms, bonds });
+            } catch (error) {
+                console.warn('Skipping unreadable 2D record:', error);
             }
+        });
+        return structures;
+    }
+
+    // IDs of the 3D conformers PubChem computed for a compound; the first is the
+    // one get3DStructure returns. Compounds without a 3D model have none.
+    async getConformerIds(cid, signal) {
+        if (this.offline) {
+            throw new PubChemNetworkError('Conformers need a connection to PubChem');
+        }
 
-            const sdfData = await response.text();
-            return this.parseSDF(sdfData, true);
+        try {
+            const url = `${this.baseUrl}/compound/cid/${cid}/conformers/JSON`;
+            const data = await this.request(url, { signal });
+            return data.InformationList?.Information?.[0]?.ConformerID || [];
         } catch (error) {
-            console.error('2D structure error:', error);
+            if (error instanceof PubChemNotFoundError) return [];
             throw error;
         }
     }
 
+    // One conformer's 3D structure; atoms are in the same order as the compound record
+    async getConformer(conformerId, signal) {
+        const url = `${this.baseUrl}/conformers/${encodeURIComponent(conformerId)}/SDF`;
+        const sdfData = await this.request(url, { signal, as: 'text' });
+        return this.parseSDF(sdfData);
+    }
+
     // Parse SDF/MOL format to extract atoms and bonds
+    // Throws MolfileParseError for malformed records instead of returning NaN coordinates
     parseSDF(sdfData, is2D = false) {
-        const lines = sdfData.split('\n');
-        const atoms = [];
-        const bonds = [];
-
-        // Find the counts line (line 4, index 3)
-        // Format: aaabbblllfffcccsssxxxrrrpppiiimmmvvvvvv
-        // aaa = number of atoms, bbb = number of bonds
-        let countsLineIndex = 3;
-        const countsLine = lines[countsLineIndex];
-        const atomCount = parseInt(countsLine.substring(0, 3).trim());
-        const bondCount = parseInt(countsLine.substring(3, 6).trim());
-
-        // Parse atoms (start at line 5, index 4)
-        for (let i = 0; i < atomCount; i++) {
-            const line = lines[countsLineIndex + 1 + i];
-            if (!line) continue;
-
-            // SDF atom line format:
-            // xxxxx.xxxxyyyyy.yyyyzzzzz.zzzz aaaddcccssshhhbbbvvvHHHrrriiimmmnnneee
-            const x = parseFloat(line.substring(0, 10).trim());
-            const y = parseFloat(line.substring(10, 20).trim());
-            const z = parseFloat(line.substring(20, 30).trim());
-            const element = line.substring(31, 34).trim();
-
-            atoms.push({
-                element: element,
-                x: x,
-                y: y,
-                z: is2D ? 0 : z
-            });
-        }
+        const { atoms, bonds } = parseMolfile(sdfData);
 
-        // Parse bonds
-        const bondStartIndex = countsLineIndex + 1 + atomCount;
-        for (let i = 0; i < bondCount; i++) {
-            const line = lines[bondStartIndex + i];
-            if (!line) continue;
-
-            // SDF bond line format:
-            // 111222tttsssxxxrrrccc
-            const atom1 = parseInt(line.substring(0, 3).trim()) - 1; // 1-indexed in SDF
-            const atom2 = parseInt(line.substring(3, 6).trim()) - 1;
-            const order = parseInt(line.substring(6, 9).trim());
-
-            bonds.push({
-                from: atom1,
-                to: atom2,
-                order: order
-            });
+        if (is2D) {
+            atoms.forEach(atom => { atom.z = 0; });
+            return { atoms, bonds, is2D };
         }
 
-        return { atoms, bonds, is2D };
+        // A 3D record that lost its bond block still gets connectivity
+        return { atoms, bonds: bonds.length === 0 ? perceiveBonds(atoms) : bonds, is2D };
     }
 
     // Get compound description/summary
-    async getDescription(cid) {
+    // Descriptions are optional, so a missing or unreadable one gives null
+    async getDescription(cid, signal) {
+        let data;
         try {
             const url = `${this.baseUrl}/compound/cid/${cid}/description/JSON`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
+            data = await this.request(url, { signal });
+        } catch (error) {
+            if (error instanceof PubChemNotFoundError || error instanceof PubChemDataError) {
                 return null;
             }
+            throw error;
+        }
 
-            const data = await response.json();
-            const descriptions = data.InformationList?.Information || [];
-
-            // Find a good description (prefer shorter, informative ones)
-            for (const info of descriptions) {
-                if (info.Description) {
-                    // Clean up and truncate if needed
-                    let desc = info.Description;
-                    // Take first 2-3 sentences
-                    const sentences = desc.match(/[^.!?]+[.!?]+/g) || [desc];
-                    desc = sentences.slice(0, 3).join(' ').trim();
-                    if (desc.length > 300) {
-                        desc = desc.substring(0, 297) + '...';
-                    }
-                    return desc;
+        const descriptions = data.InformationList?.Information || [];
+
+        // Find a good description (prefer shorter, informative ones)
+        for (const info of descriptions) {
+            if (info.Description) {
+                // Clean up and truncate if needed
+                let desc = info.Description;
+                // Take first 2-3 sentences
+                const sentences = desc.match(/[^.!?]+[.!?]+/g) || [desc];
+                desc = sentences.slice(0, 3).join(' ').trim();
+                if (desc.length > 300) {
+                    desc = desc.substring(0, 297) + '...';
                 }
+                return desc;
             }
-            return null;
+        }
+        return null;
+    }
+
+    // Get full compound info, from the offline cache when it has a fresh copy.
+    // Expired copies are refreshed online but still served when offline or when
+    // PubChem cannot be reached.
+    // names are extra queries (e.g. an ambiguous name the user resolved) to file the
+    // compound under in the cache.
+    async getCompoundInfo(nameOrCid, { signal, names = [] } = {}) {
+        const isCid = typeof nameOrCid === 'number' || /^\d+$/.test(nameOrCid);
+        const cached = isCid
+            ? await this.cache.getByCid(nameOrCid)
+            : await this.cache.getByName(nameOrCid);
+
+        if (cached && (this.offline || !cached.stale)) {
+            return cached.info;
+        }
+        if (this.offline) {
+            throw new PubChemNotFoundError(`"${nameOrCid}" has not been saved for offline use`);
+        }
+
+        try {
+            const info = await this.fetchCompoundInfo(nameOrCid, signal);
+            await this.cache.put(info, isCid ? names : [nameOrCid, ...names]);
+            return info;
         } catch (error) {
-            console.error('Description error:', error);
-            return null;
+            const unreachable = error instanceof PubChemNetworkError || error instanceof PubChemThrottledError;
+            if (cached && unreachable) {
+                console.warn('Using expired cached copy:', error);
+                return cached.info;
+            }
+            throw error;
         }
     }
 
-    // Get full compound info
-    async getCompoundInfo(nameOrCid) {
+    // Download the given compounds one at a time so they are available offline.
+    // Compounds that are already cached and fresh are skipped.
+    async preloadCompounds(names, onProgress = () => {}) {
+        const failed = [];
+        for (let i = 0; i < names.length; i++) {
+            onProgress(i, names.length, names[i]);
+            const cached = await this.cache.getByName(names[i]);
+            if (cached && !cached.stale) continue;
+
+            try {
+                const info = await this.fetchCompoundInfo(names[i]);
+                await this.cache.put(info, [names[i]]);
+            } catch (error) {
+                console.error('Preload error:', error);
+                failed.push(names[i]);
+            }
+        }
+        onProgress(names.length, names.length, null);
+        return { loaded: names.length - failed.length, failed };
+    }
+
+    // Fetch full compound info from PubChem
+    async fetchCompoundInfo(nameOrCid, signal) {
         try {
             let cid;
 
@@ -222,23 +565,15 @@ class PubChemAPI {
                 cid = nameOrCid;
             } else {
                 // Search by name to get CID
-                const url = `${this.baseUrl}/compound/name/${encodeURIComponent(nameOrCid)}/cids/JSON`;
-                const response = await fetch(url);
-
-                if (!response.ok) {
-                    throw new Error('Compound not found');
-                }
-
-                const data = await response.json();
-                cid = data.IdentifierList.CID[0];
+                [cid] = await this.findCids(nameOrCid, 'name', signal);
             }
 
             // Get properties, 3D structure, 2D structure, and description in parallel
             const [properties, structure3D, structure2D, description] = await Promise.all([
-                this.getCompoundProperties(cid),
-                this.get3DStructure(cid),
-                this.get2DStructure(cid),
-                this.getDescription(cid)
+                this.getCompoundProperties(cid, signal),
+                this.get3DStructure(cid, signal),
+                this.get2DStructure(cid, signal),
+                this.getDescription(cid, signal)
             ]);
 
             const props = properties[0] || {};
@@ -270,40 +605,12 @@ class PubChemAPI {
                 pubchemUrl: `${this.viewUrl}/${cid}`
             };
         } catch (error) {
-            console.error('GetCompoundInfo error:', error);
+            if (!isAbortError(error)) console.error('GetCompoundInfo error:', error);
             throw error;
         }
     }
 }
 
-// Atom properties for visualization (CPK coloring scheme)
-const ATOM_PROPERTIES = {
-    C: { name: 'Carbon', color: 0x404040, radius: 0.35, vdwRadius: 0.77 },
-    H: { name: 'Hydrogen', color: 0xffffff, radius: 0.20, vdwRadius: 0.53 },
-    O: { name: 'Oxygen', color: 0xff2222, radius: 0.32, vdwRadius: 0.60 },
-    N: { name: 'Nitrogen', color: 0x3333ff, radius: 0.32, vdwRadius: 0.56 },
-    S: { name: 'Sulfur', color: 0xffff00, radius: 0.35, vdwRadius: 1.02 },
-    P: { name: 'Phosphorus', color: 0xff8800, radius: 0.35, vdwRadius: 1.06 },
-    F: { name: 'Fluorine', color: 0x00ff00, radius: 0.28, vdwRadius: 0.47 },
-    Cl: { name: 'Chlorine', color: 0x00ff00, radius: 0.32, vdwRadius: 0.79 },
-    Br: { name: 'Bromine', color: 0x882200, radius: 0.35, vdwRadius: 0.94 },
-    I: { name: 'Iodine', color: 0x6600bb, radius: 0.38, vdwRadius: 1.15 },
-    // Metals and other common elements
-    Na: { name: 'Sodium', color: 0x0000ff, radius: 0.40, vdwRadius: 1.54 },
-    K: { name: 'Potassium', color: 0x0000ff, radius: 0.45, vdwRadius: 1.96 },
-    Ca: { name: 'Calcium', color: 0x808080, radius: 0.40, vdwRadius: 1.74 },
-    Mg: { name: 'Magnesium', color: 0x00aa00, radius: 0.35, vdwRadius: 1.36 },
-    Fe: { name: 'Iron', color: 0xdd7700, radius: 0.35, vdwRadius: 1.17 },
-    Zn: { name: 'Zinc', color: 0x7d80b0, radius: 0.35, vdwRadius: 1.25 },
-    Cu: { name: 'Copper', color: 0xc88033, radius: 0.35, vdwRadius: 1.17 },
-    // Default for unknown elements
-    default: { name: 'Unknown', color: 0xff00ff, radius: 0.30, vdwRadius: 0.80 }
-};
-
-// Get properties for an element
-function getAtomProperties(element) {
-    return ATOM_PROPERTIES[element] || ATOM_PROPERTIES.default;
-}
-
-// Global API instance
-const pubchem = new PubChemAPI();
+// Global API instance. A page can define pubchemOptions (e.g. { baseUrl } for a
+// local stand-in) in a script before this one.
+const pubchem = new PubChemAPI(globalThis.pubchemOptions);
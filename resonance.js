@@ -0,0 +1,185 @@
+// Formal charges and resonance
+// Works out the formal charge on every atom from its bonds when the source
+// gave none, and the major resonance contributors of groups such as
+// carboxylates, amides and nitro groups, with the electron pushing between them
+
+// Bond order sums of neutral atoms (lowest first)
+const NEUTRAL_VALENCES = {
+    H: [1], B: [3], C: [4], N: [3], O: [2], F: [1], Si: [4], P: [3, 5], S: [2, 4, 6],
+    Cl: [1], Se: [2, 4, 6], Br: [1], I: [1]
+};
+
+// Atoms with lone pairs: one bond more than neutral makes them cations
+// (ammonium, oxonium), one fewer anions (alkoxide, amide anion)
+const LONE_PAIR_ELEMENTS = ['N', 'P', 'O', 'S', 'Se', 'F', 'Cl', 'Br', 'I'];
+
+// Atoms that take the electron pair when a pi bond swings onto them
+const RESONANCE_ACCEPTORS = ['O', 'N', 'S'];
+
+// Contributors shown at most, the structure as given included
+const RESONANCE_MAX_CONTRIBUTORS = 12;
+
+// Computed once per molecule object
+const formalChargeCache = new WeakMap();
+const resonanceCache = new WeakMap();
+
+// Formal charge from an atom's bond order sum, or the choices when it could go
+// either way (a three-bonded carbon is a carbocation or a carbanion)
+function formalChargeOptions(atom, bondOrderSum) {
+    const valences = NEUTRAL_VALENCES[atom.element];
+    if (!valences) return [atom.charge || 0];
+
+    const used = bondOrderSum + getRadicalElectrons(atom);
+    if (valences.includes(used)) return [0];
+    if (LONE_PAIR_ELEMENTS.includes(atom.element)) {
+        if (used === valences[0] + 1) return [1];
+        if (used === valences[0] - 1) return [-1];
+    }
+    if (atom.element === 'B' && used === 4) return [-1];
+    if ((atom.element === 'C' || atom.element === 'Si') && used === 3) return [1, -1];
+    if (atom.element === 'H' && used === 0) return [1, -1];
+    return [atom.charge || 0];
+}
+
+// Formal charge per atom. Charges from the source are kept as they are; without
+// any (XYZ files, perceived bonds) they come from the bonds, with ambiguous
+// atoms choosing the sign that makes the molecule's total charge come out.
+// Structures without hydrogens cannot be judged this way and keep the source's.
+function getFormalCharges(molecule) {
+    let charges = formalChargeCache.get(molecule);
+    if (charges) return charges;
+
+    const { atoms } = molecule;
+    const given = atoms.map(atom => atom.charge || 0);
+    if (given.some(charge => charge !== 0) || !atoms.some(atom => atom.element === 'H')) {
+        formalChargeCache.set(molecule, given);
+        return given;
+    }
+
+    const bondOrderSum = atoms.map(() => 0);
+    (molecule.bonds || []).forEach(bond => {
+        bondOrderSum[bond.from] += bond.order;
+        bondOrderSum[bond.to] += bond.order;
+    });
+    const options = atoms.map((atom, index) => formalChargeOptions(atom, bondOrderSum[index]));
+
+    charges = options.map(choices => (choices.length === 1 ? choices[0] : 0));
+    const ambiguous = options.map((choices, index) => index).filter(index => options[index].length > 1);
+    if (ambiguous.length > 0 && molecule.charge !== undefined) {
+        // Split the ambiguous atoms into cations and anions to reach the total
+        const remaining = molecule.charge - charges.reduce((sum, charge) => sum + charge, 0);
+        const cations = (remaining + ambiguous.length) / 2;
+        if (Number.isInteger(cations) && cations >= 0 && cations <= ambiguous.length) {
+            ambiguous.forEach((index, k) => { charges[index] = k < cations ? 1 : -1; });
+        }
+    }
+
+    formalChargeCache.set(molecule, charges);
+    return charges;
+}
+
+// Electrons an atom keeps as lone pairs (or unpaired)
+function getNonBondingElectrons(atom, charge, bondOrderSum) {
+    const valence = getAtomProperties(atom.element).valenceElectrons || 4;
+    return valence - charge - bondOrderSum - getRadicalElectrons(atom);
+}
+
+// Resonance contributors as { orders (per bond), charges (per atom) }, the
+// structure as given first. Each other one moves one lone pair into a bond and
+// the pi bond beyond it onto an O, N or S: Z-Y=X to Z+=Y-X-. The donor Z is an
+// anion or a neutral amine-type nitrogen. Bonds in aromatic rings are left alone.
+function getResonanceContributors(molecule) {
+    let contributors = resonanceCache.get(molecule);
+    if (contributors) return contributors;
+
+    const { atoms } = molecule;
+    const bonds = molecule.bonds || [];
+    const orders = bonds.map(bond => bond.order);
+    const charges = getFormalCharges(molecule);
+    contributors = [{ orders, charges }];
+
+    const { aromaticBondRing } = getRingInfo(molecule);
+    const bondsByAtom = atoms.map(() => []);
+    const bondOrderSum = atoms.map(() => 0);
+    bonds.forEach((bond, index) => {
+        bondsByAtom[bond.from].push(index);
+        bondsByAtom[bond.to].push(index);
+        bondOrderSum[bond.from] += bond.order;
+        bondOrderSum[bond.to] += bond.order;
+    });
+    const partner = (bondIndex, atom) => (bonds[bondIndex].from === atom ? bonds[bondIndex].to : bonds[bondIndex].from);
+    const isDonor = (z) => {
+        if (getNonBondingElectrons(atoms[z], charges[z], bondOrderSum[z]) < 2) return false;
+        if (charges[z] < 0) return true;
+        return charges[z] === 0 && atoms[z].element === 'N' && bondsByAtom[z].every(b => orders[b] === 1);
+    };
+
+    const seen = new Set([`${orders.join()}|${charges.join()}`]);
+    atoms.forEach((atom, z) => {
+        if (!isDonor(z)) return;
+        bondsByAtom[z].forEach(zy => {
+            if (orders[zy] !== 1 || aromaticBondRing.has(zy)) return;
+            const y = partner(zy, z);
+            bondsByAtom[y].forEach(yx => {
+                const x = partner(yx, y);
+                if (yx === zy || orders[yx] !== 2 || aromaticBondRing.has(yx)) return;
+                if (!RESONANCE_ACCEPTORS.includes(atoms[x].element) || charges[x] < 0) return;
+                if (contributors.length >= RESONANCE_MAX_CONTRIBUTORS) return;
+
+                const next = { orders: orders.slice(), charges: charges.slice() };
+                next.orders[zy] = 2;
+                next.orders[yx] = 1;
+                next.charges[z] += 1;
+                next.charges[x] -= 1;
+                const key = `${next.orders.join()}|${next.charges.join()}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                contributors.push(next);
+            });
+        });
+    });
+
+    resonanceCache.set(molecule, contributors);
+    return contributors;
+}
+
+// Curved arrows that turn one contributor into another, as { from, to } where
+// each end is { atom } (a lone pair) or { bond }. Lone pairs that become bonds
+// and bonds that lose their pi pair are matched to where the pair ends up.
+// Between two contributors other than the structure as given, the arrows undo
+// one's move and make the other's.
+function getResonanceArrows(molecule, from, to) {
+    const bonds = molecule.bonds || [];
+    const bondDelta = from.orders.map((order, index) => to.orders[index] - order);
+    const chargeDelta = from.charges.map((charge, index) => to.charges[index] - charge);
+    const touches = (bondIndex, atom) => bonds[bondIndex].from === atom || bonds[bondIndex].to === atom;
+    const shareAtom = (a, b) => touches(b, bonds[a].from) || touches(b, bonds[a].to);
+
+    const newBonds = bondDelta.map((delta, index) => index).filter(index => bondDelta[index] > 0);
+    const newLonePairs = chargeDelta.map((delta, index) => index).filter(index => chargeDelta[index] < 0);
+    const arrows = [];
+    const take = (list, test) => {
+        const position = list.findIndex(test);
+        return position === -1 ? null : list.splice(position, 1)[0];
+    };
+
+    // Lone pairs that become bonds
+    chargeDelta.forEach((delta, atom) => {
+        if (delta <= 0) return;
+        const bond = take(newBonds, b => touches(b, atom));
+        if (bond !== null) arrows.push({ from: { atom }, to: { bond } });
+    });
+
+    // Pi bonds that become lone pairs, or shift along to the next bond
+    bondDelta.forEach((delta, bond) => {
+        if (delta >= 0) return;
+        const atom = take(newLonePairs, a => touches(bond, a));
+        if (atom !== null) {
+            arrows.push({ from: { bond }, to: { atom } });
+            return;
+        }
+        const next = take(newBonds, b => shareAtom(bond, b));
+        if (next !== null) arrows.push({ from: { bond }, to: { bond: next } });
+    });
+    return arrows;
+}
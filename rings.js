@@ -0,0 +1,245 @@
+// Rings and aromaticity
+// Finds the smallest set of smallest rings (SSSR) and marks the aromatic ones
+// by Hückel's 4n + 2 rule, so Kekulé structures can be drawn as delocalized
+
+// Elements whose exocyclic double bond leaves the ring atom without a pi
+// electron to share (the C=O of pyridones and caffeine)
+const EXOCYCLIC_ACCEPTORS = ['O', 'S', 'N'];
+
+// Lone pair donors when they have no double bond (pyrrole N, furan O, thiophene S)
+const LONE_PAIR_DONORS = ['N', 'P', 'O', 'S', 'Se', 'Te'];
+
+// Computed once per molecule object
+const ringInfoCache = new WeakMap();
+
+// Ring systems: groups of ring bonds that share atoms (fused or spiro rings),
+// as a system index per atom (-1 for atoms in no ring)
+function findRingSystems(atomCount, ringBonds) {
+    const parent = Array.from({ length: atomCount }, (_, i) => i);
+    const root = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+
+    const inRing = new Array(atomCount).fill(false);
+    ringBonds.forEach(key => {
+        const [a, b] = key.split('-').map(Number);
+        inRing[a] = inRing[b] = true;
+        parent[root(a)] = root(b);
+    });
+
+    const ids = new Map();
+    return parent.map((_, i) => {
+        if (!inRing[i]) return -1;
+        if (!ids.has(root(i))) ids.set(root(i), ids.size);
+        return ids.get(root(i));
+    });
+}
+
+// Horton's candidate cycles for one ring system: for every atom v and bond x-y,
+// the shortest paths v..x and v..y closed by the bond, when they meet only at v
+function findHortonCycles(system, neighbors, inSystem) {
+    const cycles = [];
+    system.forEach(v => {
+        const previous = new Map([[v, -1]]);
+        const queue = [v];
+        while (queue.length > 0) {
+            const atom = queue.shift();
+            neighbors[atom].forEach(next => {
+                if (!inSystem(next) || previous.has(next)) return;
+                previous.set(next, atom);
+                queue.push(next);
+            });
+        }
+        const pathTo = (atom) => {
+            const path = [];
+            for (; atom !== -1; atom = previous.get(atom)) path.push(atom);
+            return path;
+        };
+
+        system.forEach(x => neighbors[x].forEach(y => {
+            if (y < x || !inSystem(y) || previous.get(x) === y || previous.get(y) === x) return;
+            const toX = pathTo(x);
+            const toY = pathTo(y);
+            const shared = toX.filter(atom => toY.includes(atom));
+            if (shared.length !== 1) return;
+            cycles.push(toX.reverse().concat(toY.slice(0, -1)));
+        }));
+    });
+    return cycles;
+}
+
+// Smallest set of smallest rings as atom lists in ring order, smallest first.
+// There are bonds - atoms + components of them; candidates are taken by size
+// and kept when their bonds are independent (over GF(2)) of those already kept.
+function findSSSR(atomCount, bonds) {
+    const neighbors = getNeighborLists(atomCount, bonds);
+    const ringBonds = findRingBonds(neighbors);
+    if (ringBonds.size === 0) return [];
+
+    const systemOf = findRingSystems(atomCount, ringBonds);
+    const systemCount = Math.max(...systemOf) + 1;
+    const systems = Array.from({ length: systemCount }, () => []);
+    systemOf.forEach((system, atom) => { if (system >= 0) systems[system].push(atom); });
+
+    const bondsPerSystem = new Array(systemCount).fill(0);
+    ringBonds.forEach(key => bondsPerSystem[systemOf[Number(key.split('-')[0])]]++);
+
+    const candidatesPerSystem = systems.map(() => []);
+    findSmallestRings(neighbors).forEach(ring => candidatesPerSystem[systemOf[ring[0]]].push(ring));
+
+    const rings = [];
+    systems.forEach((system, s) => {
+        const ringCount = bondsPerSystem[s] - system.length + 1;
+        const bondIndex = new Map();
+        ringBonds.forEach(key => {
+            if (systemOf[Number(key.split('-')[0])] === s) bondIndex.set(key, bondIndex.size);
+        });
+        const words = Math.ceil(bondIndex.size / 32);
+
+        const select = (candidates) => {
+            // Reduced rows keyed by their lowest set bit
+            const basis = new Map();
+            const selected = [];
+            candidates.slice().sort((a, b) => a.length - b.length).forEach(ring => {
+                if (selected.length >= ringCount) return;
+                const vector = new Uint32Array(words);
+                ring.forEach((atom, k) => {
+                    const bit = bondIndex.get(bondKey(atom, ring[(k + 1) % ring.length]));
+                    vector[bit >> 5] ^= 1 << (bit & 31);
+                });
+                for (let bit = 0; bit < bondIndex.size; bit++) {
+                    if (!(vector[bit >> 5] & (1 << (bit & 31)))) continue;
+                    const row = basis.get(bit);
+                    if (!row) {
+                        basis.set(bit, vector);
+                        selected.push(ring);
+                        return;
+                    }
+                    for (let w = 0; w < words; w++) vector[w] ^= row[w];
+                }
+            });
+            return selected;
+        };
+
+        let selected = select(candidatesPerSystem[s]);
+        // The smallest ring through each bond misses some (cage compounds)
+        if (selected.length < ringCount) {
+            const hortonCycles = findHortonCycles(system, neighbors, atom => systemOf[atom] === s);
+            selected = select(candidatesPerSystem[s].concat(hortonCycles));
+        }
+        rings.push(...selected);
+    });
+
+    return rings.sort((a, b) => a.length - b.length);
+}
+
+// Pi electrons an atom gives a ring of its system: 1 for a double bond within
+// the system, 0 for an exocyclic C=O or an empty p orbital, 2 for a lone pair
+// or a carbanion. null rules the atom (and every ring through it) out.
+function getPiElectrons(atoms, bondsByAtom, index, systemOf) {
+    const atom = atoms[index];
+    const atomBonds = bondsByAtom[index];
+    if (atomBonds.some(bond => bond.order >= 3)) return null;
+
+    const doubles = atomBonds.filter(bond => bond.order === 2);
+    if (doubles.length > 1) return null;
+    if (doubles.length === 1) {
+        const bond = doubles[0];
+        const other = bond.from === index ? bond.to : bond.from;
+        if (systemOf[other] === systemOf[index]) return 1;
+        return EXOCYCLIC_ACCEPTORS.includes(atoms[other].element) ? 0 : null;
+    }
+
+    const charge = atom.charge || 0;
+    if (charge < 0) return 2;
+    if (LONE_PAIR_DONORS.includes(atom.element)) return charge > 0 ? null : 2;
+    if (atom.element === 'B' || (atom.element === 'C' && charge > 0)) return 0;
+    return null;
+}
+
+// Rings of a molecule as { atoms, bonds (indices), aromatic }, smallest first,
+// with each aromatic bond mapped to the first aromatic ring containing it.
+// A ring is aromatic when it holds 4n + 2 pi electrons, when it belongs to a
+// fused pair whose outer ring does (azulene), or when the source marked all of
+// its bonds aromatic.
+function getRingInfo(molecule) {
+    let info = ringInfoCache.get(molecule);
+    if (info) return info;
+
+    const { atoms } = molecule;
+    const bonds = molecule.bonds || [];
+    const bondIndexByKey = new Map(bonds.map((bond, index) => [bondKey(bond.from, bond.to), index]));
+    const rings = findSSSR(atoms.length, bonds).map(ringAtoms => ({
+        atoms: ringAtoms,
+        bonds: ringAtoms.map((atom, k) => bondIndexByKey.get(bondKey(atom, ringAtoms[(k + 1) % ringAtoms.length]))),
+        aromatic: false
+    }));
+
+    if (rings.length > 0) {
+        const bondsByAtom = atoms.map(() => []);
+        bonds.forEach(bond => {
+            bondsByAtom[bond.from].push(bond);
+            bondsByAtom[bond.to].push(bond);
+        });
+        const systemOf = findRingSystems(atoms.length, findRingBonds(getNeighborLists(atoms.length, bonds)));
+        const electrons = new Map();
+        rings.forEach(ring => ring.atoms.forEach(atom => {
+            if (!electrons.has(atom)) electrons.set(atom, getPiElectrons(atoms, bondsByAtom, atom, systemOf));
+        }));
+
+        const piCount = (ringAtoms) => {
+            let total = 0;
+            for (const atom of ringAtoms) {
+                if (electrons.get(atom) === null) return null;
+                total += electrons.get(atom);
+            }
+            return total;
+        };
+        const isHuckel = (count) => count !== null && count % 4 === 2;
+
+        rings.forEach(ring => {
+            ring.aromatic = ring.bonds.every(b => bonds[b].aromatic) || isHuckel(piCount(ring.atoms));
+        });
+
+        // Fused pairs sharing a bond, judged on the atoms of both together
+        rings.forEach((a, i) => rings.slice(i + 1).forEach(b => {
+            if (a.aromatic && b.aromatic) return;
+            if (!a.bonds.some(bond => b.bonds.includes(bond))) return;
+            if (isHuckel(piCount(new Set([...a.atoms, ...b.atoms])))) {
+                a.aromatic = b.aromatic = true;
+            }
+        }));
+    }
+
+    const aromaticBondRing = new Map();
+    rings.forEach(ring => {
+        if (!ring.aromatic) return;
+        ring.bonds.forEach(b => { if (!aromaticBondRing.has(b)) aromaticBondRing.set(b, ring); });
+    });
+
+    info = { rings, aromaticBondRing };
+    ringInfoCache.set(molecule, info);
+    return info;
+}
+
+// Center of a ring in the coordinates of `atoms`
+function getRingCenter(atoms, ring) {
+    const center = { x: 0, y: 0, z: 0 };
+    ring.atoms.forEach(index => {
+        center.x += atoms[index].x / ring.atoms.length;
+        center.y += atoms[index].y / ring.atoms.length;
+        center.z += atoms[index].z / ring.atoms.length;
+    });
+    return center;
+}
+
+// "6 ×2, 5" for the properties grid
+function formatRingSizes(rings) {
+    const counts = new Map();
+    rings.forEach(ring => counts.set(ring.atoms.length, (counts.get(ring.atoms.length) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([size, count]) => (count > 1 ? `${size} ×${count}` : `${size}`))
+        .join(', ');
+}
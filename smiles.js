@@ -0,0 +1,869 @@
+// SMILES reader
+// Parses SMILES (branches, ring closures, aromatic atoms, charges, isotopes,
+// tetrahedral and cis/trans stereo) and builds a molecule from it in the browser:
+// a 2D layout for the Lewis diagram and a 3D embedding for the viewer
+
+class SmilesParseError extends Error {
+    constructor(message, position = null) {
+        super(position !== null ? `${message} (character ${position + 1})` : message);
+        this.name = 'SmilesParseError';
+        this.position = position;
+    }
+}
+
+// Atoms that may be written without brackets, two-letter symbols first
+const SMILES_ORGANIC_SUBSET = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I', 'b', 'c', 'n', 'o', 'p', 's'];
+
+// Normal valences of the organic subset; atoms written without brackets get
+// hydrogens up to the lowest valence their bonds fit
+const SMILES_VALENCES = { B: [3], C: [4], N: [3, 5], O: [2], P: [3, 5], S: [2, 4, 6], F: [1], Cl: [1], Br: [1], I: [1] };
+
+const SMILES_BOND_ORDERS = { '-': 1, '=': 2, '#': 3, '$': 4, ':': 1, '/': 1, '\\': 1 };
+
+// Bracket atom: isotope, symbol, chirality, hydrogen count, charge, atom class
+const SMILES_BRACKET_ATOM = /^(\d+)?([A-Z][a-z]?|se|as|te|[bcnops])(@@|@(?:TH|AL|SP|TB|OH)?\d{0,2})?(H\d?)?(\+\d+|-\d+|\++|-+)?(?::\d+)?$/;
+
+// 2D layout bond length (PubChem 2D records use about 1)
+const LAYOUT_BOND_LENGTH = 1;
+
+// Force constants and step limits for the 3D embedding
+const EMBED_WEIGHTS = { bond: 100, angle: 30, cisTrans: 10, planar: 20, chiral: 50, contact: 10 };
+const EMBED_MAX_ITERATIONS = 2000;
+
+// Parse SMILES into { atoms, bonds, stereoCenters, stereoBonds }. Hydrogens become
+// explicit atoms and aromatic bonds are kekulized. stereoCenters hold each @/@@
+// center with its neighbors in written order; stereoBonds hold each double bond
+// with a neighbor on either end and whether those two are cis.
+function parseSmiles(text) {
+    const smiles = String(text).trim();
+    if (!smiles) {
+        throw new SmilesParseError('The SMILES is empty');
+    }
+    if (/\s/.test(smiles)) {
+        throw new SmilesParseError('SMILES cannot contain spaces', smiles.search(/\s/));
+    }
+
+    const atoms = [];
+    const bonds = [];
+    // Neighbors of each atom in the order they are written, for @/@@
+    const neighborOrder = [];
+    // Open ring-closure numbers -> { atom, symbol, slot, position }
+    const rings = new Map();
+    const branches = [];
+    const implicitBonds = new Set();
+    let previous = null;
+    let bondSymbol = null;
+    let bondPosition = 0;
+
+    // from is the atom the bond symbol was written after, so / and \ read from -> to
+    const addBond = (from, to, symbol, position) => {
+        if (bonds.some(b => (b.from === from && b.to === to) || (b.from === to && b.to === from))) {
+            throw new SmilesParseError('The same two atoms are bonded twice', position);
+        }
+        if (symbol === '$') {
+            throw new SmilesParseError('Quadruple bonds are not supported', position);
+        }
+
+        const bond = { from, to, order: symbol ? SMILES_BOND_ORDERS[symbol] : 1 };
+        if (symbol === ':' || (symbol === null && atoms[from].aromatic && atoms[to].aromatic)) {
+            bond.aromatic = true;
+        }
+        if (symbol === '/' || symbol === '\\') {
+            bond.direction = symbol;
+        }
+        if (symbol === null) implicitBonds.add(bond);
+        bonds.push(bond);
+    };
+
+    let i = 0;
+    while (i < smiles.length) {
+        const ch = smiles[i];
+        const start = i;
+
+        if (ch === '(') {
+            if (previous === null || bondSymbol !== null) {
+                throw new SmilesParseError('A branch must follow an atom', i);
+            }
+            branches.push(previous);
+            i++;
+        } else if (ch === ')') {
+            if (branches.length === 0) {
+                throw new SmilesParseError('Unmatched ")"', i);
+            }
+            if (bondSymbol !== null) {
+                throw new SmilesParseError('Bond without an atom after it', bondPosition);
+            }
+            previous = branches.pop();
+            i++;
+        } else if (ch in SMILES_BOND_ORDERS) {
+            if (previous === null || bondSymbol !== null) {
+                throw new SmilesParseError(`Unexpected bond "${ch}"`, i);
+            }
+            bondSymbol = ch;
+            bondPosition = i;
+            i++;
+        } else if (ch === '.') {
+            if (previous === null || bondSymbol !== null) {
+                throw new SmilesParseError('Unexpected "."', i);
+            }
+            previous = null;
+            i++;
+        } else if (/[0-9%]/.test(ch)) {
+            let number = ch;
+            if (ch === '%') {
+                const match = /^%(\d\d)/.exec(smiles.slice(i));
+                if (!match) {
+                    throw new SmilesParseError('"%" must be followed by a two-digit ring number', i);
+                }
+                number = match[1];
+                i += 3;
+            } else {
+                i++;
+            }
+            if (previous === null) {
+                throw new SmilesParseError('Ring number without an atom before it', start);
+            }
+
+            const open = rings.get(number);
+            if (open) {
+                rings.delete(number);
+                if (open.atom === previous) {
+                    throw new SmilesParseError(`Ring ${number} closes on the atom that opened it`, start);
+                }
+                if (open.symbol && bondSymbol && SMILES_BOND_ORDERS[open.symbol] !== SMILES_BOND_ORDERS[bondSymbol]) {
+                    throw new SmilesParseError(`The two ends of ring ${number} give different bonds`, start);
+                }
+                if (open.symbol && !bondSymbol) {
+                    addBond(open.atom, previous, open.symbol, open.position);
+                } else {
+                    addBond(previous, open.atom, bondSymbol, start);
+                }
+                neighborOrder[open.atom][open.slot] = previous;
+                neighborOrder[previous].push(open.atom);
+            } else {
+                rings.set(number, { atom: previous, symbol: bondSymbol, slot: neighborOrder[previous].length, position: start });
+                neighborOrder[previous].push(null);
+            }
+            bondSymbol = null;
+        } else {
+            const { atom, end } = readSmilesAtom(smiles, i);
+            const index = atoms.length;
+            atom.precededBy = previous;
+            atoms.push(atom);
+            neighborOrder.push([]);
+
+            if (previous !== null) {
+                addBond(previous, index, bondSymbol, bondSymbol !== null ? bondPosition : i);
+                neighborOrder[previous].push(index);
+                neighborOrder[index].push(previous);
+            }
+            bondSymbol = null;
+            previous = index;
+            i = end;
+        }
+    }
+
+    if (bondSymbol !== null) {
+        throw new SmilesParseError('Bond without an atom after it', bondPosition);
+    }
+    if (branches.length > 0) {
+        throw new SmilesParseError('Unclosed branch "("');
+    }
+    if (rings.size > 0) {
+        const [number, open] = rings.entries().next().value;
+        throw new SmilesParseError(`Ring ${number} is never closed`, open.position);
+    }
+    if (atoms.length === 0) {
+        throw new SmilesParseError('The SMILES has no atoms');
+    }
+
+    // Only ring bonds between aromatic atoms are aromatic; the bond joining the
+    // rings of c1ccccc1c1ccccc1 (biphenyl) is single
+    const ringBonds = findRingBonds(getNeighborLists(atoms.length, bonds));
+    implicitBonds.forEach(bond => {
+        if (bond.aromatic && !ringBonds.has(bondKey(bond.from, bond.to))) delete bond.aromatic;
+    });
+
+    // Bracket hydrogens first: they count toward the degree kekulize checks, and
+    // they sit right after the preceding atom in the @/@@ neighbor order
+    atoms.slice().forEach((atom, index) => {
+        for (let h = 0; h < (atom.hydrogens || 0); h++) {
+            const hydrogen = addHydrogen(atoms, bonds, index);
+            neighborOrder.push([index]);
+            neighborOrder[index].splice(atom.precededBy !== null ? 1 : 0, 0, hydrogen);
+        }
+    });
+
+    kekulize(atoms, bonds);
+
+    // Implicit hydrogens on atoms written without brackets
+    const valenceUsed = atoms.map(() => 0);
+    bonds.forEach(bond => {
+        valenceUsed[bond.from] += bond.order;
+        valenceUsed[bond.to] += bond.order;
+    });
+    atoms.slice().forEach((atom, index) => {
+        if (atom.hydrogens !== null) return;
+        const valence = SMILES_VALENCES[atom.element].find(v => v >= valenceUsed[index]);
+        for (let h = 0; h < (valence || 0) - valenceUsed[index]; h++) {
+            addHydrogen(atoms, bonds, index);
+        }
+    });
+
+    const stereoCenters = [];
+    atoms.forEach((atom, index) => {
+        if (atom.chirality && neighborOrder[index].length === 4) {
+            stereoCenters.push({ center: index, neighbors: neighborOrder[index], clockwise: atom.chirality === '@@' });
+        }
+    });
+    const stereoBonds = findStereoBonds(atoms, bonds);
+
+    // Keep only the fields the rest of the viewer expects
+    atoms.forEach(atom => {
+        delete atom.aromatic;
+        delete atom.hydrogens;
+        delete atom.chirality;
+        delete atom.precededBy;
+    });
+    bonds.forEach(bond => delete bond.direction);
+
+    return { atoms, bonds, stereoCenters, stereoBonds };
+}
+
+// Read one atom at position i, bracketed or from the organic subset
+function readSmilesAtom(smiles, i) {
+    if (smiles[i] === '[') {
+        const close = smiles.indexOf(']', i);
+        if (close === -1) {
+            throw new SmilesParseError('Unclosed "["', i);
+        }
+
+        const content = smiles.slice(i + 1, close);
+        const match = SMILES_BRACKET_ATOM.exec(content);
+        if (!match) {
+            throw new SmilesParseError(`Cannot read the atom "[${content}]"`, i);
+        }
+
+        const [, isotope, symbol, chirality, hydrogens, charge] = match;
+        const aromatic = symbol[0] === symbol[0].toLowerCase();
+        const element = symbol[0].toUpperCase() + symbol.slice(1);
+        if (!ELEMENT_SYMBOLS.has(element)) {
+            throw new SmilesParseError(`Unknown element "${symbol}"`, i + 1);
+        }
+
+        const atom = {
+            element,
+            x: 0, y: 0, z: 0,
+            aromatic,
+            hydrogens: hydrogens ? parseInt(hydrogens.slice(1) || '1', 10) : 0,
+            // @TH1 and @TH2 are the long forms of @ and @@; other classes are not used
+            chirality: { '@': '@', '@TH1': '@', '@@': '@@', '@TH2': '@@' }[chirality] || null
+        };
+        if (isotope) atom.isotope = parseInt(isotope, 10);
+        if (charge) {
+            const magnitude = /\d/.test(charge) ? parseInt(charge.slice(1), 10) : charge.length;
+            atom.charge = charge[0] === '+' ? magnitude : -magnitude;
+        }
+        return { atom, end: close + 1 };
+    }
+
+    const symbol = SMILES_ORGANIC_SUBSET.find(s => smiles.startsWith(s, i));
+    if (!symbol) {
+        const message = smiles[i] === '*'
+            ? 'Wildcard atoms "*" are not supported'
+            : `Unexpected "${smiles[i]}"`;
+        throw new SmilesParseError(message, i);
+    }
+
+    const aromatic = symbol === symbol.toLowerCase();
+    return {
+        atom: { element: aromatic ? symbol.toUpperCase() : symbol, x: 0, y: 0, z: 0, aromatic, hydrogens: null, chirality: null },
+        end: i + symbol.length
+    };
+}
+
+function addHydrogen(atoms, bonds, parent) {
+    atoms.push({ element: 'H', x: 0, y: 0, z: 0, hydrogens: 0 });
+    bonds.push({ from: parent, to: atoms.length - 1, order: 1 });
+    return atoms.length - 1;
+}
+
+function getNeighborLists(atomCount, bonds) {
+    const neighbors = Array.from({ length: atomCount }, () => []);
+    bonds.forEach(bond => {
+        neighbors[bond.from].push(bond.to);
+        neighbors[bond.to].push(bond.from);
+    });
+    return neighbors;
+}
+
+// Double bonds with / or \ on both ends, as { from, to, refFrom, refTo, cis }.
+// F/C=C/F is trans: the first F is below its carbon, the second above.
+function findStereoBonds(atoms, bonds) {
+    // +1 when the neighbor across a directional bond is "above" the atom, -1 below
+    const sideOf = (atom, bond) => {
+        const up = bond.direction === '/';
+        return (bond.from === atom) === up ? 1 : -1;
+    };
+
+    const markedNeighbor = (atom, exclude) => {
+        const bond = bonds.find(b => b.direction && b !== exclude && (b.from === atom || b.to === atom));
+        return bond ? { atom: bond.from === atom ? bond.to : bond.from, side: sideOf(atom, bond) } : null;
+    };
+
+    const stereoBonds = [];
+    bonds.forEach(bond => {
+        if (bond.order !== 2 || bond.aromatic) return;
+        const a = markedNeighbor(bond.from, bond);
+        const b = markedNeighbor(bond.to, bond);
+        if (a && b) {
+            stereoBonds.push({ from: bond.from, to: bond.to, refFrom: a.atom, refTo: b.atom, cis: a.side === b.side });
+        }
+    });
+    return stereoBonds;
+}
+
+// Smallest cycle through each ring bond, as atom lists in ring order, smallest first
+function findSmallestRings(neighbors) {
+    const ringBonds = findRingBonds(neighbors);
+    const rings = new Map();
+
+    ringBonds.forEach(key => {
+        const [a, b] = key.split('-').map(Number);
+
+        // Shortest path from a to b that does not use the bond itself
+        const previous = new Map([[a, -1]]);
+        const queue = [a];
+        while (queue.length > 0 && !previous.has(b)) {
+            const atom = queue.shift();
+            neighbors[atom].forEach(next => {
+                if (previous.has(next) || (atom === a && next === b)) return;
+                previous.set(next, atom);
+                queue.push(next);
+            });
+        }
+        if (!previous.has(b)) return;
+
+        const ring = [];
+        for (let atom = b; atom !== -1; atom = previous.get(atom)) ring.push(atom);
+        const id = ring.slice().sort((x, y) => x - y).join(',');
+        if (!rings.has(id)) rings.set(id, ring);
+    });
+
+    return [...rings.values()].sort((x, y) => x.length - y.length);
+}
+
+// 2D coordinates for a connection table: rings as regular polygons (fused rings
+// share an edge), chains as zig-zags, hydrogens in the widest gap around their atom.
+// Double bonds listed in stereoBonds are drawn cis or trans as given.
+function layoutStructure2D(atoms, bonds, stereoBonds = []) {
+    const n = atoms.length;
+    const neighbors = getNeighborLists(n, bonds);
+    const positions = new Array(n).fill(null);
+    const L = LAYOUT_BOND_LENGTH;
+
+    // Hydrogens on a heavy atom are placed last, around the finished skeleton
+    const isTerminalHydrogen = (i) => atoms[i].element === 'H' && neighbors[i].length === 1 &&
+        atoms[neighbors[i][0]].element !== 'H';
+    const skeleton = neighbors.map((list, i) => isTerminalHydrogen(i) ? [] : list.filter(j => !isTerminalHydrogen(j)));
+
+    const rings = findSmallestRings(skeleton);
+    const ringsOfAtom = atoms.map(() => []);
+    rings.forEach((ring, r) => ring.forEach(atom => ringsOfAtom[atom].push(r)));
+    const ringPlaced = rings.map(() => false);
+
+    // Linear atoms: a triple bond, or two double bonds (allenes, CO2)
+    const bondOrders = atoms.map(() => []);
+    bonds.forEach(bond => {
+        bondOrders[bond.from].push(bond.order);
+        bondOrders[bond.to].push(bond.order);
+    });
+    const isLinear = (i) => bondOrders[i].includes(3) || bondOrders[i].filter(o => o === 2).length >= 2;
+
+    const angleTo = (from, to) => Math.atan2(positions[to].y - positions[from].y, positions[to].x - positions[from].x);
+    const place = (atom, origin, angle, length = L) => {
+        positions[atom] = { x: positions[origin].x + Math.cos(angle) * length, y: positions[origin].y + Math.sin(angle) * length };
+    };
+
+    // Zig-zag chains turn the opposite way from their parent
+    const turn = new Array(n).fill(1);
+
+    // Directions for count new bonds from an atom, given the bonds already drawn
+    const spreadAngles = (atom, placedNeighbors, count) => {
+        const placed = placedNeighbors.map(j => angleTo(atom, j));
+        if (placed.length === 0) {
+            if (count === 1) return [Math.PI / 6];
+            return Array.from({ length: count }, (_, k) => Math.PI / 6 + (2 * Math.PI * k) / count);
+        }
+        if (placed.length === 1) {
+            const back = placed[0];
+            const total = count + 1;
+            if (total === 2) {
+                return [isLinear(atom) ? back + Math.PI : back + Math.PI - turn[atom] * Math.PI / 3];
+            }
+            if (total === 3) return [back + (2 * Math.PI) / 3, back - (2 * Math.PI) / 3];
+            return Array.from({ length: count }, (_, k) => back + (2 * Math.PI * (k + 1)) / total);
+        }
+
+        // Fill the widest gap between the bonds already drawn
+        const sorted = placed.map(a => (a + 2 * Math.PI) % (2 * Math.PI)).sort((a, b) => a - b);
+        let gapStart = 0;
+        let gapSize = -1;
+        sorted.forEach((angle, k) => {
+            const next = k + 1 < sorted.length ? sorted[k + 1] : sorted[0] + 2 * Math.PI;
+            if (next - angle > gapSize) {
+                gapSize = next - angle;
+                gapStart = angle;
+            }
+        });
+        return Array.from({ length: count }, (_, k) => gapStart + (gapSize * (k + 1)) / (count + 1));
+    };
+
+    // Ring of m atoms through already placed atoms: each run of unplaced atoms goes
+    // on a circular arc between its placed ends, bulging away from the placed side
+    const placeRing = (r) => {
+        const ring = rings[r];
+        const m = ring.length;
+        const radius = L / (2 * Math.sin(Math.PI / m));
+        ringPlaced[r] = true;
+        const placedCount = ring.filter(atom => positions[atom]).length;
+        if (placedCount === m) return;
+
+        if (placedCount === 1) {
+            // Spiro atom or ring entered from a chain: the ring's center lies along
+            // the atom's free direction
+            const k = ring.findIndex(atom => positions[atom]);
+            const atom = ring[k];
+            const others = skeleton[atom].filter(j => positions[j]);
+            const [direction] = spreadAngles(atom, others, 1);
+            const center = { x: positions[atom].x + Math.cos(direction) * radius, y: positions[atom].y + Math.sin(direction) * radius };
+            const start = direction + Math.PI;
+            for (let step = 1; step < m; step++) {
+                const angle = start + (2 * Math.PI * step) / m;
+                positions[ring[(k + step) % m]] = { x: center.x + Math.cos(angle) * radius, y: center.y + Math.sin(angle) * radius };
+            }
+            return;
+        }
+
+        for (let k = 0; k < m; k++) {
+            // Runs start right after a placed atom
+            if (!positions[ring[k]] || positions[ring[(k + 1) % m]]) continue;
+            const run = [];
+            let end = (k + 1) % m;
+            while (!positions[ring[end]]) {
+                run.push(ring[end]);
+                end = (end + 1) % m;
+            }
+            const p = positions[ring[k]];
+            const q = positions[ring[end]];
+
+            // The side the arc bulges away from: placed neighbors of the run's ends
+            const reference = { x: 0, y: 0 };
+            let count = 0;
+            [ring[k], ring[end]].forEach(atom => skeleton[atom].forEach(j => {
+                if (positions[j] && j !== ring[k] && j !== ring[end]) {
+                    reference.x += positions[j].x;
+                    reference.y += positions[j].y;
+                    count++;
+                }
+            }));
+            const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+            const chord = Math.hypot(q.x - p.x, q.y - p.y);
+            let normal = { x: -(q.y - p.y) / (chord || 1), y: (q.x - p.x) / (chord || 1) };
+            if (count > 0 && (reference.x / count - mid.x) * normal.x + (reference.y / count - mid.y) * normal.y > 0) {
+                normal = { x: -normal.x, y: -normal.y };
+            }
+
+            const arcRadius = Math.max(radius, chord / 2 + 1e-6);
+            const offset = Math.sqrt(arcRadius * arcRadius - (chord / 2) * (chord / 2));
+            const center = { x: mid.x + normal.x * offset, y: mid.y + normal.y * offset };
+            const startAngle = Math.atan2(p.y - center.y, p.x - center.x);
+            let endAngle = Math.atan2(q.y - center.y, q.x - center.x);
+
+            // Go the long way round, through the far side of the circle
+            const sweepDirection = (normal.x * (p.y - mid.y) - normal.y * (p.x - mid.x)) > 0 ? -1 : 1;
+            while (sweepDirection * (endAngle - startAngle) <= 0) endAngle += sweepDirection * 2 * Math.PI;
+            run.forEach((atom, step) => {
+                const angle = startAngle + ((endAngle - startAngle) * (step + 1)) / (run.length + 1);
+                positions[atom] = { x: center.x + Math.cos(angle) * arcRadius, y: center.y + Math.sin(angle) * arcRadius };
+            });
+        }
+    };
+
+    // Place every ring that touches placed atoms, most shared atoms first
+    const placeRingSystem = () => {
+        const placedNow = [];
+        for (;;) {
+            let best = -1;
+            let bestShared = 0;
+            rings.forEach((ring, r) => {
+                if (ringPlaced[r]) return;
+                const shared = ring.filter(atom => positions[atom]).length;
+                if (shared > bestShared) {
+                    best = r;
+                    bestShared = shared;
+                }
+            });
+            if (best === -1) return placedNow;
+
+            const before = rings[best].filter(atom => !positions[atom]);
+            placeRing(best);
+            placedNow.push(...before);
+        }
+    };
+
+    // Lay out each connected component, then line them up left to right
+    let nextX = 0;
+    for (let start = 0; start < n; start++) {
+        if (positions[start] || isTerminalHydrogen(start)) continue;
+
+        // Start from a ring if the component has one, else from a chain end
+        const component = [];
+        const seen = new Set([start]);
+        for (let k = 0, queue = [start]; k < queue.length; k++) {
+            component.push(queue[k]);
+            skeleton[queue[k]].forEach(j => {
+                if (!seen.has(j)) {
+                    seen.add(j);
+                    queue.push(j);
+                }
+            });
+        }
+        const root = component.find(atom => ringsOfAtom[atom].length > 0) ??
+            component.reduce((best, atom) => skeleton[atom].length < skeleton[best].length ? atom : best, start);
+
+        positions[root] = { x: 0, y: 0 };
+        const queue = [root, ...placeRingSystem()];
+        for (let k = 0; k < queue.length; k++) {
+            const atom = queue[k];
+            const unplaced = skeleton[atom].filter(j => !positions[j]);
+            if (unplaced.length === 0) continue;
+
+            const placedNeighbors = skeleton[atom].filter(j => positions[j]);
+            const angles = spreadAngles(atom, placedNeighbors, unplaced.length);
+
+            // With three or more new bonds, the chain continues straight through and
+            // double-bonded or terminal atoms go to the sides, as in CS(=O)(=O)C
+            if (placedNeighbors.length === 1 && unplaced.length >= 3) {
+                const orderTo = (j) => bonds.find(b => (b.from === atom && b.to === j) || (b.from === j && b.to === atom)).order;
+                const main = unplaced.reduce((best, j) => (skeleton[j].length - orderTo(j)) > (skeleton[best].length - orderTo(best)) ? j : best);
+                unplaced.splice(unplaced.indexOf(main), 1);
+                unplaced.splice(Math.floor(unplaced.length / 2), 0, main);
+            }
+            unplaced.forEach((next, m) => {
+                place(next, atom, angles[m]);
+                turn[next] = -turn[atom];
+                queue.push(next);
+                if (ringsOfAtom[next].length > 0) queue.push(...placeRingSystem());
+            });
+        }
+
+        // Shift the component to the right of the previous one
+        const minX = Math.min(...component.map(atom => positions[atom].x));
+        const maxX = Math.max(...component.map(atom => positions[atom].x));
+        component.forEach(atom => { positions[atom].x += nextX - minX; });
+        nextX += maxX - minX + 2 * L;
+    }
+
+    // Hydrogens on heavy atoms, in the widest gaps
+    atoms.forEach((atom, i) => {
+        if (isTerminalHydrogen(i) || !positions[i]) return;
+        const hydrogens = neighbors[i].filter(j => isTerminalHydrogen(j));
+        if (hydrogens.length === 0) return;
+
+        const angles = spreadAngles(i, skeleton[i], hydrogens.length);
+        hydrogens.forEach((h, m) => place(h, i, angles[m], L * 0.8));
+    });
+
+    fixDoubleBondGeometry(positions, neighbors, stereoBonds);
+    relieveHydrogenClashes(positions, neighbors, isTerminalHydrogen);
+    return positions;
+}
+
+// Crowded drawings (spiro rings, gauche substituents) can put hydrogens on top of
+// each other; swing clashing hydrogens apart around their own atoms
+function relieveHydrogenClashes(positions, neighbors, isTerminalHydrogen) {
+    const minimum = 0.5 * LAYOUT_BOND_LENGTH;
+    const hydrogens = positions.map((_, i) => i).filter(isTerminalHydrogen);
+
+    for (let pass = 0; pass < 20; pass++) {
+        let moved = false;
+        hydrogens.forEach(h => {
+            const p = positions[h];
+            positions.forEach((q, j) => {
+                if (j === h || !q) return;
+                const dx = p.x - q.x;
+                const dy = p.y - q.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance >= minimum) return;
+
+                const push = (minimum - distance) / (isTerminalHydrogen(j) ? 2 : 1);
+                p.x += (dx / (distance || 1)) * push;
+                p.y += (dy / (distance || 1)) * push;
+                moved = true;
+            });
+
+            // Keep the hydrogen at its bond length
+            const parent = positions[neighbors[h][0]];
+            const length = Math.hypot(p.x - parent.x, p.y - parent.y) || 1;
+            p.x = parent.x + ((p.x - parent.x) / length) * 0.8 * LAYOUT_BOND_LENGTH;
+            p.y = parent.y + ((p.y - parent.y) / length) * 0.8 * LAYOUT_BOND_LENGTH;
+        });
+        if (!moved) return;
+    }
+}
+
+// Mirror the far side of each listed double bond whose drawing has the wrong
+// cis/trans arrangement. Ring double bonds cannot be flipped and are left as drawn.
+function fixDoubleBondGeometry(positions, neighbors, stereoBonds) {
+    stereoBonds.forEach(({ from, to, refFrom, refTo, cis }) => {
+        const a = positions[from];
+        const b = positions[to];
+        const side = (p) => Math.sign((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+        if ((side(positions[refFrom]) === side(positions[refTo])) === cis) return;
+
+        // Everything reachable from `to` without crossing the double bond
+        const far = new Set([to]);
+        const queue = [to];
+        while (queue.length > 0) {
+            const atom = queue.pop();
+            for (const next of neighbors[atom]) {
+                if (atom === to && next === from) continue;
+                if (next === from) return;
+                if (!far.has(next)) {
+                    far.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+
+        const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        far.forEach(atom => {
+            const p = positions[atom];
+            const along = (p.x - a.x) * ux + (p.y - a.y) * uy;
+            const footX = a.x + ux * along;
+            const footY = a.y + uy * along;
+            positions[atom] = { x: 2 * footX - p.x, y: 2 * footY - p.y };
+        });
+    });
+}
+
+// Ideal bond length in Å from covalent radii, shortened for double and triple bonds
+function idealBondLength(atomA, atomB, order, aromatic) {
+    const radius = (atom) => getAtomProperties(atom.element).covalentRadius;
+    const factor = aromatic ? 0.93 : ({ 2: 0.87, 3: 0.78 }[order] || 1);
+    return (radius(atomA) + radius(atomB)) * factor;
+}
+
+// Signed volume of the three vectors from c to p1, p2, p3 (coordinates as a flat array)
+function signedVolume(xyz, c, p1, p2, p3) {
+    const v = [p1, p2, p3].map(p => [xyz[3 * p] - xyz[3 * c], xyz[3 * p + 1] - xyz[3 * c + 1], xyz[3 * p + 2] - xyz[3 * c + 2]]);
+    return v[0][0] * (v[1][1] * v[2][2] - v[1][2] * v[2][1]) -
+        v[0][1] * (v[1][0] * v[2][2] - v[1][2] * v[2][0]) +
+        v[0][2] * (v[1][0] * v[2][1] - v[1][1] * v[2][0]);
+}
+
+// 3D coordinates from the 2D layout: the flat drawing is lifted into 3D and
+// relaxed against ideal bond lengths and angles, planar double bonds with their
+// cis/trans arrangement, tetrahedral stereocenters and atom contacts.
+// Writes x, y, z into the atoms.
+function embedStructure3D({ atoms, bonds, stereoCenters = [] }, layout) {
+    const n = atoms.length;
+    const neighbors = getNeighborLists(n, bonds);
+    const bondOf = new Map(bonds.map(bond => [bondKey(bond.from, bond.to), bond]));
+    const lengthOf = (i, j) => {
+        const bond = bondOf.get(bondKey(i, j));
+        return idealBondLength(atoms[i], atoms[j], bond.order, bond.aromatic);
+    };
+
+    // Distance restraints [i, j, target, weight]: bonds, then 1-3 pairs for angles
+    // and 1-4 pairs across double bonds
+    const restraints = bonds.map(bond => [bond.from, bond.to, lengthOf(bond.from, bond.to), EMBED_WEIGHTS.bond]);
+    const excluded = new Set(bonds.map(bond => bondKey(bond.from, bond.to)));
+
+    const ringSizes = new Map();
+    findSmallestRings(neighbors).forEach(ring => ring.forEach((atom, k) => {
+        const key = `${atom}:${bondKey(ring[(k + ring.length - 1) % ring.length], ring[(k + 1) % ring.length])}`;
+        if (!ringSizes.has(key)) ringSizes.set(key, ring.length);
+    }));
+
+    const orders = (i) => neighbors[i].map(j => bondOf.get(bondKey(i, j)));
+    const isLinear = (i) => neighbors[i].length === 2 &&
+        (orders(i).some(b => b.order === 3) || orders(i).every(b => b.order === 2));
+    const isTrigonal = (i) => neighbors[i].length <= 3 && orders(i).some(b => b.order === 2 || b.aromatic);
+
+    const planarCenters = [];
+    neighbors.forEach((list, c) => {
+        if (list.length < 2 || list.length > 4) return;
+        let angle = isLinear(c) ? 180 : isTrigonal(c) ? 120 : 109.47;
+        if (isTrigonal(c) && list.length === 3) planarCenters.push([c, ...list]);
+
+        for (let p = 0; p < list.length; p++) {
+            for (let q = p + 1; q < list.length; q++) {
+                const i = list[p];
+                const j = list[q];
+                // Small rings force their own angles
+                const ringSize = ringSizes.get(`${c}:${bondKey(i, j)}`);
+                const pairAngle = ringSize === 3 ? 60 : ringSize === 4 ? 90 : ringSize === 5 ? 108 : angle;
+                const di = lengthOf(c, i);
+                const dj = lengthOf(c, j);
+                const target = Math.sqrt(di * di + dj * dj - 2 * di * dj * Math.cos(pairAngle * Math.PI / 180));
+                restraints.push([i, j, target, EMBED_WEIGHTS.angle]);
+                excluded.add(bondKey(i, j));
+            }
+        }
+    });
+
+    // Substituents across a double bond keep the cis/trans arrangement of the layout
+    const cisTransDistance = (dx, length, dy, cis) => {
+        const x = [-dx * 0.5, dx * Math.sqrt(3) / 2];
+        const y = [length + dy * 0.5, (cis ? 1 : -1) * dy * Math.sqrt(3) / 2];
+        return Math.hypot(y[0] - x[0], y[1] - x[1]);
+    };
+    bonds.forEach(bond => {
+        if (bond.order !== 2 || isLinear(bond.from) || isLinear(bond.to)) return;
+        const a = layout[bond.from];
+        const b = layout[bond.to];
+        const side = (p) => Math.sign((b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x));
+        neighbors[bond.from].forEach(x => neighbors[bond.to].forEach(y => {
+            if (x === bond.to || y === bond.from || x === y) return;
+            const cis = side(layout[x]) === side(layout[y]);
+            const target = cisTransDistance(lengthOf(bond.from, x), lengthOf(bond.from, bond.to), lengthOf(bond.to, y), cis);
+            restraints.push([x, y, target, EMBED_WEIGHTS.cisTrans]);
+            excluded.add(bondKey(x, y));
+        }));
+    });
+
+    // @ means the last three neighbors run anticlockwise seen from the first,
+    // which makes their signed volume negative. The substituent to lift out of
+    // the plane in the starting geometry is a hydrogen or chain atom rather than
+    // a ring atom.
+    const chiralCenters = stereoCenters.map(({ center, neighbors: order, clockwise }) => {
+        const lift = order.reduce((best, j) => neighbors[j].length < neighbors[best].length ? j : best);
+        return [center, order[1], order[2], order[3], clockwise ? 1 : -1, { order, lift }];
+    });
+
+    // Starting geometry: the layout scaled to Å, hydrogens and stereocenter
+    // substituents lifted above or below the plane
+    const scale = 1.5 / LAYOUT_BOND_LENGTH;
+    const xyz = new Float64Array(3 * n);
+    layout.forEach((p, i) => {
+        xyz[3 * i] = p.x * scale;
+        xyz[3 * i + 1] = p.y * scale;
+        xyz[3 * i + 2] = 0.05 * Math.sin(i * 12.9898);
+    });
+    neighbors.forEach((list, c) => {
+        if (isTrigonal(c) || isLinear(c)) return;
+        list.filter(j => atoms[j].element === 'H' && neighbors[j].length === 1)
+            .forEach((h, k) => { xyz[3 * h + 2] += k % 2 === 0 ? 0.9 : -0.9; });
+    });
+    // Each stereocenter starts as a flattened pyramid, mirrored if it has the
+    // wrong handedness
+    chiralCenters.forEach(([c, p1, p2, p3, sign, { order, lift }]) => {
+        order.forEach(j => { xyz[3 * j + 2] = xyz[3 * c + 2] + (j === lift ? 0.9 : -0.3); });
+        if (Math.sign(signedVolume(xyz, c, p1, p2, p3)) !== sign) {
+            order.forEach(j => { xyz[3 * j + 2] = 2 * xyz[3 * c + 2] - xyz[3 * j + 2]; });
+        }
+    });
+
+    // Contacts: atoms not bonded or 1-3 should stay apart
+    const contactDistance = (i, j) => {
+        const heavy = (atoms[i].element !== 'H') + (atoms[j].element !== 'H');
+        return [1.6, 2.0, 2.5][heavy];
+    };
+    const contacts = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (!excluded.has(bondKey(i, j))) contacts.push([i, j, contactDistance(i, j)]);
+        }
+    }
+
+    const evaluate = (coords, gradient) => {
+        let energy = 0;
+        if (gradient) gradient.fill(0);
+
+        const stretch = (i, j, target, weight, repulsiveOnly) => {
+            const dx = coords[3 * i] - coords[3 * j];
+            const dy = coords[3 * i + 1] - coords[3 * j + 1];
+            const dz = coords[3 * i + 2] - coords[3 * j + 2];
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+            const diff = distance - target;
+            if (repulsiveOnly && diff >= 0) return;
+            energy += weight * diff * diff;
+            if (!gradient) return;
+            const g = (2 * weight * diff) / distance;
+            gradient[3 * i] += g * dx;
+            gradient[3 * i + 1] += g * dy;
+            gradient[3 * i + 2] += g * dz;
+            gradient[3 * j] -= g * dx;
+            gradient[3 * j + 1] -= g * dy;
+            gradient[3 * j + 2] -= g * dz;
+        };
+
+        // Penalize a signed volume below `minimum`, or any volume when planar
+        const volume = (c, p1, p2, p3, weight, sign, minimum) => {
+            const v = signedVolume(coords, c, p1, p2, p3);
+            const diff = sign === 0 ? v : Math.min(0, sign * v - minimum);
+            if (diff === 0) return;
+            energy += weight * diff * diff;
+            if (!gradient) return;
+
+            const vec = (p) => [coords[3 * p] - coords[3 * c], coords[3 * p + 1] - coords[3 * c + 1], coords[3 * p + 2] - coords[3 * c + 2]];
+            const cross = (u, w) => [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+            const [a, b, d] = [vec(p1), vec(p2), vec(p3)];
+            const g = 2 * weight * diff * (sign === 0 ? 1 : sign);
+            [[p1, cross(b, d)], [p2, cross(d, a)], [p3, cross(a, b)]].forEach(([p, dv]) => {
+                for (let k = 0; k < 3; k++) {
+                    gradient[3 * p + k] += g * dv[k];
+                    gradient[3 * c + k] -= g * dv[k];
+                }
+            });
+        };
+
+        restraints.forEach(([i, j, target, weight]) => stretch(i, j, target, weight, false));
+        contacts.forEach(([i, j, target]) => stretch(i, j, target, EMBED_WEIGHTS.contact, true));
+        planarCenters.forEach(([c, p1, p2, p3]) => volume(c, p1, p2, p3, EMBED_WEIGHTS.planar, 0, 0));
+        chiralCenters.forEach(([c, p1, p2, p3, sign]) => volume(c, p1, p2, p3, EMBED_WEIGHTS.chiral, sign, 1));
+        return energy;
+    };
+
+    // Gradient descent with an adaptive step; no atom moves more than 0.3 Å per step
+    const gradient = new Float64Array(3 * n);
+    const trial = new Float64Array(3 * n);
+    let energy = evaluate(xyz, gradient);
+    let step = 0.002;
+    for (let iteration = 0; iteration < EMBED_MAX_ITERATIONS && energy > 1e-8 && step > 1e-9; iteration++) {
+        let largest = 0;
+        for (let k = 0; k < 3 * n; k++) largest = Math.max(largest, Math.abs(gradient[k]));
+        const limit = Math.min(step, 0.3 / (largest || 1));
+        for (let k = 0; k < 3 * n; k++) trial[k] = xyz[k] - limit * gradient[k];
+
+        const trialEnergy = evaluate(trial, null);
+        if (trialEnergy < energy) {
+            xyz.set(trial);
+            energy = evaluate(xyz, gradient);
+            step *= 1.2;
+        } else {
+            step *= 0.5;
+        }
+    }
+
+    atoms.forEach((atom, i) => {
+        atom.x = xyz[3 * i];
+        atom.y = xyz[3 * i + 1];
+        atom.z = xyz[3 * i + 2];
+    });
+}
+
+// A complete molecule for the viewer from SMILES, with no network access
+function buildMoleculeFromSmiles(smiles, name = smiles.trim()) {
+    const structure = parseSmiles(smiles);
+    const layout = layoutStructure2D(structure.atoms, structure.bonds, structure.stereoBonds);
+    embedStructure3D(structure, layout);
+
+    const atoms2D = layout.map((p, i) => ({ element: structure.atoms[i].element, x: p.x, y: p.y, z: 0 }));
+    const molecule = buildLocalMolecule({ atoms: structure.atoms, bonds: structure.bonds, bondsGiven: true, atoms2D }, name);
+    return { ...molecule, smiles: smiles.trim(), is2D: false, source: 'smiles' };
+}
@@ -0,0 +1,301 @@
+// Stereochemistry
+// Ranks substituents by the Cahn-Ingold-Prelog rules and assigns R/S to
+// stereocenters and E/Z to double bonds from the coordinates (3D, or 2D with
+// the molfile wedge and hash flags), and picks the bonds to draw as wedges
+
+// Atoms that can be stereocenters, with the neighbor counts that allow it.
+// Three neighbors means an implicit hydrogen (C, Si) or a lone pair (N+, P, S).
+const STEREOCENTER_NEIGHBORS = { C: [3, 4], Si: [3, 4], N: [4], P: [3, 4], S: [3], Se: [3] };
+
+// Double bonds in rings smaller than this are always cis
+const MIN_STEREO_RING_SIZE = 8;
+
+// The digraph search gives up (treating the branches as equal) past this many
+// atoms in one sphere
+const CIP_MAX_SPHERE_SIZE = 2000;
+
+// Signed volumes (Å³, or 2D units) smaller than this cannot tell the two
+// hands apart
+const MIN_CHIRAL_VOLUME = 0.05;
+
+// Computed once per molecule object
+const stereoCache = new WeakMap();
+
+// Atomic number and isotope mass of an atom, or of the phantom atoms CIP uses
+// for implicit hydrogens (1) and lone pairs (0)
+function cipAtomKey(atoms, index) {
+    const atom = atoms[index];
+    const data = ELEMENTS[atom.element];
+    return { number: data ? data.number : 0, mass: atom.isotope || (data ? data.mass : 0) };
+}
+
+// Compare two substituents of `root` by CIP rules 1a (atomic number) and 2
+// (mass), exploring the hierarchical digraph sphere by sphere. Multiple bonds
+// and ring closures add duplicate atoms, which have no substituents of their own.
+// Returns > 0 when `a` ranks higher, < 0 when lower, 0 when they tie.
+function compareCipBranches(atoms, bondsByAtom, root, a, b) {
+    const node = (atom, parent, path, duplicate = false) => {
+        const key = atom === null ? { number: 1, mass: 1 } : cipAtomKey(atoms, atom);
+        return { atom, parent, path, duplicate, ...key };
+    };
+    const children = (n) => {
+        if (n.duplicate || n.atom === null) return [];
+        const result = [];
+        bondsByAtom[n.atom].forEach(bond => {
+            const other = bond.from === n.atom ? bond.to : bond.from;
+            for (let k = 1; k < (bond.order || 1); k++) result.push(node(other, n.atom, null, true));
+            if (other === n.parent) return;
+            if (n.path.has(other)) {
+                result.push(node(other, n.atom, null, true));
+            } else {
+                result.push(node(other, n.atom, new Set(n.path).add(other)));
+            }
+        });
+        return result.sort((x, y) => y.number - x.number || y.mass - x.mass);
+    };
+    const start = (atom) => node(atom, root, atom === null ? null : new Set([root, atom]));
+
+    // Each sphere is a list of substituent sets, one per atom of the sphere
+    // before, in hierarchical order: by the rank of the atom they hang from,
+    // then, between atoms that tie, highest set first. Visiting order never
+    // decides, so two branches with the same constitution always tie.
+    const compareSets = (field) => (x, y) => {
+        for (let k = 0; k < Math.max(x.length, y.length); k++) {
+            const difference = (x[k] ? x[k][field] : 0) - (y[k] ? y[k][field] : 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    };
+    const nextSphere = (level, field) => {
+        const bySet = compareSets(field);
+        const sets = level
+            .map(n => ({ rank: n.rank, atoms: children(n).sort((x, y) => y[field] - x[field]) }))
+            .sort((x, y) => x.rank - y.rank || bySet(y.atoms, x.atoms));
+        // Atoms that tie with everything above them share a rank, so their
+        // sets are ordered together in the next sphere
+        let group = -1;
+        const keyed = [];
+        sets.forEach((set, i) => {
+            if (i === 0 || sets[i - 1].rank !== set.rank || bySet(sets[i - 1].atoms, set.atoms) !== 0) group++;
+            set.atoms.forEach(n => keyed.push({ n, group }));
+        });
+        keyed.sort((x, y) => x.group - y.group || y.n[field] - x.n[field]);
+        let rank = -1;
+        const atomsInOrder = keyed.map(({ n, group }, i) => {
+            if (i === 0 || keyed[i - 1].group !== group || keyed[i - 1].n[field] !== n[field]) rank++;
+            n.rank = rank;
+            return n;
+        });
+        return { sets: sets.map(set => set.atoms), atoms: atomsInOrder };
+    };
+
+    const compareBy = (field) => {
+        let levelA = [{ ...start(a), rank: 0 }];
+        let levelB = [{ ...start(b), rank: 0 }];
+        if (levelA[0][field] !== levelB[0][field]) return levelA[0][field] - levelB[0][field];
+
+        const bySet = compareSets(field);
+        while (levelA.length > 0 || levelB.length > 0) {
+            const sphereA = nextSphere(levelA, field);
+            const sphereB = nextSphere(levelB, field);
+            for (let i = 0; i < Math.max(sphereA.sets.length, sphereB.sets.length); i++) {
+                const difference = bySet(sphereA.sets[i] || [], sphereB.sets[i] || []);
+                if (difference !== 0) return difference;
+            }
+            levelA = sphereA.atoms;
+            levelB = sphereB.atoms;
+            if (levelA.length > CIP_MAX_SPHERE_SIZE || levelB.length > CIP_MAX_SPHERE_SIZE) return 0;
+        }
+        return 0;
+    };
+
+    return compareBy('number') || compareBy('mass');
+}
+
+// Substituents highest priority first, or null when two of them tie. A null
+// entry stands for an implicit hydrogen or lone pair.
+function rankCipSubstituents(atoms, bondsByAtom, root, substituents) {
+    const ranked = substituents.slice().sort((x, y) => compareCipBranches(atoms, bondsByAtom, root, y, x));
+    for (let i = 1; i < ranked.length; i++) {
+        if (compareCipBranches(atoms, bondsByAtom, root, ranked[i - 1], ranked[i]) === 0) return null;
+    }
+    return ranked;
+}
+
+// R or S for a center whose substituents sit at `positions`, highest priority
+// first. A missing fourth (implicit hydrogen or lone pair) points away from the
+// other three. Null when the positions are too flat to tell.
+function chiralityFromPositions(center, positions) {
+    const vectors = positions.map(p => ({ x: p.x - center.x, y: p.y - center.y, z: p.z - center.z }));
+    if (vectors.length === 3) {
+        const away = { x: 0, y: 0, z: 0 };
+        vectors.forEach(v => {
+            const length = Math.hypot(v.x, v.y, v.z) || 1;
+            away.x -= v.x / length;
+            away.y -= v.y / length;
+            away.z -= v.z / length;
+        });
+        vectors.push(away);
+    }
+
+    // Looking from opposite the lowest priority, 1 -> 2 -> 3 runs clockwise for R
+    const [a, b, c, d] = vectors;
+    const u = { x: a.x - d.x, y: a.y - d.y, z: a.z - d.z };
+    const v = { x: b.x - d.x, y: b.y - d.y, z: b.z - d.z };
+    const w = { x: c.x - d.x, y: c.y - d.y, z: c.z - d.z };
+    const volume = u.x * (v.y * w.z - v.z * w.y) - u.y * (v.x * w.z - v.z * w.x) + u.z * (v.x * w.y - v.y * w.x);
+    if (Math.abs(volume) < MIN_CHIRAL_VOLUME) return null;
+    return volume < 0 ? 'R' : 'S';
+}
+
+function isStereocenterCandidate(atoms, bondsByAtom, index) {
+    const atom = atoms[index];
+    const atomBonds = bondsByAtom[index];
+    const counts = STEREOCENTER_NEIGHBORS[atom.element];
+    if (!counts || !counts.includes(atomBonds.length)) return false;
+    // Two plain hydrogens tie (deuterium and tritium do not)
+    const partners = atomBonds.map(bond => atoms[bond.from === index ? bond.to : bond.from]);
+    if (partners.filter(partner => partner.element === 'H' && !partner.isotope).length > 1) return false;
+
+    if (atom.element === 'C' || atom.element === 'Si') {
+        return !atom.charge && !atom.radical && atomBonds.every(bond => (bond.order || 1) === 1);
+    }
+    if (atom.element === 'N') return atom.charge > 0 && atomBonds.every(bond => (bond.order || 1) === 1);
+    return true;
+}
+
+// Stereocenters as { atom, descriptor, substituents (highest first) } and
+// stereogenic double bonds as { bond (index), descriptor }. Molecules with
+// flat coordinates only get descriptors where wedge or hash flags say which way
+// a substituent points.
+function getStereoInfo(molecule) {
+    let info = stereoCache.get(molecule);
+    if (info) return info;
+
+    const { atoms } = molecule;
+    const bonds = molecule.bonds || [];
+    const bondsByAtom = atoms.map(() => []);
+    bonds.forEach(bond => {
+        bondsByAtom[bond.from].push(bond);
+        bondsByAtom[bond.to].push(bond);
+    });
+    const partner = (bond, index) => (bond.from === index ? bond.to : bond.from);
+
+    // 2D coordinates lift a wedged substituent toward the viewer and push a
+    // hashed one away, as seen from its stereocenter
+    const positionFrom = (center, neighbor) => {
+        const atom = atoms[neighbor];
+        if (!molecule.is2D) return atom;
+        const bond = bondsByAtom[center].find(b => b.from === center && b.to === neighbor);
+        const lift = bond && { wedge: 1, hash: -1 }[bond.stereo];
+        return { x: atom.x, y: atom.y, z: lift || 0 };
+    };
+
+    const centers = [];
+    atoms.forEach((atom, index) => {
+        if (!isStereocenterCandidate(atoms, bondsByAtom, index)) return;
+        const substituents = bondsByAtom[index].map(bond => partner(bond, index));
+        const ranked = rankCipSubstituents(atoms, bondsByAtom, index, substituents.length === 3 && ['C', 'Si'].includes(atom.element) ? [...substituents, null] : substituents);
+        if (!ranked) return;
+
+        // An implicit hydrogen is always last, so the three real ones come first
+        const descriptor = chiralityFromPositions(atom, ranked.filter(j => j !== null).map(j => positionFrom(index, j)));
+        if (descriptor) centers.push({ atom: index, descriptor, substituents: ranked });
+    });
+
+    const { rings } = getRingInfo(molecule);
+    const doubleBonds = [];
+    bonds.forEach((bond, bondIndex) => {
+        if (bond.order !== 2) return;
+        if (rings.some(ring => ring.atoms.length < MIN_STEREO_RING_SIZE && ring.bonds.includes(bondIndex))) return;
+
+        // Highest ranked substituent on each end; a lone one beats the implicit
+        // hydrogen or lone pair across from it
+        const top = [bond.from, bond.to].map((end, k) => {
+            const other = k === 0 ? bond.to : bond.from;
+            if (bondsByAtom[end].some(b => b !== bond && (b.order || 1) > 1)) return null;
+            const substituents = bondsByAtom[end].map(b => partner(b, end)).filter(j => j !== other);
+            if (substituents.length === 1) return substituents[0];
+            if (substituents.length !== 2) return null;
+            const ranked = rankCipSubstituents(atoms, bondsByAtom, end, substituents);
+            return ranked ? ranked[0] : null;
+        });
+        if (top[0] === null || top[1] === null) return;
+
+        // Sides of the two top substituents, square to the double bond
+        const a = atoms[bond.from];
+        const b = atoms[bond.to];
+        const axis = { x: b.x - a.x, y: b.y - a.y, z: (b.z || 0) - (a.z || 0) };
+        const axisLengthSq = axis.x * axis.x + axis.y * axis.y + axis.z * axis.z;
+        const across = (end, substituent) => {
+            const s = atoms[substituent];
+            const v = { x: s.x - end.x, y: s.y - end.y, z: (s.z || 0) - (end.z || 0) };
+            const along = (v.x * axis.x + v.y * axis.y + v.z * axis.z) / axisLengthSq;
+            return { x: v.x - along * axis.x, y: v.y - along * axis.y, z: v.z - along * axis.z };
+        };
+        const u = across(a, top[0]);
+        const v = across(b, top[1]);
+        const side = u.x * v.x + u.y * v.y + u.z * v.z;
+        if (Math.abs(side) < MIN_CHIRAL_VOLUME) return;
+        doubleBonds.push({ bond: bondIndex, descriptor: side > 0 ? 'Z' : 'E' });
+    });
+
+    info = { centers, doubleBonds };
+    stereoCache.set(molecule, info);
+    return info;
+}
+
+// Bonds to draw as wedges (toward the viewer) or hashes (away) in a drawing
+// with the given 2D positions (y down, as on a canvas), as a Map from bond index
+// to { from, type }, with the narrow end at `from`. Flat molecules
+// keep the flags they came with; otherwise each stereocenter gets one wedge or
+// hash, preferably to a hydrogen or a terminal atom outside any ring, chosen so
+// the drawing shows the descriptor found from the 3D coordinates. Atoms flagged
+// in `hidden` (hydrogens a skeletal formula leaves out) never get one.
+function getStereoWedges(molecule, positions, hidden = null) {
+    const wedges = new Map();
+    const bonds = molecule.bonds || [];
+    const isHidden = (index) => Boolean(hidden && hidden[index]);
+    const flagged = bonds.filter(bond => bond.stereo === 'wedge' || bond.stereo === 'hash');
+    // Flags on bonds to hidden atoms are worked out again for the visible ones
+    if (molecule.is2D && !flagged.some(bond => isHidden(bond.from) || isHidden(bond.to))) {
+        flagged.forEach(bond => wedges.set(bonds.indexOf(bond), { from: bond.from, type: bond.stereo }));
+        return wedges;
+    }
+
+    const { centers } = getStereoInfo(molecule);
+    const { rings } = getRingInfo(molecule);
+    const ringAtoms = new Set(rings.flatMap(ring => ring.atoms));
+    const centerAtoms = new Set(centers.map(center => center.atom));
+    const degree = molecule.atoms.map(() => 0);
+    bonds.forEach(bond => {
+        degree[bond.from]++;
+        degree[bond.to]++;
+    });
+    const flat = (index, lift = 0) => ({ x: positions[index].x, y: -positions[index].y, z: lift });
+    const used = new Set();
+
+    centers.forEach(({ atom, descriptor, substituents }) => {
+        const preference = (j) => {
+            if (molecule.atoms[j].element === 'H') return 0;
+            if (degree[j] === 1) return 1;
+            if (!ringAtoms.has(j) && !centerAtoms.has(j)) return 2;
+            return centerAtoms.has(j) ? 4 : 3;
+        };
+        const candidates = substituents
+            .filter(j => j !== null && !isHidden(j))
+            .sort((x, y) => preference(x) - preference(y));
+
+        for (const j of candidates) {
+            const bondIndex = bonds.findIndex(bond => (bond.from === atom && bond.to === j) || (bond.from === j && bond.to === atom));
+            if (used.has(bondIndex)) continue;
+            const drawn = chiralityFromPositions(flat(atom), substituents.filter(k => k !== null).map(k => flat(k, k === j ? 1 : 0)));
+            if (!drawn) continue;
+
+            wedges.set(bondIndex, { from: atom, type: drawn === descriptor ? 'wedge' : 'hash' });
+            used.add(bondIndex);
+            break;
+        }
+    });
+    return wedges;
+}
@@ -0,0 +1,643 @@
+// Structural superposition
+// Overlays a second compound or conformer on the main molecule in the same scene,
+// rigidly aligned over a common substructure or over atom pairs the user picks
+
+// Both molecules keep their element colors, blended toward one tint each
+const SUPERPOSE_TINTS = { reference: 0x4cc9f0, overlay: 0xff6b9d };
+const SUPERPOSE_TINT_AMOUNT = 0.45;
+const PAIR_COLOR = 0xffd166;
+
+// A rigid alignment needs three non-collinear points
+const SUPERPOSE_MIN_PAIRS = 3;
+
+// Search budget for the common substructure, and how many equally large mappings
+// to compare (symmetric molecules map in several ways; only one lines up in space)
+const SUPERPOSE_MCS_STEPS = 50000;
+const SUPERPOSE_MCS_MAPPINGS = 24;
+
+// An element color blended toward a tint; no tint leaves it unchanged
+function tintColor(color, tint, amount = SUPERPOSE_TINT_AMOUNT) {
+    const result = new THREE.Color(color);
+    return tint === null || tint === undefined ? result : result.lerp(new THREE.Color(tint), amount);
+}
+
+function centroid(points) {
+    const center = new THREE.Vector3();
+    points.forEach(point => center.add(toVector(point)));
+    return center.divideScalar(points.length);
+}
+
+// Largest eigenvalue of a symmetric 4x4 matrix and its eigenvector (cyclic Jacobi)
+function largestEigenvector4(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let largest = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i][i] > a[largest][largest]) largest = i;
+    }
+    return { value: a[largest][largest], vector: v.map(row => row[largest]) };
+}
+
+// Optimal rigid-body fit of moving points onto target points (same order), as
+// { rotation, from, to, rmsd }: rotate about the moving centroid `from`, then
+// translate it onto the target centroid `to`. This is the Kabsch least-squares
+// problem, solved with Horn's quaternion method so the result is always a proper
+// rotation, never a mirror image.
+function superposePoints(moving, target) {
+    const from = centroid(moving);
+    const to = centroid(target);
+
+    // Cross-covariance of the centered point sets
+    const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    moving.forEach((point, i) => {
+        const p = toVector(point).sub(from).toArray();
+        const q = toVector(target[i]).sub(to).toArray();
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) s[r][c] += p[r] * q[c];
+        }
+    });
+    const [[sxx, sxy, sxz], [syx, syy, syz], [szx, szy, szz]] = s;
+
+    const { vector: [w, x, y, z] } = largestEigenvector4([
+        [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+        [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+        [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+        [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+    ]);
+
+    const transform = { rotation: new THREE.Quaternion(x, y, z, w).normalize(), from, to };
+    const squared = moving.reduce((sum, point, i) =>
+        sum + transformPoint(point, transform).distanceToSquared(toVector(target[i])), 0);
+    return { ...transform, rmsd: Math.sqrt(squared / moving.length) };
+}
+
+function transformPoint(point, { rotation, from, to }) {
+    return toVector(point).sub(from).applyQuaternion(rotation).add(to);
+}
+
+// Copies of the atoms moved by a superposition transform
+function transformAtoms(atoms, transform) {
+    return atoms.map(atom => {
+        const { x, y, z } = transformPoint(atom, transform);
+        return { ...atom, x, y, z };
+    });
+}
+
+// Heavy-atom connectivity: neighbor lists (heavy neighbors only) and a bond lookup
+function buildHeavyAtomGraph(molecule) {
+    const heavy = [];
+    const neighbors = molecule.atoms.map(() => []);
+    const bonded = new Set();
+
+    molecule.atoms.forEach((atom, i) => {
+        if (atom.element !== 'H') heavy.push(i);
+    });
+    (molecule.bonds || []).forEach(bond => {
+        const from = molecule.atoms[bond.from];
+        const to = molecule.atoms[bond.to];
+        if (!from || !to || from.element === 'H' || to.element === 'H') return;
+        neighbors[bond.from].push(bond.to);
+        neighbors[bond.to].push(bond.from);
+        bonded.add(bondKey(bond.from, bond.to));
+    });
+    return { heavy, neighbors, bonded };
+}
+
+// Largest connected common substructure of the heavy atoms of two molecules,
+// matching elements and bonds. Bond orders are ignored so that different Kekulé
+// structures of the same ring still match. Returns up to maxMappings equally large
+// mappings, each an array of [indexA, indexB] pairs.
+function findCommonSubstructures(a, b, { maxSteps = SUPERPOSE_MCS_STEPS, maxMappings = SUPERPOSE_MCS_MAPPINGS } = {}) {
+    const graphA = buildHeavyAtomGraph(a);
+    const graphB = buildHeavyAtomGraph(b);
+    const mapAB = new Map();
+    const mapBA = new Map();
+    // A atoms left out in the current branch, or already tried as a seed
+    const excluded = new Set();
+
+    let mappings = [];
+    let bestSize = 0;
+    let steps = 0;
+
+    const map = (atomA, atomB) => {
+        mapAB.set(atomA, atomB);
+        mapBA.set(atomB, atomA);
+    };
+    const unmap = (atomA) => {
+        mapBA.delete(mapAB.get(atomA));
+        mapAB.delete(atomA);
+    };
+
+    // Next A atom bonded to the mapped set that may still be added
+    const nextAtom = () => {
+        for (const atomA of mapAB.keys()) {
+            const next = graphA.neighbors[atomA].find(n => !mapAB.has(n) && !excluded.has(n));
+            if (next !== undefined) return next;
+        }
+        return null;
+    };
+
+    // atomB must be bonded to exactly the images of atomA's mapped neighbors
+    const consistent = (atomA, atomB) => {
+        const mappedA = graphA.neighbors[atomA].filter(n => mapAB.has(n));
+        const mappedB = graphB.neighbors[atomB].filter(n => mapBA.has(n));
+        return mappedA.length === mappedB.length &&
+            mappedA.every(n => graphB.bonded.has(bondKey(mapAB.get(n), atomB)));
+    };
+
+    const candidates = (atomA) => {
+        const anchor = graphA.neighbors[atomA].find(n => mapAB.has(n));
+        return graphB.neighbors[mapAB.get(anchor)].filter(atomB =>
+            !mapBA.has(atomB) &&
+            b.atoms[atomB].element === a.atoms[atomA].element &&
+            consistent(atomA, atomB));
+    };
+
+    const search = () => {
+        if (++steps > maxSteps) return;
+
+        // Even adding every remaining atom cannot reach the best size
+        const remaining = Math.min(graphA.heavy.length - mapAB.size - excluded.size, graphB.heavy.length - mapBA.size);
+        if (mapAB.size + remaining < bestSize) return;
+
+        const atomA = nextAtom();
+        if (atomA === null) {
+            if (mapAB.size > bestSize) {
+                bestSize = mapAB.size;
+                mappings = [];
+            }
+            if (mapAB.size === bestSize && mappings.length < maxMappings) {
+                mappings.push([...mapAB.entries()]);
+            }
+            return;
+        }
+
+        for (const atomB of candidates(atomA)) {
+            map(atomA, atomB);
+            search();
+            unmap(atomA);
+        }
+        excluded.add(atomA);
+        search();
+        excluded.delete(atomA);
+    };
+
+    // Records of the same compound, such as PubChem conformers, share their atom
+    // numbering; that mapping is complete however symmetric the molecule is
+    const sameNumbering = graphA.heavy.length === graphB.heavy.length &&
+        graphA.bonded.size === graphB.bonded.size &&
+        graphA.heavy.every((i, n) => graphB.heavy[n] === i && b.atoms[i].element === a.atoms[i].element) &&
+        [...graphA.bonded].every(key => graphB.bonded.has(key));
+    if (sameNumbering && graphA.heavy.length > 0) {
+        mappings.push(graphA.heavy.map(i => [i, i]));
+        bestSize = graphA.heavy.length;
+    }
+
+    // Seed with rare elements first so the first mappings found are already large
+    const elementCount = {};
+    graphB.heavy.forEach(i => {
+        elementCount[b.atoms[i].element] = (elementCount[b.atoms[i].element] || 0) + 1;
+    });
+    const seeds = graphA.heavy
+        .filter(i => elementCount[a.atoms[i].element])
+        .sort((i, j) => elementCount[a.atoms[i].element] - elementCount[a.atoms[j].element] ||
+            graphA.neighbors[j].length - graphA.neighbors[i].length);
+
+    for (const seedA of seeds) {
+        if (graphA.heavy.length - excluded.size < bestSize || steps > maxSteps) break;
+
+        graphB.heavy.forEach(seedB => {
+            if (b.atoms[seedB].element !== a.atoms[seedA].element) return;
+            map(seedA, seedB);
+            search();
+            unmap(seedA);
+        });
+        // Every mapping containing this seed has been tried
+        excluded.add(seedA);
+    }
+    return mappings;
+}
+
+// Align the overlay's atoms onto the reference over the given [indexA, indexB] pairs
+function superposeOnPairs(reference, overlay, pairs) {
+    return superposePoints(
+        pairs.map(([, indexB]) => overlay.atoms[indexB]),
+        pairs.map(([indexA]) => reference.atoms[indexA])
+    );
+}
+
+class SuperpositionTool {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.active = false;
+        this.overlay = null;
+        this.aligned = null;
+        this.alignedMolecule = null;
+        this.result = null;
+
+        // 'substructure' aligns over a common substructure, 'picked' over this.pairs
+        this.mapping = 'substructure';
+        this.pairs = [];
+        this.pending = { reference: null, overlay: null };
+        this.picking = false;
+
+        this.loadController = null;
+        this.conformerIds = [];
+
+        this.group = new THREE.Group();
+        visualizer.scene.add(this.group);
+        this.materials = {};
+        this.bondMaterial = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDown = null;
+
+        this.layoutEl = document.querySelector('.viewer-container');
+        this.statusEl = document.getElementById('overlay-status');
+        this.legendEl = document.getElementById('overlay-legend');
+        this.conformerSelect = document.getElementById('overlay-conformer');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.getElementById('overlay-btn').addEventListener('click', () => this.setActive(!this.active));
+
+        const input = document.getElementById('overlay-search');
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.load(input.value.trim());
+        });
+        document.getElementById('overlay-load-btn').addEventListener('click', () => this.load(input.value.trim()));
+        document.getElementById('overlay-conformers-btn').addEventListener('click', () => this.loadConformerList());
+        this.conformerSelect.addEventListener('change', () => {
+            if (this.conformerSelect.value) this.loadConformer(this.conformerSelect.value);
+        });
+
+        document.getElementById('overlay-mapping').addEventListener('change', (e) => {
+            this.mapping = e.target.value;
+            this.setPicking(this.mapping === 'picked');
+            this.align();
+        });
+        document.getElementById('overlay-pick-btn').addEventListener('click', () => this.setPicking(!this.picking));
+        document.getElementById('overlay-clear-pairs').addEventListener('click', () => {
+            this.pairs = [];
+            this.pending = { reference: null, overlay: null };
+            this.align();
+        });
+
+        const canvas = this.visualizer.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => {
+            this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+        canvas.addEventListener('pointerup', (e) => {
+            if (this.pointerDown && Math.hypot(e.clientX - this.pointerDown.x, e.clientY - this.pointerDown.y) < 5) {
+                this.onClick(e);
+            }
+            this.pointerDown = null;
+        });
+    }
+
+    setActive(active) {
+        this.active = active;
+        this.layoutEl.classList.toggle('superposing', active);
+        document.getElementById('overlay-btn').classList.toggle('active', active);
+
+        // Closing the bar removes the overlay from the scene
+        if (!active) {
+            if (this.loadController) this.loadController.abort();
+            this.setPicking(false);
+            this.overlay = null;
+            this.pairs = [];
+            this.pending = { reference: null, overlay: null };
+            this.statusEl.textContent = '';
+        }
+        this.align();
+    }
+
+    setPicking(picking) {
+        this.picking = picking && Boolean(this.overlay);
+        document.getElementById('overlay-pick-btn').classList.toggle('active', this.picking);
+
+        // Clicks pick pairs instead of measuring
+        if (this.picking) {
+            this.visualizer.setMeasureMode('');
+        }
+        this.pending = { reference: null, overlay: null };
+        this.refresh();
+    }
+
+    // Load the overlay by any identifier the main search accepts; when several
+    // compounds match, the first is used
+    async load(query) {
+        if (!query) return;
+
+        const type = detectIdentifierType(query);
+        await this.loadWith(async (signal) => {
+            let target = query;
+            if (type !== 'name') {
+                const { cids } = await pubchem.searchCompounds(query, type, { signal, maxResults: 1 });
+                target = cids[0];
+            }
+            return pubchem.getCompoundInfo(target, { signal });
+        }, molecule => this.setOverlay(molecule), error => this.visualizer.describeLoadError(error, query, type));
+    }
+
+    // Fill the conformer list for the main molecule
+    async loadConformerList() {
+        const molecule = this.visualizer.currentMolecule;
+        if (!molecule || !molecule.cid) {
+            this.statusEl.textContent = 'Conformers are only available for PubChem compounds.';
+            return;
+        }
+
+        await this.loadWith(signal => pubchem.getConformerIds(molecule.cid, signal), (ids) => {
+            this.conformerIds = ids;
+            this.conformerSelect.innerHTML = `<option value="">Conformer...</option>${ids.map((id, i) =>
+                `<option value="${escapeHtml(id)}">${i + 1}${i === 0 ? ' (default)' : ''}</option>`).join('')}`;
+            this.statusEl.textContent = ids.length > 0
+                ? `${ids.length} conformers of ${molecule.name}: choose one to overlay.`
+                : `PubChem has no 3D conformers for ${molecule.name}.`;
+        }, error => this.visualizer.describeLoadError(error, molecule.cid, 'cid'));
+    }
+
+    async loadConformer(conformerId) {
+        const molecule = this.visualizer.currentMolecule;
+        if (!molecule) return;
+
+        const number = this.conformerIds.indexOf(conformerId) + 1;
+        await this.loadWith(async (signal) => {
+            const { atoms, bonds } = await pubchem.getConformer(conformerId, signal);
+            return { ...molecule, name: `${molecule.name} conformer ${number}`, atoms, bonds, is2D: false };
+        }, overlay => this.setOverlay(overlay), error => this.visualizer.describeLoadError(error, molecule.cid, 'cid'));
+    }
+
+    // Run one overlay request, superseding any still in flight, and hand its
+    // result to apply unless a newer request replaced it
+    async loadWith(fetchResult, apply, describeError) {
+        if (this.loadController) {
+            this.loadController.abort();
+        }
+        const controller = new AbortController();
+        this.loadController = controller;
+        this.statusEl.textContent = 'Loading...';
+
+        try {
+            const result = await fetchResult(controller.signal);
+            if (controller.signal.aborted) return;
+
+            this.loadController = null;
+            this.statusEl.textContent = '';
+            apply(result);
+        } catch (error) {
+            if (isAbortError(error) || controller.signal.aborted) return;
+
+            console.error('Failed to load overlay molecule:', error);
+            this.statusEl.textContent = describeError(error);
+        } finally {
+            if (this.loadController === controller) {
+                this.loadController = null;
+            }
+        }
+    }
+
+    setOverlay(molecule) {
+        this.overlay = molecule;
+        this.pairs = [];
+        this.pending = { reference: null, overlay: null };
+        this.align();
+    }
+
+    // The main molecule changed: picked atom numbers no longer apply
+    referenceChanged() {
+        this.pairs = [];
+        this.pending = { reference: null, overlay: null };
+        this.conformerIds = [];
+        this.conformerSelect.innerHTML = '<option value="">Conformer...</option>';
+        this.align();
+    }
+
+    // Fit the overlay onto the main molecule and redraw. Picked mode uses the
+    // common substructure until enough pairs are picked; without any usable
+    // mapping the overlay is only centered on the main molecule.
+    align() {
+        const reference = this.visualizer.currentMolecule;
+        if (!this.active || !this.overlay || !reference || !reference.atoms || reference.atoms.length === 0) {
+            this.aligned = null;
+            this.alignedMolecule = null;
+            this.result = null;
+            this.refresh();
+            return;
+        }
+
+        let best = null;
+        if (this.mapping === 'picked' && this.pairs.length >= SUPERPOSE_MIN_PAIRS) {
+            best = { ...superposeOnPairs(reference, this.overlay, this.pairs), count: this.pairs.length, mapping: 'picked' };
+        } else {
+            findCommonSubstructures(reference, this.overlay).forEach(pairs => {
+                if (pairs.length < SUPERPOSE_MIN_PAIRS) return;
+                const fit = superposeOnPairs(reference, this.overlay, pairs);
+                if (!best || fit.rmsd < best.rmsd) {
+                    best = { ...fit, count: pairs.length, mapping: 'substructure' };
+                }
+            });
+        }
+
+        if (best) {
+            this.aligned = transformAtoms(this.overlay.atoms, best);
+            this.result = best;
+        } else {
+            this.aligned = transformAtoms(this.overlay.atoms, {
+                rotation: new THREE.Quaternion(),
+                from: centroid(this.overlay.atoms),
+                to: centroid(reference.atoms)
+            });
+            this.result = null;
+        }
+        // One molecule object per alignment, so getRingInfo and the other per-molecule caches hit on redraws
+        this.alignedMolecule = { ...this.overlay, atoms: this.aligned };
+        this.refresh();
+    }
+
+    onClick(event) {
+        if (!this.picking || !this.aligned) return;
+
+        const ray = getPointerRay(this.visualizer, event, this.raycaster);
+        const hitReference = findAtomOnRay(this.visualizer, ray, this.visualizer.currentMolecule.atoms);
+        const hitOverlay = findAtomOnRay(this.visualizer, ray, this.aligned);
+        if (!hitReference && !hitOverlay) return;
+
+        // The front-most atom wins where the two molecules overlap
+        const side = !hitOverlay || (hitReference && hitReference.distance <= hitOverlay.distance) ? 'reference' : 'overlay';
+        const index = side === 'reference' ? hitReference.index : hitOverlay.index;
+        this.pending[side] = this.pending[side] === index ? null : index;
+
+        if (this.pending.reference !== null && this.pending.overlay !== null) {
+            // Each atom belongs to at most one pair
+            const pair = [this.pending.reference, this.pending.overlay];
+            this.pairs = this.pairs.filter(([a, b]) => a !== pair[0] && b !== pair[1]);
+            this.pairs.push(pair);
+            this.pending = { reference: null, overlay: null };
+            this.align();
+            return;
+        }
+        this.refresh();
+    }
+
+    // Rebuild the overlay model, the pair markers, the tints and the report
+    refresh() {
+        this.clearGroup();
+        const visualizer = this.visualizer;
+        const reference = visualizer.currentMolecule;
+        const showing = Boolean(this.aligned && reference && visualizer.sphereGeometry);
+
+        visualizer.setTint(showing ? SUPERPOSE_TINTS.reference : null);
+        if (showing) {
+            const overlay = this.alignedMolecule;
+            this.group.position.copy(visualizer.moleculeCenter).negate();
+            visualizer.buildAtomMeshes(overlay, this.group, element => this.getMaterial(element));
+            visualizer.buildBondMesh(overlay, this.group, this.getBondMaterial());
+            visualizer.layoutInstances(this.group, overlay);
+
+            this.pairs.forEach(([a, b]) => {
+                this.addHalo(reference.atoms[a], PAIR_COLOR);
+                this.addHalo(this.aligned[b], PAIR_COLOR);
+            });
+            if (this.pending.reference !== null) this.addHalo(reference.atoms[this.pending.reference], SELECTION_COLOR);
+            if (this.pending.overlay !== null) this.addHalo(this.aligned[this.pending.overlay], SELECTION_COLOR);
+        }
+
+        this.renderReport(reference, showing);
+        visualizer.requestRender();
+    }
+
+    renderReport(reference, showing) {
+        const chip = (tint, name) =>
+            `<span class="overlay-chip" style="background: #${new THREE.Color(tint).getHexString()}"></span>${escapeHtml(name || '')}`;
+        this.legendEl.innerHTML = showing
+            ? `${chip(SUPERPOSE_TINTS.reference, reference.name)} ${chip(SUPERPOSE_TINTS.overlay, this.overlay.name)}`
+            : '';
+
+        document.getElementById('overlay-pick-btn').disabled = !this.overlay || this.mapping !== 'picked';
+        document.getElementById('overlay-clear-pairs').disabled = this.pairs.length === 0;
+        if (!showing || this.loadController) return;
+
+        const picking = this.picking
+            ? ` Click an atom in each molecule to pair them (${this.pairs.length} paired).`
+            : '';
+        if (!this.result) {
+            this.statusEl.textContent = this.mapping === 'picked'
+                ? `Pick at least ${SUPERPOSE_MIN_PAIRS} atom pairs to align.${picking}`
+                : `No common substructure of ${SUPERPOSE_MIN_PAIRS} or more heavy atoms; pick atom pairs to align.`;
+            return;
+        }
+
+        const over = this.result.mapping === 'picked'
+            ? `${this.result.count} picked pairs`
+            : `${this.result.count} common heavy atoms`;
+        const pending = this.mapping === 'picked' && this.result.mapping !== 'picked'
+            ? ` Pick at least ${SUPERPOSE_MIN_PAIRS} pairs to align on them instead.`
+            : '';
+        this.statusEl.textContent = `RMSD ${this.result.rmsd.toFixed(3)} Å over ${over}.${pending}${picking}`;
+    }
+
+    getMaterial(element) {
+        if (!this.materials[element]) {
+            this.materials[element] = new THREE.MeshPhongMaterial({
+                color: tintColor(getAtomProperties(element).color, SUPERPOSE_TINTS.overlay),
+                specular: 0x444444,
+                shininess: 30
+            });
+        }
+        return this.materials[element];
+    }
+
+    // Follow a change of element color scheme
+    updateColors() {
+        Object.entries(this.materials).forEach(([element, material]) => {
+            material.color.copy(tintColor(getAtomProperties(element).color, SUPERPOSE_TINTS.overlay));
+        });
+        this.visualizer.requestRender();
+    }
+
+    getBondMaterial() {
+        if (!this.bondMaterial) {
+            this.bondMaterial = new THREE.MeshPhongMaterial({
+                color: tintColor(0x888888, SUPERPOSE_TINTS.overlay),
+                specular: 0x444444,
+                shininess: 20
+            });
+        }
+        return this.bondMaterial;
+    }
+
+    addHalo(atom, color) {
+        const radius = this.visualizer.getAtomRadius(atom.element) + 0.12;
+        const halo = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 24, 16),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false })
+        );
+        halo.position.copy(toVector(atom));
+        this.group.add(halo);
+    }
+
+    // Instanced meshes share the visualizer's geometries, so only halos own theirs.
+    // Materials are rebuilt too, so they follow the visualizer's shadow setting.
+    clearGroup() {
+        while (this.group.children.length > 0) {
+            const child = this.group.children[0];
+            if (child.isInstancedMesh) {
+                child.dispose();
+            } else {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+            this.group.remove(child);
+        }
+
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.materials = {};
+        if (this.bondMaterial) {
+            this.bondMaterial.dispose();
+            this.bondMaterial = null;
+        }
+    }
+}
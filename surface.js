@@ -0,0 +1,251 @@
+// Molecular surfaces
+// Shows a van der Waals, solvent-accessible or solvent-excluded surface around
+// the molecule. The mesh is built off the page in surfaceworker.js and colored
+// by element, partial charge or hydrophobicity.
+
+const SURFACE_TYPES = {
+    vdw: { label: 'van der Waals' },
+    sas: { label: 'Solvent-accessible' },
+    ses: { label: 'Solvent-excluded' }
+};
+
+// Per-atom hydrophobicity: +1 hydrophobic, -1 hydrophilic. Carbon next to N or O
+// counts as neutral and hydrogens take the value of their atom.
+const ATOM_HYDROPHOBICITY = { C: 1, S: 0.5, F: 0.3, Cl: 1, Br: 1, I: 1, N: -1, O: -1, P: -0.5 };
+const DEFAULT_HYDROPHOBICITY = -0.5;
+
+// Hydrophobicity colors at either end of the scale, with white in the middle
+// (the charge scale uses PARTIAL_CHARGE_COLORS)
+const SURFACE_HYDROPHOBICITY_COLORS = { hydrophilic: 0x2ec4b6, hydrophobic: 0xd9a05b };
+
+// Electrostatic potential (e/Å², with a 4r dielectric) that gets the full color
+const SURFACE_POTENTIAL_SCALE = 0.05;
+
+function atomHydrophobicity(molecule) {
+    const neighbors = molecule.atoms.map(() => []);
+    molecule.bonds.forEach(bond => {
+        neighbors[bond.from].push(bond.to);
+        neighbors[bond.to].push(bond.from);
+    });
+
+    const heavyValue = (index) => {
+        const atom = molecule.atoms[index];
+        if (atom.charge) return -1;
+        if (atom.element === 'C' && neighbors[index].some(j => ['N', 'O'].includes(molecule.atoms[j].element))) return 0;
+        return ATOM_HYDROPHOBICITY[atom.element] ?? DEFAULT_HYDROPHOBICITY;
+    };
+
+    return Float64Array.from(molecule.atoms, (atom, index) => {
+        if (atom.element === 'H' && neighbors[index].length === 1) return heavyValue(neighbors[index][0]);
+        return heavyValue(index);
+    });
+}
+
+class SurfaceTool {
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.type = '';
+        this.probe = 1.4;
+        this.opacity = 0.7;
+        this.colorBy = 'element';
+        this.molecule = null;
+        this.surface = null;
+        this.mesh = null;
+        this.requestId = 0;
+        // Created on first use; null once workers turn out to be unavailable
+        this.worker = undefined;
+
+        this.group = new THREE.Group();
+        visualizer.scene.add(this.group);
+        this.statusEl = document.getElementById('surface-status');
+
+        this.setupEvents();
+    }
+
+    setupEvents() {
+        document.getElementById('surface-type').addEventListener('change', (e) => this.setType(e.target.value));
+
+        const probe = document.getElementById('surface-probe');
+        probe.addEventListener('input', () => {
+            document.getElementById('surface-probe-value').textContent = parseFloat(probe.value).toFixed(1);
+        });
+        probe.addEventListener('change', () => {
+            this.probe = parseFloat(probe.value);
+            if (this.type === 'sas' || this.type === 'ses') this.build();
+        });
+
+        document.getElementById('surface-opacity').addEventListener('input', (e) => {
+            this.setOpacity(parseInt(e.target.value, 10) / 100);
+        });
+        document.getElementById('surface-color').addEventListener('change', (e) => {
+            this.colorBy = e.target.value;
+            this.applyColors();
+        });
+
+        this.updateControls();
+    }
+
+    setType(type) {
+        this.type = type;
+        this.updateControls();
+        this.build();
+    }
+
+    // The main viewer shows a new molecule
+    moleculeChanged(molecule) {
+        this.molecule = molecule;
+        this.updateControls();
+        this.build();
+    }
+
+    updateControls() {
+        const hasSurface = this.type !== '';
+        document.getElementById('surface-probe').disabled = this.type !== 'sas' && this.type !== 'ses';
+        document.getElementById('surface-opacity').disabled = !hasSurface;
+        document.getElementById('surface-color').disabled = !hasSurface;
+    }
+
+    // Start building the surface for the current type and molecule; any build
+    // still running is superseded
+    build() {
+        const requestId = ++this.requestId;
+        this.clear();
+
+        const molecule = this.molecule;
+        if (!this.type || !molecule || molecule.atoms.length === 0) {
+            this.statusEl.textContent = '';
+            return;
+        }
+
+        const atoms = new Float64Array(molecule.atoms.length * 4);
+        molecule.atoms.forEach((atom, i) => atoms.set([atom.x, atom.y, atom.z, getAtomProperties(atom.element).vdwRadius], 4 * i));
+        const request = {
+            atoms,
+            type: this.type,
+            probe: this.probe,
+            charges: Float64Array.from(getPartialCharges(molecule)),
+            hydrophobicity: atomHydrophobicity(molecule)
+        };
+        this.statusEl.textContent = 'Computing surface...';
+
+        const worker = this.getWorker();
+        if (worker) {
+            worker.postMessage({ id: requestId, ...request });
+            return;
+        }
+
+        // Without a worker the page builds it, once the status message has painted
+        setTimeout(() => {
+            if (requestId !== this.requestId) return;
+            try {
+                this.showSurface(computeSurface(request));
+            } catch (error) {
+                console.error('Surface failed:', error);
+                this.statusEl.textContent = `Could not build the surface: ${error.message}`;
+            }
+        }, 0);
+    }
+
+    getWorker() {
+        if (this.worker === undefined) {
+            try {
+                this.worker = new Worker('surfaceworker.js');
+                this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+                // A worker that cannot load (e.g. from file://) falls back to the page
+                this.worker.onerror = (event) => {
+                    event.preventDefault();
+                    this.worker.terminate();
+                    this.worker = null;
+                    this.build();
+                };
+            } catch (error) {
+                this.worker = null;
+            }
+        }
+        return this.worker;
+    }
+
+    onWorkerMessage({ id, surface, error }) {
+        // A newer request replaced this one
+        if (id !== this.requestId) return;
+
+        if (error) {
+            this.statusEl.textContent = `Could not build the surface: ${error}`;
+            return;
+        }
+        this.showSurface(surface);
+    }
+
+    showSurface(surface) {
+        this.surface = surface;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(surface.positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(surface.positions.length), 3));
+        geometry.setIndex(new THREE.BufferAttribute(surface.indices, 1));
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshPhongMaterial({
+            vertexColors: true,
+            specular: 0x222222,
+            shininess: 20
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        // Drawn after the opaque model so it shows through
+        this.mesh.renderOrder = 1;
+        this.group.add(this.mesh);
+        this.group.position.copy(this.visualizer.moleculeCenter).negate();
+
+        this.setOpacity(this.opacity);
+        this.applyColors();
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (!this.mesh) return;
+
+        const material = this.mesh.material;
+        material.opacity = opacity;
+        material.transparent = opacity < 1;
+        material.depthWrite = opacity >= 1;
+        material.needsUpdate = true;
+        this.visualizer.requestRender();
+    }
+
+    applyColors() {
+        if (!this.mesh) return;
+
+        const { owners, potential, hydrophobicity } = this.surface;
+        const colors = this.mesh.geometry.attributes.color;
+        const color = new THREE.Color();
+        for (let v = 0; v < owners.length; v++) {
+            if (this.colorBy === 'charge') {
+                scaleColor(potential[v] / SURFACE_POTENTIAL_SCALE, PARTIAL_CHARGE_COLORS.negative, PARTIAL_CHARGE_COLORS.positive, color);
+            } else if (this.colorBy === 'hydrophobicity') {
+                scaleColor(hydrophobicity[v], SURFACE_HYDROPHOBICITY_COLORS.hydrophilic, SURFACE_HYDROPHOBICITY_COLORS.hydrophobic, color);
+            } else {
+                color.setHex(getAtomProperties(this.molecule.atoms[owners[v]].element).color);
+            }
+            colors.setXYZ(v, color.r, color.g, color.b);
+        }
+        colors.needsUpdate = true;
+
+        const legend = {
+            charge: ' · red negative, blue positive potential',
+            hydrophobicity: ' · teal hydrophilic, tan hydrophobic'
+        }[this.colorBy] || '';
+        this.statusEl.textContent = `${SURFACE_TYPES[this.type].label} surface: ${Math.round(this.surface.area)} Å²${legend}`;
+        this.visualizer.requestRender();
+    }
+
+    clear() {
+        if (this.mesh) {
+            this.group.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+        }
+        this.surface = null;
+        this.visualizer.requestRender();
+    }
+}
@@ -0,0 +1,452 @@
+// Molecular surface builder
+// Computes van der Waals, solvent-accessible and solvent-excluded surfaces on a
+// grid and triangulates them with marching cubes. Runs as a Web Worker; the page
+// also loads it as a plain script so surfaces still work where workers cannot
+// start (pages opened straight from disk), and so the STL export can fuse the
+// model into one solid with the same marching cubes.
+
+// Grid spacing in Å, coarsened so large molecules stay under the voxel cap
+const SURFACE_SPACING = 0.3;
+const SURFACE_MAX_VOXELS = 1500000;
+
+// Finest grid spacing (Å) and voxel cap for fused solids
+const SOLID_SPACING = 0.06;
+const SOLID_MAX_VOXELS = 4000000;
+
+// Neighborhood of a surface point used for the hydrophobicity average (Å)
+const HYDROPHOBICITY_RANGE = 1.5;
+
+// Cube corner c sits at (c & 1, c >> 1 & 1, c >> 2 & 1); each edge joins two
+// corners that differ along one axis
+const CUBE_EDGES = [];
+for (let corner = 0; corner < 8; corner++) {
+    for (let axis = 0; axis < 3; axis++) {
+        if (!(corner & (1 << axis))) CUBE_EDGES.push({ from: corner, to: corner | (1 << axis), axis });
+    }
+}
+
+// Triangles (as edge triples) for each of the 256 inside/outside corner patterns.
+// Rather than a hand-written table, the contour on each cube face is traced and
+// the closed loops are fanned into triangles. Faces with two diagonal inside
+// corners always cut them apart, so neighboring cubes agree and the mesh is closed.
+const MARCHING_CUBES_TRIANGLES = (() => {
+    const edgeIndex = (a, b) => CUBE_EDGES.findIndex(e => (e.from === a && e.to === b) || (e.from === b && e.to === a));
+
+    // Faces are named by axis and side; an edge lies on the two faces across its axis
+    const facesOfEdge = CUBE_EDGES.map(({ from, axis }) => [1, 2].map(step => {
+        const other = (axis + step) % 3;
+        return other * 2 + ((from >> other) & 1);
+    }));
+    const shareFace = (a, b) => facesOfEdge[a].some(face => facesOfEdge[b].includes(face));
+
+    // Each face's corners anticlockwise seen from outside the cube
+    const faces = [];
+    for (let axis = 0; axis < 3; axis++) {
+        const u = (axis + 1) % 3;
+        const v = (axis + 2) % 3;
+        for (let side = 0; side < 2; side++) {
+            const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([a, b]) => (side << axis) | (a << u) | (b << v));
+            faces.push(side === 1 ? corners : corners.reverse());
+        }
+    }
+
+    const table = [];
+    for (let pattern = 0; pattern < 256; pattern++) {
+        const inside = (corner) => (pattern >> corner) & 1;
+
+        // On each face, a segment runs from where the boundary leaves the inside
+        // region to where it previously entered it
+        const next = new Map();
+        faces.forEach(corners => {
+            const crossings = [];
+            corners.forEach((corner, k) => {
+                const other = corners[(k + 1) % 4];
+                if (inside(corner) !== inside(other)) {
+                    crossings.push({ edge: edgeIndex(corner, other), leaving: inside(corner) === 1 });
+                }
+            });
+            crossings.forEach((crossing, k) => {
+                if (crossing.leaving) {
+                    next.set(crossing.edge, crossings[(k + crossings.length - 1) % crossings.length].edge);
+                }
+            });
+        });
+
+        // Chain the segments into loops and fan them, wound to face outward
+        const triangles = [];
+        const used = new Set();
+        next.forEach((_, start) => {
+            if (used.has(start)) return;
+            const loop = [];
+            for (let edge = start; !used.has(edge); edge = next.get(edge)) {
+                used.add(edge);
+                loop.push(edge);
+            }
+            // Fan from a vertex whose diagonals all cross the cube's interior; a
+            // diagonal lying in a face would also be drawn by the neighboring cube
+            const root = loop.findIndex((edge, r) => loop.every((other, k) =>
+                Math.abs(k - r) <= 1 || Math.abs(k - r) === loop.length - 1 || !shareFace(edge, other)));
+            const fan = loop.slice(Math.max(root, 0)).concat(loop.slice(0, Math.max(root, 0)));
+            for (let k = 1; k + 1 < fan.length; k++) {
+                triangles.push(fan[0], fan[k + 1], fan[k]);
+            }
+        });
+        table.push(triangles);
+    }
+    return table;
+})();
+
+// Squared Euclidean distance transform along one line of a grid (Felzenszwalb and
+// Huttenlocher): d[q] = min over p of (q - p)^2 + f[p]
+function distanceTransformLine(f, d, n, v, z) {
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    const intersect = (q, p) => ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+    for (let q = 1; q < n; q++) {
+        let s = intersect(q, v[k]);
+        while (s <= z[k]) {
+            k--;
+            s = intersect(q, v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+// Distance in voxels from every grid point to the nearest point where `seed` is set
+function distanceTransform(seed, nx, ny, nz) {
+    const far = 1e20;
+    const grid = new Float64Array(nx * ny * nz);
+    for (let i = 0; i < grid.length; i++) grid[i] = seed[i] ? 0 : far;
+
+    const longest = Math.max(nx, ny, nz);
+    const f = new Float64Array(longest);
+    const d = new Float64Array(longest);
+    const v = new Int32Array(longest);
+    const z = new Float64Array(longest + 1);
+
+    // One pass per axis: [length, stride, the two other axes' lengths and strides]
+    const passes = [
+        [nx, 1, ny, nx, nz, nx * ny],
+        [ny, nx, nx, 1, nz, nx * ny],
+        [nz, nx * ny, nx, 1, ny, nx]
+    ];
+    passes.forEach(([n, stride, n1, stride1, n2, stride2]) => {
+        for (let b = 0; b < n2; b++) {
+            for (let a = 0; a < n1; a++) {
+                const base = a * stride1 + b * stride2;
+                for (let q = 0; q < n; q++) f[q] = grid[base + q * stride];
+                distanceTransformLine(f, d, n, v, z);
+                for (let q = 0; q < n; q++) grid[base + q * stride] = d[q];
+            }
+        }
+    });
+
+    for (let i = 0; i < grid.length; i++) grid[i] = Math.sqrt(grid[i]);
+    return grid;
+}
+
+// atoms: flat x, y, z, radius per atom (Å). type: 'vdw', 'sas' or 'ses'.
+// charges and hydrophobicity: per-atom values for the coloring scalars (charges
+// may be null). Returns the indexed mesh plus, per vertex, the atom it belongs
+// to, the electrostatic potential of the charges and the local hydrophobicity.
+function computeSurface({ atoms, type, probe, charges, hydrophobicity }) {
+    const atomCount = atoms.length / 4;
+    // The solvent-accessible surface is traced by the probe's center
+    const expand = type === 'vdw' ? 0 : probe;
+
+    let maxRadius = 0;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let a = 0; a < atomCount; a++) {
+        maxRadius = Math.max(maxRadius, atoms[4 * a + 3]);
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], atoms[4 * a + k]);
+            max[k] = Math.max(max[k], atoms[4 * a + k]);
+        }
+    }
+
+    const pad = maxRadius + probe + 1;
+    const size = [0, 1, 2].map(k => max[k] - min[k] + 2 * pad);
+    const spacing = Math.max(SURFACE_SPACING, Math.cbrt((size[0] * size[1] * size[2]) / SURFACE_MAX_VOXELS));
+    const [nx, ny, nz] = size.map(s => Math.ceil(s / spacing) + 1);
+    const origin = [0, 1, 2].map(k => min[k] - pad);
+
+    // Signed depth inside the union of (expanded) atom spheres: positive inside
+    const depth = new Float32Array(nx * ny * nz).fill(-pad);
+    for (let a = 0; a < atomCount; a++) {
+        const [cx, cy, cz] = [atoms[4 * a], atoms[4 * a + 1], atoms[4 * a + 2]];
+        const radius = atoms[4 * a + 3] + (type === 'vdw' ? 0 : probe);
+        const reach = radius + 3 * spacing;
+        const lo = [cx, cy, cz].map((c, k) => Math.max(0, Math.floor((c - reach - origin[k]) / spacing)));
+        const hi = [cx, cy, cz].map((c, k) => Math.min([nx, ny, nz][k] - 1, Math.ceil((c + reach - origin[k]) / spacing)));
+        for (let k = lo[2]; k <= hi[2]; k++) {
+            const dz = origin[2] + k * spacing - cz;
+            for (let j = lo[1]; j <= hi[1]; j++) {
+                const dy = origin[1] + j * spacing - cy;
+                for (let i = lo[0]; i <= hi[0]; i++) {
+                    const dx = origin[0] + i * spacing - cx;
+                    const value = radius - Math.sqrt(dx * dx + dy * dy + dz * dz);
+                    const index = i + nx * (j + ny * k);
+                    if (value > depth[index]) depth[index] = value;
+                }
+            }
+        }
+    }
+
+    // The solvent-excluded surface is where the rolling probe's surface reaches:
+    // points inside the accessible volume farther than the probe radius from its
+    // boundary are excluded from solvent
+    let field = depth;
+    if (type === 'ses') {
+        const outside = new Uint8Array(depth.length);
+        for (let i = 0; i < depth.length; i++) outside[i] = depth[i] <= 0 ? 1 : 0;
+        const distance = distanceTransform(outside, nx, ny, nz);
+
+        field = new Float32Array(depth.length);
+        for (let i = 0; i < depth.length; i++) {
+            // Distances run to voxel centers beyond the boundary, half a voxel too far
+            // on average; the depth into the nearest sphere is a lower bound
+            const inside = Math.max(depth[i], distance[i] * spacing - spacing / 2);
+            field[i] = (depth[i] > 0 ? inside : depth[i]) - probe;
+        }
+    }
+
+    const { positions, indices } = marchingCubes(field, nx, ny, nz, origin, spacing);
+    if (type === 'ses') smoothMesh(positions, indices, 2);
+
+    // The accessible surface is drawn at the probe's center; the others lie on the atoms
+    const owners = new Int32Array(positions.length / 3);
+    const potential = new Float32Array(positions.length / 3);
+    const hydro = new Float32Array(positions.length / 3);
+    for (let p = 0; p < owners.length; p++) {
+        const [x, y, z] = [positions[3 * p], positions[3 * p + 1], positions[3 * p + 2]];
+        let closest = Infinity;
+        let weightSum = 0;
+        let hydroSum = 0;
+        let phi = 0;
+        for (let a = 0; a < atomCount; a++) {
+            const dx = x - atoms[4 * a];
+            const dy = y - atoms[4 * a + 1];
+            const dz = z - atoms[4 * a + 2];
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            const gap = distance - atoms[4 * a + 3] - expand;
+            if (gap < closest) {
+                closest = gap;
+                owners[p] = a;
+            }
+
+            // Coulomb potential with a distance-dependent dielectric (4r)
+            if (charges) phi += charges[a] / (4 * distance * distance);
+
+            const weight = Math.exp(-(gap * gap) / (2 * HYDROPHOBICITY_RANGE * HYDROPHOBICITY_RANGE));
+            weightSum += weight;
+            hydroSum += weight * hydrophobicity[a];
+        }
+        potential[p] = phi;
+        hydro[p] = weightSum > 0 ? hydroSum / weightSum : 0;
+    }
+
+    return { positions, indices, owners, potential, hydrophobicity: hydro, area: meshArea(positions, indices), spacing };
+}
+
+// One closed surface around the union of spheres (flat x, y, z, radius) and
+// capsules (flat x1, y1, z1, x2, y2, z2, radius), all in Å. Where the voxel cap
+// coarsens the grid, radii grow to √3 voxels: every cube a sphere center or
+// capsule axis passes through is then wholly inside, so thin bonds stay joined.
+function computeSolid({ spheres, capsules }) {
+    const sphereCount = spheres.length / 4;
+    const capsuleCount = capsules.length / 7;
+    const radii = [];
+    for (let s = 0; s < sphereCount; s++) radii.push(spheres[4 * s + 3]);
+    for (let c = 0; c < capsuleCount; c++) radii.push(capsules[7 * c + 6]);
+
+    const bounds = (extra) => {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        const include = (x, y, z, r) => [x, y, z].forEach((value, k) => {
+            min[k] = Math.min(min[k], value - r - extra);
+            max[k] = Math.max(max[k], value + r + extra);
+        });
+        for (let s = 0; s < sphereCount; s++) {
+            include(spheres[4 * s], spheres[4 * s + 1], spheres[4 * s + 2], spheres[4 * s + 3]);
+        }
+        for (let c = 0; c < capsuleCount; c++) {
+            include(capsules[7 * c], capsules[7 * c + 1], capsules[7 * c + 2], capsules[7 * c + 6]);
+            include(capsules[7 * c + 3], capsules[7 * c + 4], capsules[7 * c + 5], capsules[7 * c + 6]);
+        }
+        return { min, max };
+    };
+
+    const rough = bounds(0);
+    const volume = [0, 1, 2].reduce((product, k) => product * (rough.max[k] - rough.min[k]), 1);
+    const spacing = Math.max(Math.min(SOLID_SPACING, Math.min(...radii) / Math.sqrt(3)), Math.cbrt(volume / SOLID_MAX_VOXELS));
+    const thinnest = spacing * Math.sqrt(3);
+    const radius = (r) => Math.max(r, thinnest);
+
+    // Two voxels of margin keep the surface off the edge of the grid
+    const { min, max } = bounds(thinnest + 2 * spacing);
+    const [nx, ny, nz] = [0, 1, 2].map(k => Math.ceil((max[k] - min[k]) / spacing) + 1);
+    const origin = min;
+
+    // Signed depth inside the nearest primitive: positive inside. Points more
+    // than two voxels out are never next to an inside point, so keep the fill.
+    const field = new Float32Array(nx * ny * nz).fill(-2 * spacing);
+    const fill = (lo, hi, depthAt) => {
+        const [i0, j0, k0] = lo.map((value, k) => Math.max(0, Math.floor((value - origin[k]) / spacing)));
+        const [i1, j1, k1] = hi.map((value, k) => Math.min([nx, ny, nz][k] - 1, Math.ceil((value - origin[k]) / spacing)));
+        for (let k = k0; k <= k1; k++) {
+            const z = origin[2] + k * spacing;
+            for (let j = j0; j <= j1; j++) {
+                const y = origin[1] + j * spacing;
+                for (let i = i0; i <= i1; i++) {
+                    const value = depthAt(origin[0] + i * spacing, y, z);
+                    const index = i + nx * (j + ny * k);
+                    if (value > field[index]) field[index] = value;
+                }
+            }
+        }
+    };
+
+    for (let s = 0; s < sphereCount; s++) {
+        const [cx, cy, cz] = [spheres[4 * s], spheres[4 * s + 1], spheres[4 * s + 2]];
+        const r = radius(spheres[4 * s + 3]);
+        const reach = r + 2 * spacing;
+        fill([cx - reach, cy - reach, cz - reach], [cx + reach, cy + reach, cz + reach],
+            (x, y, z) => r - Math.sqrt((x - cx) ** 2 + (y - cy) ** 2 + (z - cz) ** 2));
+    }
+
+    for (let c = 0; c < capsuleCount; c++) {
+        const [ax, ay, az, bx, by, bz] = capsules.slice(7 * c, 7 * c + 6);
+        const r = radius(capsules[7 * c + 6]);
+        const reach = r + 2 * spacing;
+        const [dx, dy, dz] = [bx - ax, by - ay, bz - az];
+        const lengthSq = dx * dx + dy * dy + dz * dz || 1;
+        fill([Math.min(ax, bx) - reach, Math.min(ay, by) - reach, Math.min(az, bz) - reach],
+            [Math.max(ax, bx) + reach, Math.max(ay, by) + reach, Math.max(az, bz) + reach],
+            (x, y, z) => {
+                // Distance to the nearest point of the axis segment
+                const t = Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy + (z - az) * dz) / lengthSq));
+                return r - Math.sqrt((x - ax - t * dx) ** 2 + (y - ay - t * dy) ** 2 + (z - az - t * dz) ** 2);
+            });
+    }
+
+    return { ...marchingCubes(field, nx, ny, nz, origin, spacing), spacing };
+}
+
+// Triangulate the zero level of a grid field (positive inside)
+function marchingCubes(field, nx, ny, nz, origin, spacing) {
+    const positions = [];
+    const indices = [];
+    // Vertices are shared between cubes: grid edge id -> vertex index
+    const vertexOfEdge = new Map();
+    const corner = new Float32Array(8);
+    const cornerIndex = new Int32Array(8);
+    const cubeVertices = new Int32Array(12);
+
+    for (let k = 0; k < nz - 1; k++) {
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                let pattern = 0;
+                for (let c = 0; c < 8; c++) {
+                    const index = (i + (c & 1)) + nx * ((j + ((c >> 1) & 1)) + ny * (k + ((c >> 2) & 1)));
+                    cornerIndex[c] = index;
+                    corner[c] = field[index];
+                    if (corner[c] > 0) pattern |= 1 << c;
+                }
+                if (pattern === 0 || pattern === 255) continue;
+
+                const triangles = MARCHING_CUBES_TRIANGLES[pattern];
+                cubeVertices.fill(-1);
+                for (let t = 0; t < triangles.length; t++) {
+                    const e = triangles[t];
+                    if (cubeVertices[e] === -1) {
+                        const { from, to, axis } = CUBE_EDGES[e];
+                        const key = cornerIndex[from] * 3 + axis;
+                        let vertex = vertexOfEdge.get(key);
+                        if (vertex === undefined) {
+                            const f = corner[from] / (corner[from] - corner[to]);
+                            vertex = positions.length / 3;
+                            positions.push(
+                                origin[0] + (i + (from & 1) + (axis === 0 ? f : 0)) * spacing,
+                                origin[1] + (j + ((from >> 1) & 1) + (axis === 1 ? f : 0)) * spacing,
+                                origin[2] + (k + ((from >> 2) & 1) + (axis === 2 ? f : 0)) * spacing
+                            );
+                            vertexOfEdge.set(key, vertex);
+                        }
+                        cubeVertices[e] = vertex;
+                    }
+                    indices.push(cubeVertices[e]);
+                }
+            }
+        }
+    }
+
+    return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+}
+
+// Move each vertex halfway toward the average of its neighbors
+function smoothMesh(positions, indices, passes) {
+    const count = positions.length / 3;
+    const sums = new Float64Array(positions.length);
+    const degrees = new Uint16Array(count);
+
+    for (let pass = 0; pass < passes; pass++) {
+        sums.fill(0);
+        degrees.fill(0);
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                const a = indices[t + e];
+                const b = indices[t + (e + 1) % 3];
+                for (let k = 0; k < 3; k++) {
+                    sums[3 * a + k] += positions[3 * b + k];
+                    sums[3 * b + k] += positions[3 * a + k];
+                }
+                degrees[a]++;
+                degrees[b]++;
+            }
+        }
+        for (let v = 0; v < count; v++) {
+            if (degrees[v] === 0) continue;
+            for (let k = 0; k < 3; k++) {
+                positions[3 * v + k] = 0.5 * positions[3 * v + k] + 0.5 * sums[3 * v + k] / degrees[v];
+            }
+        }
+    }
+}
+
+function meshArea(positions, indices) {
+    let area = 0;
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map(v => 3 * v);
+        const u = [0, 1, 2].map(k => positions[b + k] - positions[a + k]);
+        const w = [0, 1, 2].map(k => positions[c + k] - positions[a + k]);
+        area += 0.5 * Math.hypot(u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]);
+    }
+    return area;
+}
+
+// Worker entry point: one request in, one surface (or error) out
+if (typeof window === 'undefined' && typeof self !== 'undefined') {
+    self.onmessage = (event) => {
+        const { id, ...request } = event.data;
+        try {
+            const surface = computeSurface(request);
+            const buffers = [surface.positions, surface.indices, surface.owners, surface.potential, surface.hydrophobicity]
+                .map(array => array.buffer);
+            self.postMessage({ id, surface }, buffers);
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+}
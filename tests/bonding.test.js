@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['elements.js', 'molfile.js', 'bonding.js', 'formats.js', 'smiles.js', 'rings.js', 'resonance.js']);
+const buildMoleculeFromSmiles = evaluate('buildMoleculeFromSmiles');
+const perceiveBonds = evaluate('perceiveBonds');
+const getFormalCharges = evaluate('getFormalCharges');
+
+// The molecule's 3D coordinates alone, as an XYZ file would give them, with
+// the bonds perceived from them
+function perceive(smiles) {
+    const atoms = buildMoleculeFromSmiles(smiles).atoms.map(({ element, x, y, z }) => ({ element, x, y, z }));
+    return { atoms, bonds: perceiveBonds(atoms), charge: 0 };
+}
+
+// Double bonds with at least one end of the given element
+function doubleBondCount(molecule, element) {
+    return molecule.bonds.filter(bond => bond.order === 2 && [bond.from, bond.to].some(end => molecule.atoms[end].element === element)).length;
+}
+
+// Nonzero formal charges as "<element><+|->", sorted
+function charges(molecule) {
+    return Array.from(getFormalCharges(molecule), (charge, i) => (charge ? `${molecule.atoms[i].element}${charge > 0 ? '+' : '-'}` : null))
+        .filter(Boolean)
+        .sort();
+}
+
+test('perceives a Kekulé structure for benzene', () => {
+    const benzene = perceive('c1ccccc1');
+    assert.strictEqual(doubleBondCount(benzene, 'C'), 3);
+    assert.deepStrictEqual(charges(benzene), []);
+});
+
+test('perceives carbonyls and leaves amines single', () => {
+    const aceticAcid = perceive('CC(=O)O');
+    assert.strictEqual(doubleBondCount(aceticAcid, 'O'), 1);
+    assert.strictEqual(doubleBondCount(aceticAcid, 'C'), 1);
+    const dimethylformamide = perceive('CN(C)C=O');
+    assert.strictEqual(doubleBondCount(dimethylformamide, 'O'), 1);
+    assert.strictEqual(doubleBondCount(dimethylformamide, 'N'), 0);
+    assert.deepStrictEqual(charges(dimethylformamide), []);
+});
+
+test('perceives the nitro group of nitrobenzene as N+ with one O-', () => {
+    const nitrobenzene = perceive('[O-][N+](=O)c1ccccc1');
+    assert.strictEqual(doubleBondCount(nitrobenzene, 'C'), 3);
+    assert.strictEqual(doubleBondCount(nitrobenzene, 'O'), 1);
+    assert.deepStrictEqual(charges(nitrobenzene), ['N+', 'O-']);
+});
+
+test('perceives pyridine N-oxide as an aromatic N+ with an O-', () => {
+    const oxide = perceive('[O-][N+]1=CC=CC=C1');
+    assert.strictEqual(doubleBondCount(oxide, 'C'), 3);
+    assert.strictEqual(doubleBondCount(oxide, 'O'), 0);
+    assert.deepStrictEqual(charges(oxide), ['N+', 'O-']);
+});
@@ -0,0 +1,19 @@
+// Loads the app's browser scripts into one sandbox, in index.html order, so
+// tests can call their top-level functions and classes
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Returns a function that evaluates an expression inside the sandbox.
+// `globals` adds browser APIs the scripts expect (fetch, AbortController, ...).
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return (expression) => vm.runInContext(expression, context);
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['elements.js', 'molfile.js', 'cache.js', 'pubchem.js'], {
+    DOMException, URLSearchParams, AbortController
+});
+const PubChemAPI = evaluate('PubChemAPI');
+const PubChemNotFoundError = evaluate('PubChemNotFoundError');
+
+const BASE_URL = 'http://pubchem.test/rest/pug';
+const FIXTURES = path.join(__dirname, 'fixtures', 'pubchem');
+
+function recorded(file, { status = 200, headers = {} } = {}) {
+    const type = file.endsWith('.json') ? 'application/json' : 'chemical/x-mdl-sdfile';
+    return new Response(fs.readFileSync(path.join(FIXTURES, file)), { status, headers: { 'Content-Type': type, ...headers } });
+}
+
+// A local stand-in for PubChem: answers each request from the first route whose
+// pattern matches the URL, and logs the URLs it was asked for
+function standIn(routes) {
+    const requests = [];
+    const fetch = async (url, { signal } = {}) => {
+        requests.push(url);
+        if (signal?.aborted) throw new DOMException('The request was cancelled', 'AbortError');
+        const route = routes.find(([pattern]) => pattern.test(url));
+        return route ? route[1](url, signal) : recorded('not-found.json', { status: 404 });
+    };
+    return { fetch, requests };
+}
+
+const ETHANOL_ROUTES = [
+    [/\/compound\/name\/ethanol\/cids\/JSON$/, () => recorded('ethanol-cids.json')],
+    [/\/compound\/cid\/702\/property\//, () => recorded('702-properties.json')],
+    [/\/compound\/cid\/702\/record\/SDF\/\?record_type=3d/, () => recorded('702-3d.sdf')],
+    [/\/compound\/cid\/702\/record\/SDF\/\?response_type=display$/, () => recorded('702-2d.sdf')],
+    [/\/compound\/cid\/702\/description\/JSON$/, () => recorded('702-description.json')]
+];
+
+function createApi(routes) {
+    const server = standIn(routes);
+    const api = new PubChemAPI({ baseUrl: BASE_URL, fetch: server.fetch });
+    return { api, server };
+}
+
+test('loads a compound from recorded responses', async () => {
+    const { api, server } = createApi(ETHANOL_ROUTES);
+    const info = await api.fetchCompoundInfo('ethanol');
+
+    assert.strictEqual(info.cid, 702);
+    assert.strictEqual(info.name, 'Ethanol');
+    assert.strictEqual(info.formula, 'C2H6O');
+    assert.strictEqual(info.atoms.length, 9);
+    assert.strictEqual(info.bonds.length, 8);
+    assert.strictEqual(info.is2D, false);
+    assert.strictEqual(info.atoms2D.length, 9);
+    assert.match(info.description, /^Ethanol is a primary alcohol/);
+    assert.ok(server.requests.every(url => url.startsWith(BASE_URL)));
+});
+
+test('turns a 404 into PubChemNotFoundError with the fault message', async () => {
+    const { api } = createApi([]);
+    await assert.rejects(api.findCids('notacompound', 'name'), (error) => {
+        assert.ok(error instanceof PubChemNotFoundError);
+        assert.strictEqual(error.message, 'No CID found');
+        return true;
+    });
+});
+
+test('waits out a 503 for its Retry-After time, then retries', async () => {
+    let busy = true;
+    const { api, server } = createApi([
+        [/\/cids\/JSON$/, () => {
+            if (!busy) return recorded('ethanol-cids.json');
+            busy = false;
+            return recorded('server-busy.json', { status: 503, headers: { 'Retry-After': '1' } });
+        }]
+    ]);
+
+    const started = Date.now();
+    const cids = await api.findCids('ethanol', 'name');
+    assert.deepStrictEqual(Array.from(cids), [702]);
+    assert.strictEqual(server.requests.length, 2);
+    assert.ok(Date.now() - started >= 1000, 'retried before Retry-After elapsed');
+});
+
+test('rejects with an AbortError when the request is cancelled', async () => {
+    const { api } = createApi([
+        [/\/cids\/JSON$/, (url, signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('The request was cancelled', 'AbortError')));
+        })]
+    ]);
+    const controller = new AbortController();
+    const search = api.findCids('ethanol', 'name', controller.signal);
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(search, { name: 'AbortError' });
+});
+
+test('cancels during a Retry-After wait without retrying', async () => {
+    const { api, server } = createApi([
+        [/\/cids\/JSON$/, () => recorded('server-busy.json', { status: 503, headers: { 'Retry-After': '30' } })]
+    ]);
+    const controller = new AbortController();
+    const search = api.findCids('ethanol', 'name', controller.signal);
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    await assert.rejects(search, { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test('gives up a queued slot as soon as the request is cancelled', async () => {
+    const { api, server } = createApi([[/\/cids\/JSON$/, () => recorded('ethanol-cids.json')]]);
+    // As after a busy response: every request is held back for 30 s
+    api.throttledUntil = Date.now() + 30000;
+    const controller = new AbortController();
+    const search = api.findCids('ethanol', 'name', controller.signal);
+    setTimeout(() => controller.abort(), 50);
+
+    const started = Date.now();
+    await assert.rejects(search, { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+    assert.strictEqual(server.requests.length, 0);
+
+    // The queue keeps serving the requests behind it
+    api.throttledUntil = 0;
+    assert.deepStrictEqual(Array.from(await api.findCids('ethanol', 'name')), [702]);
+});
+
+test('lets a request cancelled behind another queued one leave at once', async () => {
+    const { api, server } = createApi([[/\/cids\/JSON$/, () => recorded('ethanol-cids.json')]]);
+    api.throttledUntil = Date.now() + 30000;
+    const first = new AbortController();
+    const second = new AbortController();
+    const ahead = api.findCids('ethanol', 'name', first.signal);
+    const behind = api.findCids('ethanol', 'name', second.signal);
+    setTimeout(() => second.abort(), 50);
+
+    const started = Date.now();
+    await assert.rejects(behind, { name: 'AbortError' });
+    assert.ok(Date.now() - started < 1000);
+
+    first.abort();
+    await assert.rejects(ahead, { name: 'AbortError' });
+    assert.strictEqual(server.requests.length, 0);
+
+    api.throttledUntil = 0;
+    assert.deepStrictEqual(Array.from(await api.findCids('ethanol', 'name')), [702]);
+});
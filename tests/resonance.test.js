@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['elements.js', 'molfile.js', 'bonding.js', 'formats.js', 'smiles.js', 'rings.js', 'resonance.js']);
+const buildMoleculeFromSmiles = evaluate('buildMoleculeFromSmiles');
+const getResonanceContributors = evaluate('getResonanceContributors');
+const getResonanceArrows = evaluate('getResonanceArrows');
+
+// Arrows as plain text, e.g. 'atom 0 -> bond 0'
+function describe(arrows) {
+    const end = (side) => (side.atom !== undefined ? `atom ${side.atom}` : `bond ${side.bond}`);
+    return Array.from(arrows, arrow => `${end(arrow.from)} -> ${end(arrow.to)}`).sort();
+}
+
+test('finds a contributor for each amine nitrogen of urea', () => {
+    const molecule = buildMoleculeFromSmiles('NC(=O)N');
+    assert.strictEqual(getResonanceContributors(molecule).length, 3);
+});
+
+test('pushes electrons from one contributor to the next', () => {
+    // N0-C1(=O2)-N3: bonds 0 N0-C1, 1 C1=O2, 2 C1-N3
+    const molecule = buildMoleculeFromSmiles('NC(=O)N');
+    const [given, first, second] = getResonanceContributors(molecule);
+
+    assert.deepStrictEqual(describe(getResonanceArrows(molecule, given, first)), ['atom 0 -> bond 0', 'bond 1 -> atom 2']);
+    // The first N gets its lone pair back as the second one gives up its own
+    assert.deepStrictEqual(describe(getResonanceArrows(molecule, first, second)), ['atom 3 -> bond 2', 'bond 0 -> atom 0']);
+    assert.deepStrictEqual(describe(getResonanceArrows(molecule, second, given)), ['atom 2 -> bond 1', 'bond 2 -> atom 3']);
+});
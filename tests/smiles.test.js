@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['elements.js', 'molfile.js', 'bonding.js', 'cache.js', 'pubchem.js', 'formats.js', 'smiles.js']);
+const buildMoleculeFromSmiles = evaluate('buildMoleculeFromSmiles');
+
+// Angle at b between a and c, in degrees
+function angle(a, b, c) {
+    const u = [a.x - b.x, a.y - b.y, a.z - b.z];
+    const v = [c.x - b.x, c.y - b.y, c.z - b.z];
+    const dot = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    return Math.acos(dot / (Math.hypot(...u) * Math.hypot(...v))) * 180 / Math.PI;
+}
+
+test('parses atoms, bonds and implicit hydrogens', () => {
+    const molecule = buildMoleculeFromSmiles('CC(=O)O');
+    assert.strictEqual(molecule.atoms.length, 8);
+    assert.strictEqual(molecule.atoms.filter(atom => atom.element === 'H').length, 4);
+    assert.strictEqual(molecule.bonds.filter(bond => bond.order === 2).length, 1);
+});
+
+// Hydrogens start above or below their parent's own slightly tilted height, so
+// the ring is free to pucker instead of being held flat between them
+test('embeds cyclohexane as a puckered ring', () => {
+    const { atoms } = buildMoleculeFromSmiles('C1CCCCC1');
+    for (let i = 0; i < 6; i++) {
+        const ringAngle = angle(atoms[(i + 5) % 6], atoms[i], atoms[(i + 1) % 6]);
+        assert.ok(ringAngle < 115, `C${i + 1} ring angle ${ringAngle.toFixed(1)}° is nearly flat`);
+    }
+});
+
+test('keeps disconnected ions apart', () => {
+    const molecule = buildMoleculeFromSmiles('[Na+].[Cl-]');
+    assert.strictEqual(molecule.atoms.length, 2);
+    assert.strictEqual(molecule.bonds.length, 0);
+});
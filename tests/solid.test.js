@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['surfaceworker.js']);
+const computeSolid = evaluate('computeSolid');
+
+// Every edge is shared by exactly two triangles that run along it in opposite
+// directions, and all triangles hang together as one piece
+function checkClosedSolid({ positions, indices }) {
+    const directed = new Set();
+    const parent = Array.from({ length: positions.length / 3 }, (_, v) => v);
+    const root = (v) => (parent[v] === v ? v : (parent[v] = root(parent[v])));
+
+    for (let t = 0; t < indices.length; t += 3) {
+        for (let e = 0; e < 3; e++) {
+            const a = indices[t + e];
+            const b = indices[t + (e + 1) % 3];
+            const key = `${a}>${b}`;
+            assert.ok(!directed.has(key), `edge ${key} is used twice in the same direction`);
+            directed.add(key);
+            parent[root(a)] = root(b);
+        }
+    }
+    directed.forEach(key => {
+        const [a, b] = key.split('>');
+        assert.ok(directed.has(`${b}>${a}`), `edge ${key} borders only one triangle`);
+    });
+
+    const pieces = new Set(Array.from(indices, v => root(v)));
+    assert.strictEqual(pieces.size, 1);
+}
+
+// Volume enclosed by an outward-facing mesh
+function volume({ positions, indices }) {
+    let sum = 0;
+    for (let t = 0; t < indices.length; t += 3) {
+        const [a, b, c] = [indices[t], indices[t + 1], indices[t + 2]].map(v => [0, 1, 2].map(k => positions[3 * v + k]));
+        sum += a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+    }
+    return sum / 6;
+}
+
+test('fuses two balls and a thin stick into one closed solid', () => {
+    const solid = computeSolid({
+        spheres: [0, 0, 0, 0.4, 1.5, 0, 0, 0.4],
+        capsules: [0, 0, 0, 1.5, 0, 0, 0.08]
+    });
+    checkClosedSolid(solid);
+
+    // Two balls plus the stick between them
+    const expected = 2 * (4 / 3) * Math.PI * 0.4 ** 3 + Math.PI * 0.08 ** 2 * (1.5 - 0.8);
+    assert.ok(Math.abs(volume(solid) - expected) / expected < 0.05, `volume ${volume(solid)} is not ${expected}`);
+});
+
+test('keeps thin sticks joined when the grid has to coarsen', () => {
+    const solid = computeSolid({
+        spheres: [0, 0, 0, 0.3, 30, 0, 0, 0.3, 0, 30, 0, 0.3, 0, 0, 30, 0.3],
+        capsules: [0, 0, 0, 30, 0, 0, 0.08, 0, 0, 0, 0, 30, 0, 0.08, 0, 0, 0, 0, 0, 30, 0.08]
+    });
+    assert.ok(solid.spacing > 0.08);
+    checkClosedSolid(solid);
+});
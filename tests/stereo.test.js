@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load');
+
+const evaluate = loadScripts(['elements.js', 'molfile.js', 'bonding.js', 'formats.js', 'smiles.js', 'rings.js', 'stereo.js']);
+const buildMoleculeFromSmiles = evaluate('buildMoleculeFromSmiles');
+const getStereoInfo = evaluate('getStereoInfo');
+
+// Descriptors as "<atom index><R|S>", in atom order (arrays from the sandbox
+// are copied out so deepStrictEqual sees plain arrays)
+function centers(smiles) {
+    return Array.from(getStereoInfo(buildMoleculeFromSmiles(smiles)).centers, center => `${center.atom}${center.descriptor}`);
+}
+
+function doubleBonds(smiles) {
+    return Array.from(getStereoInfo(buildMoleculeFromSmiles(smiles)).doubleBonds, bond => bond.descriptor);
+}
+
+test('assigns R/S to chiral centers', () => {
+    assert.deepStrictEqual(centers('C[C@H](N)C(=O)O'), ['1S']);
+    assert.deepStrictEqual(centers('C[C@@H](O)CC'), ['1R']);
+    assert.deepStrictEqual(centers('OC[C@H](O)C=O'), ['2S']);
+    assert.deepStrictEqual(centers('CC[C@@H](C)[C@H](N)C(=O)O'), ['2R', '4S']);
+    assert.deepStrictEqual(centers('C[C@@H]1CCCC[C@H]1C'), ['1R', '6R']);
+});
+
+test('assigns E/Z to double bonds', () => {
+    assert.deepStrictEqual(doubleBonds('C/C=C/C'), ['E']);
+    assert.deepStrictEqual(doubleBonds('C/C=C\\C'), ['Z']);
+});
+
+// Branches with the same constitution tie however the digraph visits them
+test('finds no stereocenters in achiral molecules', () => {
+    [
+        ['citric acid', 'OC(=O)CC(O)(CC(=O)O)C(=O)O'],
+        ['adamantane', 'C1C2CC3CC1CC(C2)C3'],
+        ['2-adamantanol', 'OC1C2CC3CC(C2)CC1C3'],
+        ['cubane', 'C12C3C4C1C5C2C3C45'],
+        ['decalin', 'C1CCC2CCCCC2C1'],
+        ['4-methylcyclohexanol', 'CC1CCC(O)CC1'],
+        ['trans-4-methylcyclohexanol', 'C[C@@H]1CC[C@H](O)CC1']
+    ].forEach(([name, smiles]) => assert.deepStrictEqual(centers(smiles), [], name));
+});
@@ -0,0 +1,80 @@
+// Structure thumbnails
+// Small skeletal depictions for search result lists, drawn from PubChem 2D coordinates
+
+const THUMBNAIL_PADDING = 6;
+// PubChem 2D layouts use bonds about 1 unit long; cap them so small molecules stay small
+const THUMBNAIL_MAX_BOND_PX = 14;
+
+// Draw a skeletal formula: carbons are line vertices, other atoms are colored
+// symbols and hydrogens on carbon are left out
+function drawStructureThumbnail(canvas, { atoms, bonds }) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!atoms || atoms.length === 0) return;
+
+    const neighbors = atoms.map(() => []);
+    bonds.forEach(bond => {
+        neighbors[bond.from].push(bond.to);
+        neighbors[bond.to].push(bond.from);
+    });
+    const visible = atoms.map((atom, i) =>
+        atom.element !== 'H' || !neighbors[i].some(j => atoms[j].element === 'C'));
+
+    // Fit the visible atoms into the canvas, flipping y (molfile y points up)
+    const shown = atoms.filter((atom, i) => visible[i]);
+    const minX = Math.min(...shown.map(a => a.x));
+    const maxX = Math.max(...shown.map(a => a.x));
+    const minY = Math.min(...shown.map(a => a.y));
+    const maxY = Math.max(...shown.map(a => a.y));
+    const scale = Math.min(
+        (canvas.width - 2 * THUMBNAIL_PADDING) / ((maxX - minX) || 1),
+        (canvas.height - 2 * THUMBNAIL_PADDING) / ((maxY - minY) || 1),
+        THUMBNAIL_MAX_BOND_PX
+    );
+    const offsetX = canvas.width / 2 - (minX + maxX) / 2 * scale;
+    const offsetY = canvas.height / 2 + (minY + maxY) / 2 * scale;
+    const toCanvas = atom => ({ x: offsetX + atom.x * scale, y: offsetY - atom.y * scale });
+
+    // Bonds, with parallel lines for double and triple bonds
+    ctx.strokeStyle = '#aaaaaa';
+    ctx.lineWidth = 1;
+    bonds.forEach(bond => {
+        if (!visible[bond.from] || !visible[bond.to]) return;
+        const p1 = toCanvas(atoms[bond.from]);
+        const p2 = toCanvas(atoms[bond.to]);
+        const len = Math.hypot(p2.x - p1.x, p2.y - p1.y) || 1;
+        const perpX = -(p2.y - p1.y) / len * 1.5;
+        const perpY = (p2.x - p1.x) / len * 1.5;
+
+        const order = Math.min(bond.order, 3);
+        for (let i = 0; i < order; i++) {
+            const offset = i - (order - 1) / 2;
+            ctx.beginPath();
+            ctx.moveTo(p1.x + perpX * offset, p1.y + perpY * offset);
+            ctx.lineTo(p2.x + perpX * offset, p2.y + perpY * offset);
+            ctx.stroke();
+        }
+    });
+
+    // Heteroatom symbols (and lone carbons), punched out of the bond lines
+    ctx.font = 'bold 9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    atoms.forEach((atom, i) => {
+        if (!visible[i]) return;
+        const hasVisibleNeighbor = neighbors[i].some(j => visible[j]);
+        if (atom.element === 'C' && hasVisibleNeighbor) return;
+
+        const p = toCanvas(atom);
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+
+        const color = getAtomProperties(atom.element).color;
+        ctx.fillStyle = atom.element === 'C' ? '#cccccc' : `#${color.toString(16).padStart(6, '0')}`;
+        ctx.fillText(atom.element, p.x, p.y);
+    });
+}